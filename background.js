@@ -1,32 +1,134 @@
+importScripts(
+  "logger.js",
+  "http-client.js",
+  "local-grammar.js",
+  "providers.js",
+  "shortcuts.js",
+  "selectors.js",
+  "snippets.js",
+  "personas.js",
+  "business-hours.js",
+  "governor.js",
+  "handoff.js",
+  "profiles.js",
+  "transforms.js",
+  "pii-guard.js",
+);
+
+Logger.useStorage();
+const log = Logger.create("background");
+
 const DEFAULT_CONFIG = {
   serverUrl: "https://api.generalbots.com",
   gbServerUrl: "https://api.pragmatismo.com.br",
+  provider: "generalbots",
+  providerUrl: "",
+  providerModel: "",
   enableProcessing: true,
   hideContacts: false,
   autoMode: false,
+  autoApproval: true,
+  autoReplyContactLimit: 5,
+  autoReplyHourlyLimit: 60,
+  handoff: true,
+  handoffConfidence: 0.5,
+  handoffKeywords: [],
+  replySuggestions: false,
   grammarCorrection: true,
+  transforms: Transforms.getDefaults(),
+  piiGuard: PiiGuard.getDefaults(),
+  localOnly: false,
+  correctionLanguage: "auto",
   whatsappNumber: "",
-  authToken: "",
   instanceId: "",
+  apiTimeout: 10000,
+  selectorPackUrl: "",
+  shortcuts: Shortcuts.getDefaults(),
+  translateTarget: "en",
+  agentName: "",
+  teamSnippets: false,
+  personas: Personas.getDefaults(),
+  personaSchedule: [],
+  defaultPersona: Personas.DEFAULT_ID,
+  businessHours: BusinessHours.getDefaults(),
+  profiles: [],
+};
+
+const AUTO_REPLY_QUEUE_MAX = 50;
+const AUTO_REPLY_QUEUE_TTL = 30 * 60 * 1000;
+
+const REPLY_SUGGESTION_COUNT = 3;
+
+const STATS_RETENTION_DAYS = 90;
+
+// Access tokens are renewed on the checkAuth alarm when they would expire
+// before the next one, with a few minutes to spare.
+const AUTH_CHECK_MINUTES = 30;
+const TOKEN_RENEW_MARGIN = (AUTH_CHECK_MINUTES + 5) * 60 * 1000;
+
+// Selector packs are checked every few hours, and at most this often when a
+// tab reports broken selectors.
+const SELECTOR_PACK_REFRESH_MINUTES = 360;
+const SELECTOR_PACK_MIN_INTERVAL = 15 * 60 * 1000;
+
+const TEAM_SNIPPETS_REFRESH_MINUTES = 60;
+
+// Event types that also bump the lifetime counters shown in the popup.
+const STATS_TOTALS = {
+  messageProcessed: "messagesProcessed",
+  correctionAccepted: "correctionsMade",
+  autoReplySent: "autoReplies",
+};
+
+const TRANSLATION_LANGUAGES = {
+  pt: "Portuguese",
+  es: "Spanish",
+  en: "English",
 };
 
 chrome.runtime.onInstalled.addListener(async (details) => {
-  console.log("General Bots: Extension installed/updated", details.reason);
+  log.info("Extension installed/updated", details.reason);
+
+  await migrateShortcutSetting();
+  await migratePersonaSettings();
+  await migrateAuthToken();
+  await migrateRefreshTokens();
+  refreshSelectorPack();
+  refreshAllTeamSnippets();
+  checkBusinessHours();
 
   const existing = await chrome.storage.sync.get(DEFAULT_CONFIG);
-  await chrome.storage.sync.set({ ...DEFAULT_CONFIG, ...existing });
+  await chrome.storage.sync.set({
+    ...DEFAULT_CONFIG,
+    ...existing,
+    shortcuts: { ...DEFAULT_CONFIG.shortcuts, ...existing.shortcuts },
+  });
 
+  // The result goes back into the WhatsApp Web draft, so the menus are
+  // only offered there.
   chrome.contextMenus?.create({
     id: "gb-correct-grammar",
     title: "Correct Grammar with AI",
     contexts: ["selection"],
+    documentUrlPatterns: ["https://web.whatsapp.com/*"],
   });
 
   chrome.contextMenus?.create({
     id: "gb-translate",
     title: "Translate with AI",
     contexts: ["selection"],
+    documentUrlPatterns: ["https://web.whatsapp.com/*"],
   });
+
+  for (const [code, name] of Object.entries(TRANSLATION_LANGUAGES)) {
+    chrome.contextMenus?.create({
+      id: `gb-translate-${code}`,
+      parentId: "gb-translate",
+      title: `To ${name}`,
+      contexts: ["selection"],
+      documentUrlPatterns: ["https://web.whatsapp.com/*"],
+    });
+  }
 });
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
@@ -34,207 +136,1505 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     changeInfo.status === "complete" &&
     tab.url?.includes("web.whatsapp.com")
   ) {
-    console.log("General Bots: WhatsApp Web detected, initializing...");
+    log.info("WhatsApp Web detected, initializing...");
+
+    chrome.tabs.sendMessage(tabId, { action: "tabReady" }).catch(() => {});
+
+    checkAutoAuth(tabId);
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => bindTabProfile(tabId, null));
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === "log") {
+    if (message.entry && Logger.LEVELS[message.entry.level]) {
+      Logger.append({
+        ...message.entry,
+        message: Logger.redact(message.entry.message),
+      });
+    }
+    return false;
+  }
+
+  log.debug("Received message", message.action);
+
+  switch (message.action) {
+    case "processText":
+      handleProcessText(
+        message.text,
+        message.options,
+        message.chatId,
+        sender.tab?.id,
+      )
+        .then(sendResponse)
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case "correctGrammar":
+      handleGrammarCorrection(message.text, sender.tab?.id)
+        .then(sendResponse)
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case "authenticate":
+      getSettings(sender.tab?.id, message.profileId)
+        .then((settings) =>
+          handleAuthentication(message.whatsappNumber, settings.profileId),
+        )
+        .then(sendResponse)
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case "getAuthStatus":
+      getSettings(sender.tab?.id, message.profileId)
+        .then((settings) => getAuthStatus(settings.profileId))
+        .then(sendResponse)
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case "logout":
+      getSettings(sender.tab?.id, message.profileId)
+        .then((settings) => handleLogout(settings.profileId))
+        .then(sendResponse)
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case "translate":
+      handleTranslation(message.text, message.targetLang, sender.tab?.id)
+        .then(sendResponse)
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case "generateAutoReply":
+      handleAutoReply(
+        message.context,
+        message.lastMessages,
+        sender.tab?.id,
+        message.incoming,
+      )
+        .then(sendResponse)
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case "suggestReplies":
+      handleReplySuggestions(
+        message.context,
+        message.lastMessages,
+        sender.tab?.id,
+      )
+        .then(sendResponse)
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case "summarizeChat":
+      handleChatSummary(message.conversation, sender.tab?.id)
+        .then(sendResponse)
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case "testPersona":
+      testPersona(message.persona, message.message, message.profileId)
+        .then(sendResponse)
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case "getSettings":
+      getSettings(sender.tab?.id, message.profileId).then(sendResponse);
+      return true;
+
+    case "getTabProfile":
+      getTabProfile(message.tabId ?? sender.tab?.id)
+        .then(sendResponse)
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case "bindTabProfile":
+      bindTabProfile(message.tabId, message.profileId)
+        .then(() => getTabProfile(message.tabId))
+        .then(sendResponse)
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case "saveSettings":
+      chrome.storage.sync.set(message.settings).then(() => {
+        broadcastSettingsUpdate(message.settings);
+        sendResponse({ success: true });
+      });
+      return true;
+
+    case "recordEvent":
+      recordEvent(message.event)
+        .then(() => sendResponse({ success: true }))
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case "refreshSelectorPack":
+      refreshSelectorPack()
+        .then((cached) => sendResponse({ version: cached?.pack?.version }))
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case "refreshTeamSnippets":
+      refreshTeamSnippets(message.profileId)
+        .then(sendResponse)
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case "claimAwayMessage":
+      claimAwayMessage(message.chatId).then(sendResponse);
+      return true;
+
+    case "showNotification":
+      showNotification(message.title, message.message, message.type);
+      sendResponse({ success: true });
+      return false;
+  }
+
+  return false;
+});
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "gb-stream") return;
+
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+
+  port.onMessage.addListener(async (message) => {
+    if (message.action === "cancel") {
+      controller.abort();
+      return;
+    }
+
+    const onDelta = (partial) =>
+      port.postMessage({ type: "delta", text: partial });
+    let result = null;
+
+    if (message.action === "correctGrammar") {
+      result = await streamGrammarCorrection(
+        message.text,
+        onDelta,
+        controller.signal,
+        port.sender?.tab?.id,
+      );
+    } else if (message.action === "transform") {
+      result = await runTransformChain(message.text, message.chatId, {
+        onDelta,
+        onStep: (step) => port.postMessage({ type: "step", step }),
+        signal: controller.signal,
+        tabId: port.sender?.tab?.id,
+      });
+    }
+
+    if (result) {
+      try {
+        port.postMessage({ type: "done", result });
+      } catch (error) {
+        // The tab went away before the correction finished.
+      }
+    }
+  });
+});
+
+chrome.commands?.onCommand.addListener(async (name, tab) => {
+  const command = Shortcuts.fromManifestName(name);
+  if (!command) return;
+
+  let target = tab?.url?.includes("web.whatsapp.com") ? tab : null;
+
+  // From any other tab, jump to WhatsApp Web so the command has a target.
+  if (!target) {
+    [target] = await chrome.tabs.query({ url: "https://web.whatsapp.com/*" });
+    if (!target) return;
+
+    await chrome.tabs.update(target.id, { active: true });
+    await chrome.windows?.update(target.windowId, { focused: true });
+  }
+
+  log.debug("Running command", command);
+  chrome.tabs
+    .sendMessage(target.id, { action: "runCommand", command })
+    .catch(() => {});
+});
+
+chrome.contextMenus?.onClicked.addListener(async (info, tab) => {
+  if (!info.selectionText) return;
+
+  if (info.menuItemId === "gb-correct-grammar") {
+    const corrected = await handleGrammarCorrection(
+      info.selectionText,
+      tab?.id,
+    );
+    if (corrected.processedText && tab?.id) {
+      chrome.tabs
+        .sendMessage(tab.id, {
+          action: "replaceSelection",
+          text: corrected.processedText,
+          title: "Grammar Correction",
+        })
+        .catch(() => {});
+    }
+    return;
+  }
+
+  if (String(info.menuItemId).startsWith("gb-translate-")) {
+    const targetLang = String(info.menuItemId).replace("gb-translate-", "");
+    const translated = await handleTranslation(
+      info.selectionText,
+      targetLang,
+      tab?.id,
+    );
+
+    if (translated.error) {
+      showNotification("Translation Failed", translated.error, "error");
+      return;
+    }
+
+    if (tab?.id) {
+      chrome.tabs
+        .sendMessage(tab.id, {
+          action: "replaceSelection",
+          text: translated.processedText,
+          title: `Translation (${TRANSLATION_LANGUAGES[targetLang]})`,
+        })
+        .catch(() => {});
+    }
+  }
+});
+
+// Before per-command bindings there was a single `shortcut` setting that
+// was never wired up; carry it over as the "correct draft" binding.
+async function migrateShortcutSetting() {
+  const { shortcut, shortcuts } = await chrome.storage.sync.get([
+    "shortcut",
+    "shortcuts",
+  ]);
+  if (shortcut === undefined) return;
+
+  if (!shortcuts && Shortcuts.isValid(shortcut)) {
+    await chrome.storage.sync.set({
+      shortcuts: {
+        ...Shortcuts.getDefaults(),
+        correctDraft: Shortcuts.normalize(shortcut),
+      },
+    });
+  }
+  await chrome.storage.sync.remove("shortcut");
+}
+
+/**
+ * The AI tab used to have a single response style and instructions; they
+ * become the default persona.
+ */
+async function migratePersonaSettings() {
+  const legacy = await chrome.storage.sync.get([
+    "responseStyle",
+    "customInstructions",
+    "personas",
+  ]);
+  if (
+    legacy.responseStyle === undefined &&
+    legacy.customInstructions === undefined
+  ) {
+    return;
+  }
+
+  if (!legacy.personas) {
+    await chrome.storage.sync.set({
+      personas: [
+        Personas.normalize({
+          ...Personas.getDefaults()[0],
+          responseStyle: legacy.responseStyle,
+          customInstructions: legacy.customInstructions,
+        }),
+      ],
+    });
+  }
+  await chrome.storage.sync.remove(["responseStyle", "customInstructions"]);
+}
+
+// The token used to be kept in sync storage, which copied it to every
+// browser the user signs into. The browser that migrates first keeps it.
+async function migrateAuthToken() {
+  const { authToken, authenticated } = await chrome.storage.sync.get([
+    "authToken",
+    "authenticated",
+  ]);
+  if (authToken === undefined && authenticated === undefined) return;
+
+  if (authToken) {
+    await saveTokens(Profiles.DEFAULT_ID, { token: authToken });
+    await chrome.storage.local.set({ authenticated: true });
+  }
+  await chrome.storage.sync.remove(["authToken", "authenticated"]);
+}
+
+// Refresh tokens used to be kept in local storage, in plain text on disk.
+async function migrateRefreshTokens() {
+  const items = await chrome.storage.local.get(null);
+  const keys = Object.keys(items).filter(
+    (key) => key === "refreshToken" || key.startsWith("refreshToken:"),
+  );
+  if (keys.length === 0) return;
+
+  await chrome.storage.session.set(
+    Object.fromEntries(keys.map((key) => [key, items[key]])),
+  );
+  await chrome.storage.local.remove(keys);
+}
+
+/**
+ * Settings with a profile applied: `profileId` when given, else the one
+ * the tab uses (its own, else the browser's active profile).
+ */
+async function getSettings(tabId, profileId) {
+  const settings = await chrome.storage.sync.get(DEFAULT_CONFIG);
+  if (profileId) return Profiles.apply(settings, profileId);
+
+  const { tabProfiles } = await chrome.storage.session.get({
+    tabProfiles: {},
+  });
+  const { activeProfile } = await chrome.storage.local.get({
+    activeProfile: Profiles.DEFAULT_ID,
+  });
+  return Profiles.apply(
+    settings,
+    Profiles.resolveId(settings, [tabProfiles[tabId], activeProfile]),
+  );
+}
+
+/**
+ * The profile a WhatsApp Web tab uses as { id, name, bound, authenticated },
+ * where `bound` means the tab has a profile of its own.
+ */
+async function getTabProfile(tabId) {
+  const settings = await getSettings(tabId);
+  const { tabProfiles } = await chrome.storage.session.get({
+    tabProfiles: {},
+  });
+  const key = Profiles.storageKey("authenticated", settings.profileId);
+  const { [key]: authenticated } = await chrome.storage.local.get({
+    [key]: false,
+  });
+
+  return {
+    id: settings.profileId,
+    name: settings.profileName,
+    bound: tabProfiles[tabId] === settings.profileId,
+    authenticated,
+  };
+}
+
+// A null profile unbinds the tab, which then follows the active profile.
+async function bindTabProfile(tabId, profileId) {
+  const { tabProfiles } = await chrome.storage.session.get({
+    tabProfiles: {},
+  });
+  if (!profileId && !(tabId in tabProfiles)) return;
+
+  if (profileId) {
+    tabProfiles[tabId] = profileId;
+  } else {
+    delete tabProfiles[tabId];
+  }
+  await chrome.storage.session.set({ tabProfiles });
+}
+
+async function getContactProfile(chatId) {
+  if (!chatId) return {};
+  const { contactProfiles } = await chrome.storage.local.get({
+    contactProfiles: {},
+  });
+  return contactProfiles[chatId] || {};
+}
+
+/**
+ * Fetches the selector pack and caches the last valid one in local storage
+ * as { pack, fetchedAt, checkedAt }, where content scripts pick it up. A
+ * failed or invalid download keeps the cached pack.
+ */
+async function refreshSelectorPack() {
+  const { selectorPack } = await chrome.storage.local.get({
+    selectorPack: null,
+  });
+  if (
+    selectorPack &&
+    Date.now() - selectorPack.checkedAt < SELECTOR_PACK_MIN_INTERVAL
+  ) {
+    return selectorPack;
+  }
+
+  const settings = await chrome.storage.sync.get(DEFAULT_CONFIG);
+  const url =
+    settings.selectorPackUrl ||
+    `${settings.gbServerUrl}/api/v1/extension/selectors`;
+  const cached = { ...selectorPack, checkedAt: Date.now() };
+
+  try {
+    const response = await HttpClient.request(url, {
+      timeout: settings.apiTimeout,
+      retries: 1,
+      cache: "no-cache",
+    });
+    const pack = Selectors.validatePack(await response.json());
+
+    if (pack.version !== selectorPack?.pack?.version) {
+      log.info("Selector pack updated", pack.version);
+    }
+    cached.pack = pack;
+    cached.fetchedAt = Date.now();
+  } catch (error) {
+    log.warn("Selector pack refresh failed", error.message);
+  }
+
+  await chrome.storage.local.set({ selectorPack: cached });
+  return cached;
+}
+
+/**
+ * Fetches the shared templates of a profile's instance into local storage
+ * as { instanceId, snippets, fetchedAt }, under the profile's own key so
+ * each tab shows the library of the profile it is bound to. The cache is
+ * dropped when the library is turned off or the account changes, and kept
+ * when the server can't be reached.
+ */
+async function refreshTeamSnippets(profileId) {
+  const settings = await getSettings(undefined, profileId);
+  const cacheKey = Profiles.storageKey("teamSnippets", settings.profileId);
+  const authenticatedKey = Profiles.storageKey(
+    "authenticated",
+    settings.profileId,
+  );
+  const { [cacheKey]: teamSnippets, [authenticatedKey]: authenticated } =
+    await chrome.storage.local.get({
+      [cacheKey]: null,
+      [authenticatedKey]: false,
+    });
+
+  if (!settings.teamSnippets || !authenticated || !settings.instanceId) {
+    if (teamSnippets) await chrome.storage.local.remove(cacheKey);
+    return { count: 0 };
+  }
+
+  try {
+    const authToken = await getAccessToken(settings);
+    const response = await HttpClient.request(
+      `${settings.gbServerUrl}/api/v1/snippets?instanceId=${encodeURIComponent(settings.instanceId)}`,
+      {
+        headers: { Authorization: `Bearer ${authToken}` },
+        timeout: settings.apiTimeout,
+        retries: 1,
+      },
+    );
+    const data = await response.json();
+    const snippets = (Array.isArray(data.snippets) ? data.snippets : [])
+      .filter((snippet) => snippet && snippet.body)
+      .map((snippet) => Snippets.normalize(snippet, "team"));
+
+    await chrome.storage.local.set({
+      [cacheKey]: {
+        instanceId: settings.instanceId,
+        snippets,
+        fetchedAt: Date.now(),
+      },
+    });
+    return { count: snippets.length };
+  } catch (error) {
+    log.warn("Team templates refresh failed", error.message);
+
+    if (teamSnippets && teamSnippets.instanceId !== settings.instanceId) {
+      await chrome.storage.local.remove(cacheKey);
+    }
+    return { count: 0, error: error.message };
+  }
+}
+
+async function refreshAllTeamSnippets() {
+  const settings = await chrome.storage.sync.get(DEFAULT_CONFIG);
+  for (const profile of Profiles.list(settings)) {
+    await refreshTeamSnippets(profile.id);
+  }
+}
+
+async function handleProcessText(text, requested = {}, chatId, tabId) {
+  const settings = await getSettings(tabId);
+  const options = {
+    grammarCorrection: settings.grammarCorrection,
+    ...requested,
+  };
+
+  if (!settings.enableProcessing) {
+    return { processedText: text, changed: false };
+  }
+
+  if (settings.localOnly) {
+    if (!options.grammarCorrection) {
+      return { processedText: text, changed: false };
+    }
+
+    const result = LocalGrammar.check(text, settings.correctionLanguage);
+    return {
+      processedText: result.processedText,
+      changed: result.processedText !== text,
+      corrections: result.corrections,
+    };
+  }
+
+  try {
+    const persona = Personas.resolve(settings, await getContactProfile(chatId));
+    const result = await callProvider(settings, "process", {
+      text,
+      options,
+      persona,
+    });
+    return {
+      processedText: result.processedText,
+      changed: result.processedText !== text,
+      corrections: result.corrections || [],
+    };
+  } catch (error) {
+    log.error("Process text error", error);
+    return { processedText: text, changed: false, error: error.message };
+  }
+}
+
+/**
+ * Runs the outbound transform chain on a message the agent is sending, each
+ * step on the previous step's output. Only the grammar step streams;
+ * `onStep` is told when each step starts. Resolves with { processedText,
+ * original, corrections, steps }, where every step is { id, changed } plus
+ * `skipped` or `error` when it didn't run, or with { cancelled: true }.
+ */
+async function runTransformChain(
+  text,
+  chatId,
+  { onDelta = () => {}, onStep = () => {}, signal, tabId } = {},
+) {
+  const settings = await getSettings(tabId);
+  const contact = await getContactProfile(chatId);
+  const context = Personas.toContext(
+    Personas.resolve(settings, contact),
+    contact,
+  );
+
+  let current = text;
+  let corrections = [];
+  const steps = [];
+
+  for (const id of Transforms.resolve(settings, contact)) {
+    if (signal?.aborted) return { processedText: text, cancelled: true };
+    onStep(id);
+
+    let result;
+    if (id === "redact") {
+      result = { processedText: PiiGuard.redact(current, settings.piiGuard) };
+    } else if (id === "grammar") {
+      result = await streamGrammarCorrection(current, onDelta, signal, tabId);
+      corrections = result.corrections || [];
+    } else if (settings.localOnly) {
+      result = { skipped: "localOnly" };
+    } else if (id === "translate") {
+      result = context.language
+        ? await handleTranslation(current, context.language, tabId)
+        : { skipped: "noLanguage" };
+    } else {
+      const option = id === "tone" ? context.responseStyle : true;
+      result = await handleProcessText(
+        current,
+        { grammarCorrection: false, [id]: option },
+        chatId,
+        tabId,
+      );
+    }
+
+    if (result.cancelled) return { processedText: text, cancelled: true };
+
+    const processedText = result.processedText || current;
+    steps.push({
+      id,
+      changed: processedText !== current,
+      ...(result.skipped && { skipped: result.skipped }),
+      ...(result.error && { error: result.error }),
+    });
+    current = processedText;
+  }
+
+  return { processedText: current, original: text, corrections, steps };
+}
+
+async function handleGrammarCorrection(text, tabId) {
+  const settings = await getSettings(tabId);
+
+  if (settings.localOnly) {
+    return LocalGrammar.check(text, settings.correctionLanguage);
+  }
+
+  try {
+    const result = await callProvider(
+      settings,
+      "grammar",
+      { text },
+      { retries: 1 },
+    );
+    return {
+      processedText: result.processedText,
+      original: text,
+      corrections: result.corrections || [],
+      language: result.language,
+    };
+  } catch (error) {
+    log.error("Grammar correction error", error);
+    return { processedText: text, error: error.message };
+  }
+}
+
+async function streamGrammarCorrection(text, onDelta, signal, tabId) {
+  const settings = await getSettings(tabId);
+  const provider = LLMProviders.get(settings.provider);
+
+  if (settings.localOnly || !provider.parseStreamEvent) {
+    return handleGrammarCorrection(text, tabId);
+  }
+
+  // The stream is read here, so its placeholders are put back here too.
+  const masker = PiiGuard.createMasker(settings.piiGuard);
+
+  try {
+    const response = await callProvider(
+      settings,
+      "grammar",
+      { text },
+      { retries: 1, signal, stream: true, masker },
+    );
+
+    // Servers without streaming support answer with a plain JSON body.
+    if (!(response instanceof Response)) {
+      return { ...response, original: text };
+    }
+
+    let streamed = "";
+    let final = null;
+
+    await HttpClient.readEvents(
+      response,
+      (event) => {
+        const { delta, result } = provider.parseStreamEvent("grammar", event, {
+          text: masker.mask(text),
+        });
+
+        if (result) final = masker.unmaskAll(result);
+        if (delta) {
+          streamed += delta;
+          onDelta(masker.unmask(streamed));
+        }
+      },
+      { signal, idleTimeout: settings.apiTimeout },
+    );
+
+    return {
+      processedText:
+        final?.processedText || masker.unmask(streamed).trim() || text,
+      original: text,
+      corrections: final?.corrections || [],
+      language: final?.language,
+    };
+  } catch (error) {
+    if (signal?.aborted) {
+      return { processedText: text, cancelled: true };
+    }
+
+    log.error("Streaming correction error", error);
+    return { processedText: text, error: error.message };
+  }
+}
+
+async function handleTranslation(text, targetLang, tabId) {
+  const settings = await getSettings(tabId);
+
+  if (!TRANSLATION_LANGUAGES[targetLang]) {
+    return {
+      processedText: text,
+      error: `Unsupported language: ${targetLang}`,
+    };
+  }
+
+  if (settings.localOnly) {
+    return {
+      processedText: text,
+      error: "Translation is unavailable in local-only mode",
+    };
+  }
+
+  try {
+    const result = await callProvider(settings, "translate", {
+      text,
+      targetLang,
+    });
+    return {
+      processedText: result.processedText,
+      original: text,
+      language: result.language,
+      targetLanguage: targetLang,
+    };
+  } catch (error) {
+    log.error("Translation error", error);
+    return { processedText: text, error: error.message };
+  }
+}
+
+/**
+ * `incoming` describes the WhatsApp message being answered, as
+ * { id, sentAt }, for the governor's duplicate and age checks.
+ */
+async function handleAutoReply(
+  context,
+  lastMessages = [],
+  tabId,
+  incoming = {},
+) {
+  const settings = await getSettings(tabId);
+
+  if (!settings.autoMode) {
+    return { reply: null, autoModeDisabled: true };
+  }
+
+  if (settings.localOnly) {
+    return {
+      reply: null,
+      error: "Auto-reply is unavailable in local-only mode",
+    };
+  }
+
+  const message = {
+    chatId: context?.chatId,
+    messageId: incoming.id,
+    text: context?.lastMessage,
+    sentAt: incoming.sentAt,
+  };
+  const verdict = await reviewIncomingMessage(settings, message, context);
+  if (!verdict.allowed) {
+    return { reply: null, blocked: verdict.reason };
+  }
+
+  const detected =
+    settings.handoff &&
+    Handoff.detect(context?.lastMessage, settings.handoffKeywords);
+  if (detected) {
+    await releaseAutoReply(verdict.reservation);
+    return { reply: null, handoff: await startHandoff(context, detected) };
+  }
+
+  try {
+    const result = await requestAutoReply(settings, context, lastMessages);
+    if (result.reply) {
+      await recordAutoReply(message, result.reply, verdict.reservation);
+      recordEvent({
+        type: "autoReplyGenerated",
+        chatId: context?.chatId,
+        contact: context?.contact,
+      });
+    } else {
+      await releaseAutoReply(verdict.reservation);
+    }
+    return result;
+  } catch (error) {
+    log.error("Auto-reply error", error);
+    // A queued retry is reviewed again when the queue is drained.
+    await releaseAutoReply(verdict.reservation);
+
+    if (error.retryable && tabId) {
+      await enqueueAutoReply({
+        context,
+        lastMessages,
+        tabId,
+        profileId: settings.profileId,
+      });
+      return { reply: null, queued: true, error: error.message };
+    }
+
+    return { reply: null, error: error.message };
+  }
+}
+
+let governorUpdates = Promise.resolve();
+
+// The governor state is read and written by one update at a time, so
+// messages arriving together are counted and deduplicated correctly.
+function updateGovernorState(update) {
+  const result = governorUpdates.then(async () => {
+    const { governorState } = await chrome.storage.local.get({
+      governorState: Governor.createState(),
+    });
+    const { state, ...rest } = update(governorState);
+    await chrome.storage.local.set({ governorState: state });
+    return rest;
+  });
+
+  governorUpdates = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Runs `message` past the governor. Messages it refuses get no reply; a
+ * loop or the hourly limit also turns auto mode off.
+ */
+async function reviewIncomingMessage(settings, message, context) {
+  const { autoModeSince } = await chrome.storage.local.get({
+    autoModeSince: 0,
+  });
+  const profile = await getContactProfile(message.chatId);
+  const limits = {
+    perContact: settings.autoReplyContactLimit,
+    global: settings.autoReplyHourlyLimit,
+  };
+
+  const verdict = await updateGovernorState((state) =>
+    Governor.review(
+      state,
+      {
+        ...message,
+        since: Math.max(autoModeSince, profile.autoModeSince || 0),
+      },
+      limits,
+    ),
+  );
+
+  if (!verdict.allowed) {
+    log.warn(`No auto-reply: ${Governor.REASONS[verdict.reason]}`);
+    recordEvent({
+      type: "autoReplyBlocked",
+      chatId: message.chatId,
+      contact: context?.contact,
+    });
+  }
+  if (verdict.trip) {
+    await tripKillSwitch(verdict.reason, context);
+  }
+  return verdict;
+}
+
+function recordAutoReply(message, reply, reservation) {
+  return updateGovernorState((state) => ({
+    state: Governor.record(state, message, reply, reservation),
+  }));
+}
+
+function releaseAutoReply(reservation) {
+  return updateGovernorState((state) => ({
+    state: Governor.release(state, reservation),
+  }));
+}
+
+/**
+ * Turns auto mode off everywhere and tells the agent why. It stays off
+ * until someone turns it back on.
+ */
+async function tripKillSwitch(reason, context = {}) {
+  const trip = {
+    reason,
+    chatId: context.chatId || null,
+    contact: context.contact || null,
+    at: Date.now(),
+  };
+
+  await chrome.storage.sync.set({ autoMode: false });
+  await chrome.storage.local.set({ governorTrip: trip });
+
+  log.error(`Auto mode stopped: ${Governor.REASONS[reason]}`, trip.contact);
+  recordEvent({
+    type: "killSwitch",
+    chatId: trip.chatId,
+    contact: trip.contact,
+  });
+  showNotification(
+    "Auto Mode Stopped",
+    `${Governor.REASONS[reason]}${trip.contact ? ` (${trip.contact})` : ""}. Check the chat before turning auto mode back on.`,
+    "error",
+  );
+}
+
+/**
+ * Candidate replies for the agent to pick from. Unlike auto-replies these
+ * are never queued: a suggestion for a message that has been answered in
+ * the meantime is useless.
+ */
+async function handleReplySuggestions(context, lastMessages = [], tabId) {
+  const settings = await getSettings(tabId);
+
+  if (!settings.replySuggestions) {
+    return { suggestions: [] };
+  }
+
+  if (settings.localOnly) {
+    return {
+      suggestions: [],
+      error: "Reply suggestions are unavailable in local-only mode",
+    };
+  }
+
+  try {
+    const persona = Personas.resolve(settings, context);
+    const result = await callProvider(
+      settings,
+      "suggestReplies",
+      {
+        context: { ...context, ...Personas.toContext(persona, context) },
+        lastMessages,
+        count: REPLY_SUGGESTION_COUNT,
+      },
+      { retries: 0 },
+    );
+    return {
+      suggestions: result.suggestions
+        .filter((text) => !Personas.findBannedPhrase(text, persona))
+        .map((text) => Personas.applySignature(text, persona)),
+    };
+  } catch (error) {
+    log.warn("Reply suggestions failed", error.message);
+    return { suggestions: [], error: error.message };
+  }
+}
+
+/**
+ * A summary and action items for `conversation`, { chatId, contact,
+ * messages }, as read from the open chat by the content script.
+ */
+async function handleChatSummary(conversation, tabId) {
+  const settings = await getSettings(tabId);
+
+  if (settings.localOnly) {
+    return { error: "Chat summaries are unavailable in local-only mode" };
+  }
+
+  if (!conversation?.messages?.length) {
+    return { error: "There are no messages to summarize" };
+  }
+
+  try {
+    const result = await callProvider(settings, "summarize", conversation, {
+      retries: 1,
+    });
+    if (!result.summary) {
+      return { error: "The server returned an empty summary" };
+    }
+    return result;
+  } catch (error) {
+    log.error("Chat summary error", error);
+    return { error: error.message };
+  }
+}
+
+async function requestAutoReply(settings, context, lastMessages, retries) {
+  const persona = Personas.resolve(settings, context);
+  const result = await generateReply(
+    settings,
+    persona,
+    context,
+    lastMessages,
+    retries,
+  );
+
+  // A reply the AI isn't sure about is kept as a draft for the agent.
+  const handoff = settings.handoff && getReplyHandoff(settings, result);
+  if (handoff) {
+    return {
+      ...result,
+      autoSend: false,
+      handoff: await startHandoff(context, handoff),
+    };
+  }
+
+  return {
+    ...result,
+    handoff: null,
+    autoSend:
+      result.autoSend &&
+      !result.bannedPhrase &&
+      settings.autoMode &&
+      !settings.autoApproval,
+  };
+}
+
+function getReplyHandoff(settings, result) {
+  if (result.handoff) {
+    return { reason: "server", detail: null };
+  }
+  if (
+    typeof result.confidence === "number" &&
+    result.confidence < settings.handoffConfidence
+  ) {
+    return {
+      reason: "lowConfidence",
+      detail: `${Math.round(result.confidence * 100)}% sure`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Pauses auto mode for the contact, marks the profile as waiting for an
+ * agent (the chat header shows a "Needs human" badge until someone takes
+ * over) and notifies the agent.
+ */
+async function startHandoff(context = {}, { reason, detail }) {
+  const handoff = { reason, detail, at: Date.now() };
+
+  if (context.chatId) {
+    const { contactProfiles } = await chrome.storage.local.get({
+      contactProfiles: {},
+    });
+    contactProfiles[context.chatId] = {
+      name: context.contact || "",
+      ...contactProfiles[context.chatId],
+      autoMode: false,
+      handoff,
+    };
+    await chrome.storage.local.set({ contactProfiles });
+  }
+
+  log.info(`Handing ${context.contact} over: ${Handoff.describe(handoff)}`);
+  recordEvent({
+    type: "handoff",
+    chatId: context.chatId,
+    contact: context.contact,
+  });
+  showNotification(
+    "Needs a Human",
+    `${context.contact || "A customer"}: ${Handoff.describe(handoff)}`,
+  );
+  return handoff;
+}
+
+/**
+ * Generates a reply in the voice of `persona` and signs it. A reply with a
+ * banned phrase is returned with `bannedPhrase` set so it is never sent
+ * without review.
+ */
+async function generateReply(
+  settings,
+  persona,
+  context,
+  lastMessages,
+  retries,
+) {
+  const result = await callProvider(
+    settings,
+    "autoReply",
+    {
+      context: { ...context, ...Personas.toContext(persona, context) },
+      lastMessages,
+    },
+    { retries },
+  );
+
+  if (!result.reply) {
+    return {
+      reply: null,
+      confidence: result.confidence,
+      autoSend: false,
+      handoff: result.handoff,
+    };
+  }
+
+  const reply = Personas.applySignature(result.reply, persona);
+  const bannedPhrase = Personas.findBannedPhrase(reply, persona);
+  if (bannedPhrase) {
+    log.warn(`Reply held for review, it uses "${bannedPhrase}"`);
+  }
+
+  return {
+    reply,
+    confidence: result.confidence,
+    autoSend: result.autoSend,
+    handoff: result.handoff,
+    bannedPhrase,
+    persona: persona.name,
+  };
+}
+
+/**
+ * Replies to a sample message with a persona from the Options page, saved
+ * or not.
+ */
+async function testPersona(persona, message, profileId) {
+  const settings = await getSettings(undefined, profileId);
+
+  if (settings.localOnly) {
+    return { error: "Personas can't be tested in local-only mode" };
+  }
+
+  return generateReply(
+    settings,
+    Personas.normalize(persona),
+    { contact: "Test contact", lastMessage: message },
+    [{ type: "received", text: message }],
+    0,
+  );
+}
+
+/**
+ * Runs every minute. Entering after hours (or a holiday) starts a new
+ * away-message window and, if the schedule says so, turns auto mode on;
+ * business hours turn it back off only when the scheduler was the one to
+ * turn it on. The result is kept in local storage as `scheduleState` for
+ * the indicator in WhatsApp Web.
+ */
+async function checkBusinessHours(now = new Date()) {
+  const settings = await chrome.storage.sync.get({
+    businessHours: DEFAULT_CONFIG.businessHours,
+    autoMode: DEFAULT_CONFIG.autoMode,
+  });
+  const { scheduleState } = await chrome.storage.local.get({
+    scheduleState: null,
+  });
+  const config = BusinessHours.normalize(settings.businessHours);
+
+  if (!config.enabled) {
+    if (scheduleState?.autoModeChanged && settings.autoMode) {
+      await chrome.storage.sync.set({ autoMode: false });
+    }
+    if (scheduleState) {
+      await chrome.storage.local.remove(["scheduleState", "awayMessagesSent"]);
+    }
+    return null;
+  }
+
+  const status = BusinessHours.getStatus(config, now);
 
-    chrome.tabs.sendMessage(tabId, { action: "tabReady" }).catch(() => {});
+  if (scheduleState && scheduleState.open === status.open) {
+    const next = { ...scheduleState, ...status };
+    if (JSON.stringify(next) !== JSON.stringify(scheduleState)) {
+      await chrome.storage.local.set({ scheduleState: next });
+    }
+    return next;
+  }
 
-    checkAutoAuth(tabId);
+  let autoModeChanged = false;
+  if (!status.open && config.autoMode && !settings.autoMode) {
+    await chrome.storage.sync.set({ autoMode: true });
+    autoModeChanged = true;
+  } else if (status.open && scheduleState?.autoModeChanged) {
+    await chrome.storage.sync.set({ autoMode: false });
   }
-});
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log("General Bots: Received message", message.action);
+  log.info(status.open ? "Business hours started" : "After hours started");
 
-  switch (message.action) {
-    case "processText":
-      handleProcessText(message.text, message.options)
-        .then(sendResponse)
-        .catch((err) => sendResponse({ error: err.message }));
-      return true;
+  const next = { ...status, since: now.getTime(), autoModeChanged };
+  await chrome.storage.local.set({
+    scheduleState: next,
+    awayMessagesSent: {},
+  });
+  return next;
+}
 
-    case "correctGrammar":
-      handleGrammarCorrection(message.text)
-        .then(sendResponse)
-        .catch((err) => sendResponse({ error: err.message }));
-      return true;
+let awayMessageClaims = Promise.resolve();
+
+/**
+ * Returns the away message for the first message from `chatId` in the
+ * current after-hours window, and null for every later one. Claims are
+ * chained so two messages arriving together don't both get it.
+ */
+function claimAwayMessage(chatId) {
+  const claim = awayMessageClaims.then(async () => {
+    const { businessHours } = await chrome.storage.sync.get({
+      businessHours: DEFAULT_CONFIG.businessHours,
+    });
+    const { scheduleState, awayMessagesSent } = await chrome.storage.local.get({
+      scheduleState: null,
+      awayMessagesSent: {},
+    });
+    const { enabled, awayMessage } = BusinessHours.normalize(businessHours);
+
+    if (
+      !chatId ||
+      !enabled ||
+      !awayMessage.trim() ||
+      !scheduleState ||
+      scheduleState.open ||
+      awayMessagesSent[chatId]
+    ) {
+      return { message: null };
+    }
 
-    case "authenticate":
-      handleAuthentication(message.whatsappNumber)
-        .then(sendResponse)
-        .catch((err) => sendResponse({ error: err.message }));
-      return true;
+    awayMessagesSent[chatId] = Date.now();
+    await chrome.storage.local.set({ awayMessagesSent });
+    return { message: awayMessage };
+  });
 
-    case "getAuthStatus":
-      getAuthStatus()
-        .then(sendResponse)
-        .catch((err) => sendResponse({ error: err.message }));
-      return true;
+  awayMessageClaims = claim.catch(() => {});
+  return claim;
+}
 
-    case "generateAutoReply":
-      handleAutoReply(message.context, message.lastMessages)
-        .then(sendResponse)
-        .catch((err) => sendResponse({ error: err.message }));
-      return true;
+async function enqueueAutoReply(item) {
+  const { autoReplyQueue } = await chrome.storage.local.get({
+    autoReplyQueue: [],
+  });
 
-    case "getSettings":
-      chrome.storage.sync.get(DEFAULT_CONFIG).then(sendResponse);
-      return true;
+  autoReplyQueue.push({ ...item, queuedAt: Date.now() });
 
-    case "saveSettings":
-      chrome.storage.sync.set(message.settings).then(() => {
-        broadcastSettingsUpdate(message.settings);
-        sendResponse({ success: true });
-      });
-      return true;
+  await chrome.storage.local.set({
+    autoReplyQueue: autoReplyQueue.slice(-AUTO_REPLY_QUEUE_MAX),
+  });
+}
 
-    case "showNotification":
-      showNotification(message.title, message.message, message.type);
-      sendResponse({ success: true });
-      return false;
+/**
+ * Whether a queued reply for `context` may still go out: the contact isn't
+ * waiting for a human and still has auto mode on (or it is after hours).
+ * A message asking for a human starts the handoff now.
+ */
+async function isAutoReplyWanted(settings, context = {}) {
+  const profile = await getContactProfile(context.chatId);
+  if (profile.handoff) return false;
+
+  const { scheduleState } = await chrome.storage.local.get({
+    scheduleState: null,
+  });
+  const afterHours =
+    settings.businessHours?.enabled && scheduleState && !scheduleState.open;
+  if (!profile.autoMode && !afterHours) return false;
+
+  const detected =
+    settings.handoff &&
+    Handoff.detect(context.lastMessage, settings.handoffKeywords);
+  if (detected) {
+    await startHandoff(context, detected);
+    return false;
   }
+  return true;
+}
 
-  return false;
-});
+let drainingAutoReplies = false;
 
-chrome.contextMenus?.onClicked.addListener(async (info, tab) => {
-  if (!info.selectionText) return;
+async function drainAutoReplyQueue() {
+  if (drainingAutoReplies) return;
+  drainingAutoReplies = true;
 
-  switch (info.menuItemId) {
-    case "gb-correct-grammar":
-      const corrected = await handleGrammarCorrection(info.selectionText);
-      if (corrected.processedText && tab?.id) {
-        chrome.tabs.sendMessage(tab.id, {
-          action: "replaceSelection",
-          text: corrected.processedText,
-        });
-      }
-      break;
+  try {
+    const settings = await chrome.storage.sync.get(DEFAULT_CONFIG);
+    const { autoReplyQueue } = await chrome.storage.local.get({
+      autoReplyQueue: [],
+    });
 
-    case "gb-translate":
-      break;
-  }
-});
+    const pending = autoReplyQueue.filter(
+      (item) => Date.now() - item.queuedAt < AUTO_REPLY_QUEUE_TTL,
+    );
 
-async function handleProcessText(text, options = {}) {
-  const settings = await chrome.storage.sync.get(DEFAULT_CONFIG);
+    while (pending.length > 0 && settings.autoMode && !settings.localOnly) {
+      const item = pending[0];
+      const itemSettings = Profiles.apply(settings, item.profileId);
 
-  if (!settings.enableProcessing) {
-    return { processedText: text, changed: false };
-  }
+      // The contact may have asked for a human, been handed over or had
+      // auto mode turned off while the server was down.
+      if (!(await isAutoReplyWanted(itemSettings, item.context))) {
+        pending.shift();
+        continue;
+      }
 
-  try {
-    const response = await fetch(`${settings.serverUrl}/api/v1/llm/process`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${settings.authToken}`,
-      },
-      body: JSON.stringify({
-        text,
-        instanceId: settings.instanceId,
-        options: {
-          grammarCorrection: settings.grammarCorrection,
-          ...options,
-        },
-      }),
-    });
+      // The message was marked handled when it was queued, so it goes past
+      // the governor again without its id: the rate limits and loop
+      // checks still apply to a backlog sent all at once.
+      const message = {
+        chatId: item.context?.chatId,
+        text: item.context?.lastMessage,
+      };
+      const verdict = await reviewIncomingMessage(
+        itemSettings,
+        message,
+        item.context,
+      );
+      if (!verdict.allowed) {
+        pending.shift();
+        if (verdict.trip) break;
+        continue;
+      }
+
+      try {
+        const result = await requestAutoReply(
+          itemSettings,
+          item.context,
+          item.lastMessages,
+          0,
+        );
+
+        if (result.reply) {
+          await recordAutoReply(message, result.reply, verdict.reservation);
+          await chrome.tabs
+            .sendMessage(item.tabId, {
+              action: "queuedAutoReply",
+              context: item.context,
+              ...result,
+            })
+            .catch(() => {});
+        } else {
+          await releaseAutoReply(verdict.reservation);
+        }
+      } catch (error) {
+        await releaseAutoReply(verdict.reservation);
+        if (error.retryable) break;
+        log.error("Dropping queued auto-reply", error);
+      }
 
-    if (!response.ok) {
-      throw new Error(`Server error: ${response.status}`);
+      pending.shift();
     }
 
-    const data = await response.json();
-    return {
-      processedText: data.processedText || text,
-      changed: data.processedText !== text,
-      corrections: data.corrections || [],
-    };
-  } catch (error) {
-    console.error("General Bots: Process text error", error);
-    return { processedText: text, changed: false, error: error.message };
+    await chrome.storage.local.set({ autoReplyQueue: pending });
+  } finally {
+    drainingAutoReplies = false;
   }
 }
 
-async function handleGrammarCorrection(text) {
-  const settings = await chrome.storage.sync.get(DEFAULT_CONFIG);
+/**
+ * Sends a task to the configured provider. With `stream: true` the raw
+ * Response is returned for streaming bodies so the caller can read events;
+ * JSON bodies are always parsed into the provider's normalized result.
+ */
+async function callProvider(
+  settings,
+  task,
+  payload,
+  {
+    retries = 2,
+    signal,
+    stream = false,
+    masker = PiiGuard.createMasker(settings.piiGuard),
+  } = {},
+) {
+  const provider = LLMProviders.get(settings.provider);
+
+  if (!provider.tasks.includes(task)) {
+    throw new Error(`${provider.label} does not support ${task}`);
+  }
+
+  // API keys for third-party providers stay in local storage, never synced.
+  const apiKeyName = Profiles.storageKey("providerApiKey", settings.profileId);
+  const { [apiKeyName]: providerApiKey } = await chrome.storage.local.get({
+    [apiKeyName]: "",
+  });
+  const authToken =
+    provider.id === "generalbots" ? await getAccessToken(settings) : "";
+
+  // Sensitive data leaves as placeholders such as "[CARD_1]" and is put
+  // back in the answer; a stream is unmasked by whoever reads it.
+  const masked = masker.maskAll(payload);
+  const request = provider.buildRequest(
+    task,
+    masked,
+    { ...settings, providerApiKey, authToken },
+    { stream },
+  );
+
+  const startedAt = Date.now();
+  let response;
 
   try {
-    const response = await fetch(`${settings.serverUrl}/api/v1/llm/grammar`, {
+    response = await HttpClient.request(request.url, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
-        Authorization: `Bearer ${settings.authToken}`,
+        ...request.headers,
       },
-      body: JSON.stringify({
-        text,
-        instanceId: settings.instanceId,
-        language: "auto",
-      }),
+      body: JSON.stringify(request.body),
+      timeout: settings.apiTimeout,
+      retries,
+      signal,
     });
-
-    if (!response.ok) {
-      throw new Error(`Server error: ${response.status}`);
+  } catch (error) {
+    if (!signal?.aborted) {
+      recordEvent({ type: "error", task, message: error.message });
     }
+    throw error;
+  }
 
-    const data = await response.json();
-    return {
-      processedText: data.correctedText || text,
-      original: text,
-      corrections: data.corrections || [],
-      language: data.detectedLanguage,
-    };
-  } catch (error) {
-    console.error("General Bots: Grammar correction error", error);
-    return { processedText: text, error: error.message };
+  // For streams this is the time to the first byte, not the full answer.
+  recordEvent({
+    type: "providerLatency",
+    task,
+    latency: Date.now() - startedAt,
+  });
+
+  const contentType = response.headers.get("Content-Type") || "";
+  if (stream && !contentType.includes("application/json")) {
+    return response;
   }
+
+  return masker.unmaskAll(
+    provider.parseResponse(task, await response.json(), masked),
+  );
 }
 
-async function handleAutoReply(context, lastMessages = []) {
-  const settings = await chrome.storage.sync.get(DEFAULT_CONFIG);
+let statsWrite = Promise.resolve();
 
-  if (!settings.autoMode) {
-    return { reply: null, autoModeDisabled: true };
+/**
+ * Rolls a usage event up into `statsDaily` (per day, per event type and per
+ * contact) and the lifetime `stats` totals read by the popup. Writes are
+ * chained so events arriving together don't overwrite each other.
+ */
+function recordEvent(event) {
+  if (!event?.type) return Promise.resolve();
+
+  statsWrite = statsWrite
+    .then(() => applyStatsEvent(event))
+    .catch((error) => log.error("Stats error", error));
+  return statsWrite;
+}
+
+async function applyStatsEvent(event) {
+  const { stats, statsDaily } = await chrome.storage.local.get({
+    stats: { messagesProcessed: 0, correctionsMade: 0, autoReplies: 0 },
+    statsDaily: {},
+  });
+
+  const count = Number(event.count) > 0 ? Number(event.count) : 1;
+  const dayKey = toDayKey(new Date());
+  const day = (statsDaily[dayKey] ||= {
+    counts: {},
+    latency: { total: 0, samples: 0 },
+    contacts: {},
+  });
+
+  day.counts[event.type] = (day.counts[event.type] || 0) + count;
+
+  if (typeof event.latency === "number" && event.latency >= 0) {
+    day.latency.total += event.latency;
+    day.latency.samples++;
   }
 
-  try {
-    const response = await fetch(
-      `${settings.serverUrl}/api/v1/llm/auto-reply`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${settings.authToken}`,
-        },
-        body: JSON.stringify({
-          context,
-          lastMessages,
-          instanceId: settings.instanceId,
-          whatsappNumber: settings.whatsappNumber,
-        }),
-      },
-    );
+  if (event.chatId) {
+    const contact = (day.contacts[event.chatId] ||= {
+      name: event.contact || "",
+      counts: {},
+    });
+    if (event.contact) contact.name = event.contact;
+    contact.counts[event.type] = (contact.counts[event.type] || 0) + count;
+  }
 
-    if (!response.ok) {
-      throw new Error(`Server error: ${response.status}`);
-    }
+  const total = STATS_TOTALS[event.type];
+  if (total) {
+    stats[total] = (stats[total] || 0) + count;
+  }
 
-    const data = await response.json();
-    return {
-      reply: data.suggestedReply,
-      confidence: data.confidence,
-      autoSend: data.autoSend && settings.autoMode,
-    };
-  } catch (error) {
-    console.error("General Bots: Auto-reply error", error);
-    return { reply: null, error: error.message };
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - STATS_RETENTION_DAYS);
+  const cutoffKey = toDayKey(cutoff);
+  for (const key of Object.keys(statsDaily)) {
+    if (key < cutoffKey) delete statsDaily[key];
   }
+
+  await chrome.storage.local.set({ stats, statsDaily });
 }
 
-async function handleAuthentication(whatsappNumber) {
-  const settings = await chrome.storage.sync.get(DEFAULT_CONFIG);
+// Local calendar day, so a user's evening usage isn't split at UTC midnight.
+function toDayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+async function handleAuthentication(whatsappNumber, profileId) {
+  const settings = await getSettings(undefined, profileId);
 
   try {
-    const response = await fetch(
+    const response = await HttpClient.request(
       `${settings.gbServerUrl}/api/v1/auth/whatsapp/request`,
       {
         method: "POST",
@@ -246,17 +1646,14 @@ async function handleAuthentication(whatsappNumber) {
           extensionId: chrome.runtime.id,
           timestamp: Date.now(),
         }),
+        timeout: settings.apiTimeout,
       },
     );
 
-    if (!response.ok) {
-      throw new Error(`Authentication request failed: ${response.status}`);
-    }
-
     const data = await response.json();
 
     await chrome.storage.sync.set({
-      whatsappNumber,
+      ...Profiles.toStorage(settings, settings.profileId, { whatsappNumber }),
       authPending: true,
       authRequestId: data.requestId,
     });
@@ -267,114 +1664,304 @@ async function handleAuthentication(whatsappNumber) {
       "info",
     );
 
-    pollAuthCompletion(data.requestId);
+    pollAuthCompletion(data.requestId, 0, settings.profileId);
 
     return { success: true, requestId: data.requestId };
   } catch (error) {
-    console.error("General Bots: Authentication error", error);
+    log.error("Authentication error", error);
     return { success: false, error: error.message };
   }
 }
 
-async function pollAuthCompletion(requestId, attempts = 0) {
+async function pollAuthCompletion(requestId, attempts = 0, profileId) {
   if (attempts > 60) {
     await chrome.storage.sync.set({ authPending: false });
     showNotification("Authentication Timeout", "Please try again.", "error");
     return;
   }
 
-  const settings = await chrome.storage.sync.get(DEFAULT_CONFIG);
+  const settings = await getSettings(undefined, profileId);
 
   try {
-    const response = await fetch(
+    const response = await HttpClient.request(
       `${settings.gbServerUrl}/api/v1/auth/whatsapp/status/${requestId}`,
+      { timeout: settings.apiTimeout, retries: 0 },
     );
+    const data = await response.json();
 
-    if (response.ok) {
-      const data = await response.json();
-
-      if (data.status === "completed") {
-        await chrome.storage.sync.set({
-          authToken: data.token,
+    if (data.status === "completed") {
+      const keys = getTokenKeys(settings.profileId);
+      await saveTokens(settings.profileId, data);
+      await chrome.storage.local.set({ [keys.authenticated]: true });
+      await chrome.storage.sync.set({
+        ...Profiles.toStorage(settings, settings.profileId, {
           instanceId: data.instanceId,
-          authPending: false,
-          authenticated: true,
-        });
-
-        showNotification(
-          "Authentication Complete",
-          "You are now connected to General Bots!",
-          "success",
-        );
+        }),
+        authPending: false,
+      });
 
-        broadcastSettingsUpdate({ authenticated: true });
-        return;
-      } else if (data.status === "failed") {
-        await chrome.storage.sync.set({ authPending: false });
-        showNotification(
-          "Authentication Failed",
-          data.message || "Please try again.",
-          "error",
-        );
-        return;
-      }
+      showNotification(
+        "Authentication Complete",
+        "You are now connected to General Bots!",
+        "success",
+      );
+
+      broadcastSettingsUpdate({ authenticated: true }, settings.profileId);
+      return;
+    } else if (data.status === "failed") {
+      await chrome.storage.sync.set({ authPending: false });
+      showNotification(
+        "Authentication Failed",
+        data.message || "Please try again.",
+        "error",
+      );
+      return;
     }
   } catch (error) {
-    console.error("General Bots: Poll auth error", error);
+    log.error("Poll auth error", error);
   }
 
-  setTimeout(() => pollAuthCompletion(requestId, attempts + 1), 5000);
+  setTimeout(
+    () => pollAuthCompletion(requestId, attempts + 1, settings.profileId),
+    5000,
+  );
 }
 
-async function getAuthStatus() {
-  const settings = await chrome.storage.sync.get([
-    "authToken",
-    "authenticated",
-    "whatsappNumber",
-    "instanceId",
+/**
+ * Tokens never touch disk. Both the access token, with its expiry, and the
+ * refresh token that renews it are kept in session storage, which lives in
+ * memory, is cleared when the browser closes and can't be read by content
+ * scripts; signing in again after a restart is the price. Only the
+ * `authenticated` flag is kept in local storage. Each profile has its own
+ * set of keys.
+ */
+function getTokenKeys(profileId) {
+  return {
+    authToken: Profiles.storageKey("authToken", profileId),
+    expiresAt: Profiles.storageKey("authTokenExpiresAt", profileId),
+    refreshToken: Profiles.storageKey("refreshToken", profileId),
+    authenticated: Profiles.storageKey("authenticated", profileId),
+  };
+}
+
+async function saveTokens(profileId, { token, refreshToken, expiresIn }) {
+  const keys = getTokenKeys(profileId);
+  await chrome.storage.session.set({
+    [keys.authToken]: token,
+    [keys.expiresAt]: expiresIn ? Date.now() + expiresIn * 1000 : null,
+    ...(refreshToken && { [keys.refreshToken]: refreshToken }),
+  });
+}
+
+async function readTokens(profileId) {
+  const keys = getTokenKeys(profileId);
+  const session = await chrome.storage.session.get({
+    [keys.authToken]: "",
+    [keys.expiresAt]: null,
+    [keys.refreshToken]: "",
+  });
+  const local = await chrome.storage.local.get({
+    [keys.authenticated]: false,
+  });
+
+  return {
+    authToken: session[keys.authToken],
+    expiresAt: session[keys.expiresAt],
+    refreshToken: session[keys.refreshToken],
+    authenticated: local[keys.authenticated],
+  };
+}
+
+async function signOut(profileId) {
+  const keys = getTokenKeys(profileId);
+  await chrome.storage.session.remove([
+    keys.authToken,
+    keys.expiresAt,
+    keys.refreshToken,
+  ]);
+  await chrome.storage.local.set({ [keys.authenticated]: false });
+  broadcastSettingsUpdate({ authenticated: false }, profileId);
+}
+
+// A deleted profile's credentials and API key go with it.
+async function forgetProfile(profileId) {
+  const keys = getTokenKeys(profileId);
+  await chrome.storage.session.remove([
+    keys.authToken,
+    keys.expiresAt,
+    keys.refreshToken,
+  ]);
+  await chrome.storage.local.remove([
+    keys.authenticated,
+    Profiles.storageKey("providerApiKey", profileId),
+    Profiles.storageKey("teamSnippets", profileId),
   ]);
+}
+
+// Only the server turning the tokens down signs the user out. Timeouts,
+// network errors and server errors leave the session alone.
+function isAuthRejected(error) {
+  return [400, 401, 403].includes(error.status);
+}
 
-  if (!settings.authToken) {
-    return { authenticated: false };
+const pendingRefreshes = new Map();
+
+/**
+ * Exchanges the profile's refresh token for a new access token, one
+ * request at a time. Resolves with the token, or "" when there is no
+ * refresh token or the server rejected it (which signs the profile out);
+ * rejects when the server can't be reached.
+ */
+function refreshAccessToken(settings) {
+  const { profileId } = settings;
+  if (!pendingRefreshes.has(profileId)) {
+    pendingRefreshes.set(
+      profileId,
+      renewTokens(settings).finally(() => pendingRefreshes.delete(profileId)),
+    );
   }
+  return pendingRefreshes.get(profileId);
+}
+
+async function renewTokens(settings) {
+  const { refreshToken } = await readTokens(settings.profileId);
+  if (!refreshToken) return "";
 
   try {
-    const response = await fetch(
-      `${DEFAULT_CONFIG.gbServerUrl}/api/v1/auth/verify`,
+    const response = await HttpClient.request(
+      `${settings.gbServerUrl}/api/v1/auth/refresh`,
       {
-        headers: {
-          Authorization: `Bearer ${settings.authToken}`,
-        },
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+        timeout: settings.apiTimeout,
+        retries: 1,
       },
     );
+    // The server may rotate the refresh token as well.
+    const data = await response.json();
+    await saveTokens(settings.profileId, data);
+    log.info(`Access token renewed for ${settings.profileName}`);
+    return data.token;
+  } catch (error) {
+    if (!isAuthRejected(error)) throw error;
 
-    if (response.ok) {
-      return {
-        authenticated: true,
-        whatsappNumber: settings.whatsappNumber,
-        instanceId: settings.instanceId,
-      };
+    log.warn(`Refresh token rejected, signing ${settings.profileName} out`);
+    await signOut(settings.profileId);
+    return "";
+  }
+}
+
+/**
+ * The access token for General Bots requests with `settings` (and their
+ * profile), renewed first when it is missing or close to expiring. "" when
+ * signed out.
+ */
+async function getAccessToken(settings) {
+  const { authToken, expiresAt, refreshToken } = await readTokens(
+    settings.profileId,
+  );
+  if (
+    authToken &&
+    (!expiresAt || expiresAt - Date.now() > TOKEN_RENEW_MARGIN)
+  ) {
+    return authToken;
+  }
+  if (!refreshToken) return authToken;
+
+  try {
+    return await refreshAccessToken(settings);
+  } catch (error) {
+    // Offline, but the current token still has a few minutes left.
+    if (authToken && expiresAt > Date.now()) return authToken;
+    throw error;
+  }
+}
+
+/**
+ * Checks a profile's session with its server, renewing the access token
+ * when due. While the server can't be reached the last known state is
+ * reported with `offline: true`; only a rejected token signs the profile
+ * out.
+ */
+async function getAuthStatus(profileId) {
+  const settings = await getSettings(undefined, profileId);
+  const { authenticated } = await readTokens(settings.profileId);
+  const account = {
+    profileId: settings.profileId,
+    profileName: settings.profileName,
+    whatsappNumber: settings.whatsappNumber,
+    instanceId: settings.instanceId,
+  };
+
+  try {
+    let token = await getAccessToken(settings);
+
+    try {
+      if (token) {
+        await HttpClient.request(`${settings.gbServerUrl}/api/v1/auth/verify`, {
+          headers: { Authorization: `Bearer ${token}` },
+          timeout: settings.apiTimeout,
+          retries: 1,
+        });
+      }
+    } catch (error) {
+      if (!isAuthRejected(error)) throw error;
+
+      // Revoked or expired early: renew once before giving up.
+      log.warn("Access token rejected, renewing");
+      token = await refreshAccessToken(settings);
+    }
+
+    if (!token) {
+      if (authenticated) await signOut(settings.profileId);
+      return { authenticated: false, ...account };
     }
+    return { authenticated: true, ...account };
   } catch (error) {
-    console.error("General Bots: Verify auth error", error);
+    log.warn("Auth check failed, keeping the session", error.message);
+    return { authenticated, offline: true, ...account };
   }
+}
 
-  await chrome.storage.sync.set({
-    authToken: "",
-    authenticated: false,
-  });
+/**
+ * Signs a profile out of this browser and asks the server to revoke its
+ * tokens. The tokens are dropped here even when the server can't be
+ * reached.
+ */
+async function handleLogout(profileId) {
+  const settings = await getSettings(undefined, profileId);
+  const { authToken, refreshToken } = await readTokens(settings.profileId);
+  let revoked = false;
+
+  if (authToken || refreshToken) {
+    try {
+      await HttpClient.request(`${settings.gbServerUrl}/api/v1/auth/logout`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(authToken && { Authorization: `Bearer ${authToken}` }),
+        },
+        body: JSON.stringify({ refreshToken }),
+        timeout: settings.apiTimeout,
+        retries: 1,
+      });
+      revoked = true;
+    } catch (error) {
+      log.warn("Token revocation failed", error.message);
+    }
+  }
 
-  return { authenticated: false };
+  await signOut(settings.profileId);
+  log.info(`Signed ${settings.profileName} out`);
+  return { success: true, revoked };
 }
 
 async function checkAutoAuth(tabId) {
-  const settings = await chrome.storage.sync.get([
-    "authenticated",
-    "autoMode",
-    "whatsappNumber",
-  ]);
+  const settings = await getSettings(tabId);
+  const { authenticated } = await readTokens(settings.profileId);
 
-  if (settings.authenticated && settings.autoMode) {
+  if (authenticated && settings.autoMode) {
     setTimeout(() => {
       chrome.tabs
         .sendMessage(tabId, {
@@ -386,10 +1973,18 @@ async function checkAutoAuth(tabId) {
   }
 }
 
-async function broadcastSettingsUpdate(settings) {
+/**
+ * Sends changed settings to the WhatsApp Web tabs using `profileId`, or to
+ * every tab for settings all profiles share.
+ */
+async function broadcastSettingsUpdate(settings, profileId) {
   const tabs = await chrome.tabs.query({ url: "https://web.whatsapp.com/*" });
 
   for (const tab of tabs) {
+    if (profileId && (await getSettings(tab.id)).profileId !== profileId) {
+      continue;
+    }
+
     chrome.tabs
       .sendMessage(tab.id, {
         action: "settingsUpdated",
@@ -399,6 +1994,53 @@ async function broadcastSettingsUpdate(settings) {
   }
 }
 
+/**
+ * Tells the WhatsApp Web tabs whose profile changed to look it up again.
+ * `changes` holds the storage changes to `tabProfiles`, `activeProfile` or
+ * `profiles`; a tab is told when the profile it uses, its name or its own
+ * settings are not the same as before them.
+ */
+async function broadcastProfileChange(changes) {
+  const now = {
+    settings: await chrome.storage.sync.get(DEFAULT_CONFIG),
+    ...(await chrome.storage.session.get({ tabProfiles: {} })),
+    ...(await chrome.storage.local.get({ activeProfile: Profiles.DEFAULT_ID })),
+  };
+  const before = {
+    settings: {
+      ...now.settings,
+      profiles: changes.profiles
+        ? changes.profiles.oldValue || []
+        : now.settings.profiles,
+    },
+    tabProfiles: changes.tabProfiles
+      ? changes.tabProfiles.oldValue || {}
+      : now.tabProfiles,
+    activeProfile: changes.activeProfile
+      ? changes.activeProfile.oldValue || Profiles.DEFAULT_ID
+      : now.activeProfile,
+  };
+  const profileOf = ({ settings, tabProfiles, activeProfile }, tabId) => {
+    const profile = Profiles.apply(
+      settings,
+      Profiles.resolveId(settings, [tabProfiles[tabId], activeProfile]),
+    );
+    return JSON.stringify(
+      ["profileId", "profileName", ...Profiles.KEYS].map((key) => profile[key]),
+    );
+  };
+
+  const tabs = await chrome.tabs.query({ url: "https://web.whatsapp.com/*" });
+
+  for (const tab of tabs) {
+    if (profileOf(before, tab.id) === profileOf(now, tab.id)) continue;
+
+    chrome.tabs
+      .sendMessage(tab.id, { action: "profileChanged" })
+      .catch(() => {});
+  }
+}
+
 function showNotification(title, message, type = "info") {
   const iconPath = type === "error" ? "icons/icon48.png" : "icons/icon48.png";
 
@@ -411,15 +2053,102 @@ function showNotification(title, message, type = "info") {
   });
 }
 
-chrome.alarms?.create("checkAuth", { periodInMinutes: 30 });
+/**
+ * Alarms outlive the service worker, and creating one again restarts its
+ * period. The one-minute alarms wake the worker every minute, so the
+ * longer ones are only created when missing or when their period changed.
+ */
+async function ensureAlarm(name, periodInMinutes) {
+  const alarm = await chrome.alarms.get(name);
+  if (alarm?.periodInMinutes !== periodInMinutes) {
+    await chrome.alarms.create(name, { periodInMinutes });
+  }
+}
+
+if (chrome.alarms) {
+  ensureAlarm("checkAuth", AUTH_CHECK_MINUTES);
+  ensureAlarm("drainAutoReplyQueue", 1);
+  ensureAlarm("checkBusinessHours", 1);
+  ensureAlarm("refreshSelectorPack", SELECTOR_PACK_REFRESH_MINUTES);
+  ensureAlarm("refreshTeamSnippets", TEAM_SNIPPETS_REFRESH_MINUTES);
+}
 
-chrome.alarms?.onAlarm.addListener(async (alarm) => {
-  if (alarm.name === "checkAuth") {
-    const status = await getAuthStatus();
+async function checkAllAuthStatus() {
+  const settings = await chrome.storage.sync.get(DEFAULT_CONFIG);
+  for (const profile of Profiles.list(settings)) {
+    const status = await getAuthStatus(profile.id);
     if (!status.authenticated) {
-      console.log("General Bots: Auth token expired or invalid");
+      log.debug(`${profile.name} is not signed in`);
+    }
+  }
+}
+
+// The tokens went with the last browser session; profiles that were
+// signed in show as signed out until the user signs in again.
+chrome.runtime.onStartup.addListener(() => checkAllAuthStatus());
+
+chrome.alarms?.onAlarm.addListener((alarm) => {
+  if (alarm.name === "checkAuth") {
+    checkAllAuthStatus();
+  } else if (alarm.name === "drainAutoReplyQueue") {
+    drainAutoReplyQueue();
+  } else if (alarm.name === "refreshSelectorPack") {
+    refreshSelectorPack();
+  } else if (alarm.name === "refreshTeamSnippets") {
+    refreshAllTeamSnippets();
+  } else if (alarm.name === "checkBusinessHours") {
+    checkBusinessHours();
+  }
+});
+
+// Signing in, switching instances, editing profiles, turning the team library on
+// or off and editing business hours take effect right away instead of on
+// the next alarm.
+chrome.storage.onChanged.addListener((changes, area) => {
+  const signedInOrOut = Object.keys(changes).some(
+    (key) => key === "authenticated" || key.startsWith("authenticated:"),
+  );
+  if (
+    (area === "sync" &&
+      (changes.teamSnippets || changes.instanceId || changes.profiles)) ||
+    (area === "local" && signedInOrOut)
+  ) {
+    refreshAllTeamSnippets();
+  }
+
+  if (area === "sync" && changes.profiles) {
+    const kept = (changes.profiles.newValue || []).map((profile) => profile.id);
+    for (const profile of changes.profiles.oldValue || []) {
+      if (!kept.includes(profile.id)) forgetProfile(profile.id);
     }
   }
+
+  // Tabs can't read session storage, so they are told to look up their
+  // profile again. A renamed or deleted profile changes it too.
+  if (
+    (area === "session" && changes.tabProfiles) ||
+    (area === "local" && changes.activeProfile) ||
+    (area === "sync" && changes.profiles)
+  ) {
+    broadcastProfileChange(changes);
+  }
+
+  if (area === "sync" && changes.businessHours) {
+    checkBusinessHours();
+  }
+
+  // Messages shown before this moment are history, not for auto-replies,
+  // and a previous kill switch trip has been dealt with.
+  if (
+    area === "sync" &&
+    changes.autoMode?.newValue &&
+    !changes.autoMode.oldValue
+  ) {
+    chrome.storage.local.set({ autoModeSince: Date.now() });
+    chrome.storage.local.remove("governorTrip");
+  }
 });
 
-console.log("General Bots: Background service worker initialized");
+self.addEventListener("online", () => drainAutoReplyQueue());
+
+log.info("Background service worker initialized");
@@ -0,0 +1,193 @@
+/**
+ * Business hours for the after-hours scheduler. The service worker checks
+ * `settings.businessHours` every minute: outside business hours (and on
+ * holidays) it can turn auto mode on, and the first message from each
+ * contact in that window gets the away message.
+ *
+ * Times are wall-clock times in `timeZone` (an IANA name, or "" for the
+ * browser's own zone), so the schedule doesn't move when the agent travels
+ * or the computer's clock is set to another zone.
+ */
+const BusinessHours = (function () {
+  "use strict";
+
+  const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+  // How far ahead to look for the next opening, e.g. past a long holiday.
+  const LOOKAHEAD_DAYS = 31;
+
+  const DEFAULT_AWAY_MESSAGE =
+    "Hi {{firstName}}! We're closed right now and will get back to you as soon as we're open.";
+
+  function getDefaults() {
+    return {
+      enabled: false,
+      timeZone: "",
+      days: DAY_NAMES.map((name, day) => ({
+        open: day >= 1 && day <= 5,
+        start: "09:00",
+        end: "18:00",
+      })),
+      holidays: [],
+      autoMode: true,
+      awayMessage: DEFAULT_AWAY_MESSAGE,
+    };
+  }
+
+  function isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function normalize(config = {}) {
+    const defaults = getDefaults();
+    const days = Array.isArray(config.days) ? config.days : defaults.days;
+
+    return {
+      enabled: Boolean(config.enabled),
+      timeZone:
+        config.timeZone && isValidTimeZone(config.timeZone)
+          ? config.timeZone
+          : "",
+      days: defaults.days.map((fallback, day) => ({
+        open: Boolean(days[day]?.open),
+        start: days[day]?.start || fallback.start,
+        end: days[day]?.end || fallback.end,
+      })),
+      holidays: (Array.isArray(config.holidays) ? config.holidays : [])
+        .filter((holiday) => /^(\d{4}-)?\d{2}-\d{2}$/.test(holiday?.date))
+        .map((holiday) => ({
+          date: holiday.date,
+          name: String(holiday.name || "").trim(),
+        })),
+      autoMode: config.autoMode !== false,
+      awayMessage: String(config.awayMessage ?? DEFAULT_AWAY_MESSAGE),
+    };
+  }
+
+  /**
+   * Returns { day: reason } for open days whose hours can't work.
+   */
+  function validate(config) {
+    const problems = {};
+    config.days.forEach((hours, day) => {
+      if (hours.open && toMinutes(hours.start) >= toMinutes(hours.end)) {
+        problems[day] = `${DAY_NAMES[day]}: opening must be before closing`;
+      }
+    });
+    return problems;
+  }
+
+  function toMinutes(time) {
+    const [hours, minutes] = String(time).split(":").map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * The date, weekday and minute of the day in `timeZone`.
+   */
+  function zonedTime(now, timeZone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timeZone || undefined,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      })
+        .formatToParts(now)
+        .map((part) => [part.type, part.value]),
+    );
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+
+    return {
+      date,
+      day: new Date(`${date}T00:00:00Z`).getUTCDay(),
+      minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+  }
+
+  // "YYYY-MM-DD" `offset` days after `date`, with its weekday.
+  function addDays(date, offset) {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + offset);
+    return { date: next.toISOString().slice(0, 10), day: next.getUTCDay() };
+  }
+
+  // A holiday without a year ("12-25") repeats every year.
+  function findHoliday(config, date) {
+    return (
+      config.holidays.find(
+        (holiday) => holiday.date === date || holiday.date === date.slice(5),
+      ) || null
+    );
+  }
+
+  /**
+   * Whether the business is open at `now`, the holiday closing it, if any,
+   * and when that changes next as { dayOffset, date, day, time } in the
+   * schedule's time zone (null when it never opens in the next month).
+   */
+  function getStatus(config, now = new Date()) {
+    const { date, day, minutes } = zonedTime(now, config.timeZone);
+    const holiday = findHoliday(config, date);
+    const today = config.days[day];
+
+    if (
+      !holiday &&
+      today.open &&
+      minutes >= toMinutes(today.start) &&
+      minutes < toMinutes(today.end)
+    ) {
+      return {
+        open: true,
+        holiday: null,
+        nextChange: { dayOffset: 0, date, day, time: today.end },
+      };
+    }
+
+    let nextChange = null;
+    for (let offset = 0; offset <= LOOKAHEAD_DAYS && !nextChange; offset++) {
+      const candidate = addDays(date, offset);
+      const hours = config.days[candidate.day];
+      if (
+        hours.open &&
+        !findHoliday(config, candidate.date) &&
+        (offset > 0 || minutes < toMinutes(hours.start))
+      ) {
+        nextChange = { dayOffset: offset, ...candidate, time: hours.start };
+      }
+    }
+
+    return { open: false, holiday: holiday?.name || null, nextChange };
+  }
+
+  /**
+   * "18:00", "tomorrow 09:00", "Mon 09:00" or, a week or more away,
+   * "2026-12-28 09:00".
+   */
+  function formatChange(change) {
+    if (!change) return "";
+    if (change.dayOffset === 0) return change.time;
+    if (change.dayOffset === 1) return `tomorrow ${change.time}`;
+    if (change.dayOffset < 7) return `${DAY_NAMES[change.day]} ${change.time}`;
+    return `${change.date} ${change.time}`;
+  }
+
+  return {
+    DAY_NAMES,
+    getDefaults,
+    isValidTimeZone,
+    normalize,
+    validate,
+    zonedTime,
+    getStatus,
+    formatChange,
+  };
+})();
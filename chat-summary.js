@@ -0,0 +1,84 @@
+/**
+ * Chat summaries are the handoff notes for a conversation: what the AI made
+ * of the open chat's history, plus the messages it was given, ready to be
+ * pasted into a CRM as Markdown or saved as JSON.
+ *
+ * A message is { id, type: "sent" | "received", sender, timestamp, text,
+ * quoted }, where `quoted` is the { sender, text } it replies to, or null.
+ * `timestamp` is WhatsApp's own label, e.g. "10:32, 19/10/2024", so its
+ * date order follows the browser's language.
+ *
+ * A note is { contact, chatId, createdAt, summary, actionItems, messages }.
+ */
+const ChatSummary = (function () {
+  "use strict";
+
+  /**
+   * The timestamp and sender in a message's data-pre-plain-text, which
+   * WhatsApp writes as "[10:32, 19/10/2024] Maria Silva: ".
+   */
+  function parseMeta(text) {
+    const match = String(text || "").match(/^\[([^\]]*)\]\s*(.*?):\s*$/s);
+    return match
+      ? { timestamp: match[1].trim(), sender: match[2].trim() }
+      : { timestamp: "", sender: "" };
+  }
+
+  function formatTime(time) {
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  // "42 messages, 10:32, 19/10/2024 to 11:05, 19/10/2024"
+  function describeRange(messages = []) {
+    const count = `${messages.length} message${messages.length === 1 ? "" : "s"}`;
+    const first = messages[0]?.timestamp;
+    const last = messages.at(-1)?.timestamp;
+    return first && last ? `${count}, ${first} to ${last}` : count;
+  }
+
+  function toMarkdown(note) {
+    const actionItems =
+      note.actionItems.length > 0
+        ? note.actionItems.map((item) => `- [ ] ${item}`).join("\n")
+        : "None.";
+
+    return [
+      `# Chat with ${note.contact || "Unknown contact"}`,
+      `Summarized ${formatTime(note.createdAt)} from ${describeRange(note.messages)}.`,
+      "## Summary",
+      note.summary.trim(),
+      "## Action Items",
+      actionItems,
+    ].join("\n\n");
+  }
+
+  function toJson(note) {
+    return JSON.stringify(
+      { ...note, createdAt: new Date(note.createdAt).toISOString() },
+      null,
+      2,
+    );
+  }
+
+  // "chat-summary-maria-silva-2024-10-19.md"
+  function fileName(note, extension) {
+    const contact = (note.contact || "chat")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "");
+    const day = formatTime(note.createdAt).slice(0, 10);
+    return `chat-summary-${contact || "chat"}-${day}.${extension}`;
+  }
+
+  return {
+    parseMeta,
+    describeRange,
+    toMarkdown,
+    toJson,
+    fileName,
+  };
+})();
@@ -1,63 +1,258 @@
 (function () {
   "use strict";
 
+  const log = Logger.create("content");
+
   let settings = {
     serverUrl: "https://api.generalbots.com",
+    provider: "generalbots",
     enableProcessing: true,
     hideContacts: false,
     autoMode: false,
+    autoApproval: true,
+    replySuggestions: false,
     grammarCorrection: true,
+    transforms: Transforms.getDefaults(),
+    piiGuard: PiiGuard.getDefaults(),
+    showPreview: true,
+    storeOriginals: true,
+    shortcuts: Shortcuts.getDefaults(),
+    translateTarget: "en",
+    agentName: "",
+    businessHours: BusinessHours.getDefaults(),
     whatsappNumber: "",
-    authenticated: false,
   };
 
   const state = {
     initialized: false,
     currentContact: null,
-    autoModeContacts: new Set(),
+    contactProfiles: {},
     originalMessages: new Map(),
     processingQueue: [],
     isProcessing: false,
+    pendingReplies: [],
+    activeStream: null,
+    simulatingEnter: false,
+    selectorHealth: null,
+    snippets: { personal: [], team: [] },
+    profile: {
+      id: Profiles.DEFAULT_ID,
+      name: Profiles.DEFAULT_NAME,
+      authenticated: false,
+    },
+    snippetPalette: null,
+    suggestions: null,
+    suggestionTimer: null,
+    schedule: null,
   };
 
-  const SELECTORS = {
-    contactList: "#pane-side",
-    chatContainer: ".copyable-area",
-    messageInput: 'div[contenteditable="true"][data-tab="10"]',
-    sendButton: 'button[data-tab="11"]',
-    messageOut: ".message-out",
-    messageIn: ".message-in",
-    messageText: ".selectable-text",
-    contactName: "header ._amig span",
-    chatHeader: "header._amid",
-    conversationPanel: "#main",
-    searchBox: 'div[data-tab="3"]',
+  const DEFAULT_CONTACT_PROFILE = {
+    name: "",
+    autoMode: false,
+    responseStyle: "",
+    customInstructions: "",
+    language: "",
+    personaId: "",
+    handoff: null,
+    quietHours: { enabled: false, start: "22:00", end: "08:00" },
   };
 
+  const CORRECTION_HISTORY_MAX = 1000;
+  const SELF_TEST_INTERVAL = 30000;
+  const SUGGESTION_DELAY = 500;
+  const SUMMARY_MESSAGE_MAX = 200;
+  const HISTORY_LOAD_WAIT = 1500;
+
   async function init() {
     if (state.initialized) return;
 
-    console.log("General Bots: Initializing content script...");
+    log.info("Initializing content script...");
 
+    await loadProfile();
     await loadSettings();
+    await loadContactProfiles();
+    await loadSelectorPack();
+    await loadSnippets();
+    await loadScheduleState();
     applyUIModifications();
     setupInputListener();
     setupMessageObserver();
     setupContactObserver();
     injectControlPanel();
+    setupApprovalShortcuts();
+    setupCommandHotkeys();
+    runSelectorSelfTest();
+    setInterval(runSelectorSelfTest, SELF_TEST_INTERVAL);
 
     state.initialized = true;
-    console.log("General Bots: Content script initialized");
+    log.info("Content script initialized");
+  }
+
+  // The profile this tab works for, and whether it is signed in. Only the
+  // service worker knows which tab is bound to which profile.
+  async function loadProfile() {
+    const profile = await chrome.runtime.sendMessage({
+      action: "getTabProfile",
+    });
+    if (profile && !profile.error) state.profile = profile;
   }
 
   async function loadSettings() {
-    return new Promise((resolve) => {
-      chrome.storage.sync.get(settings, (items) => {
-        settings = { ...settings, ...items };
-        console.log("General Bots: Settings loaded", settings);
-        resolve(settings);
-      });
+    const items = await chrome.storage.sync.get({ ...settings, profiles: [] });
+
+    settings = {
+      ...settings,
+      ...Profiles.apply(items, state.profile.id),
+      shortcuts: { ...Shortcuts.getDefaults(), ...items.shortcuts },
+    };
+    log.debug("Settings loaded", settings);
+    return settings;
+  }
+
+  async function loadSelectorPack() {
+    const { selectorPack } = await chrome.storage.local.get({
+      selectorPack: null,
+    });
+    applySelectorPack(selectorPack?.pack);
+  }
+
+  async function loadSnippets() {
+    const teamKey = Profiles.storageKey("teamSnippets", state.profile.id);
+    const [items, { [teamKey]: teamSnippets }] = await Promise.all([
+      chrome.storage.sync.get(null),
+      chrome.storage.local.get({ [teamKey]: null }),
+    ]);
+    state.snippets.personal = Snippets.fromStorage(items);
+    state.snippets.team = teamSnippets?.snippets || [];
+  }
+
+  async function loadScheduleState() {
+    const { scheduleState } = await chrome.storage.local.get({
+      scheduleState: null,
+    });
+    state.schedule = scheduleState;
+  }
+
+  // The background worker keeps `scheduleState` up to date while business
+  // hours are turned on.
+  function isAfterHours() {
+    return Boolean(
+      settings.businessHours?.enabled && state.schedule && !state.schedule.open,
+    );
+  }
+
+  function applySelectorPack(pack) {
+    try {
+      Selectors.usePack(pack || null);
+    } catch (error) {
+      log.warn("Ignoring invalid selector pack", error.message);
+      Selectors.usePack(null);
+    }
+  }
+
+  /**
+   * Checks that every WhatsApp Web element the extension relies on can
+   * still be found. Missing ones put the panel in degraded mode and ask the
+   * service worker for a newer selector pack.
+   */
+  function runSelectorSelfTest() {
+    const previous = state.selectorHealth;
+    const report = Selectors.selfTest();
+    state.selectorHealth = report;
+
+    const missing = report.missing.join(", ");
+    if (!previous || missing !== previous.missing.join(", ")) {
+      const fallbacks = Object.entries(report.results)
+        .filter(([, result]) => result.found && result.fallback)
+        .map(([name, result]) => `${name} via ${result.via}`);
+
+      if (missing) {
+        log.warn("Selectors not resolved:", missing);
+        chrome.runtime
+          .sendMessage({ action: "refreshSelectorPack" })
+          .catch(() => {});
+      } else if (report.appLoaded) {
+        log.info(
+          "Selector self-test passed",
+          report.packVersion ? `(pack ${report.packVersion})` : "",
+          fallbacks.length > 0 ? `fallbacks: ${fallbacks.join(", ")}` : "",
+        );
+      }
+      log.debug("Selector self-test", report.results);
+    }
+
+    renderDegradedWarning();
+    return report;
+  }
+
+  function renderDegradedWarning() {
+    const warning = document.getElementById("gb-degraded");
+    if (!warning) return;
+
+    const report = state.selectorHealth;
+    const missing = report ? report.missing : [];
+
+    warning.hidden = missing.length === 0;
+    document.getElementById("gb-degraded-icon").hidden = missing.length === 0;
+    document.getElementById("gb-degraded-targets").textContent = missing
+      .map((name) => report.results[name].label)
+      .join(", ");
+  }
+
+  async function loadContactProfiles() {
+    const { contactProfiles } = await chrome.storage.local.get({
+      contactProfiles: {},
     });
+    state.contactProfiles = contactProfiles;
+    return contactProfiles;
+  }
+
+  function getContactProfile(chatId) {
+    return {
+      ...DEFAULT_CONTACT_PROFILE,
+      ...state.contactProfiles[chatId],
+    };
+  }
+
+  async function saveContactProfile(chatId, changes) {
+    const profiles = await loadContactProfiles();
+    const name = getCurrentContactName();
+    const fallbackId = name ? `name:${name}` : null;
+
+    // Adopt a profile created before the chat had messages to read the id from.
+    if (!profiles[chatId] && fallbackId && profiles[fallbackId]) {
+      profiles[chatId] = profiles[fallbackId];
+      delete profiles[fallbackId];
+    }
+
+    profiles[chatId] = {
+      ...DEFAULT_CONTACT_PROFILE,
+      ...profiles[chatId],
+      ...changes,
+      name: name || profiles[chatId]?.name || "",
+      updatedAt: Date.now(),
+    };
+
+    state.contactProfiles = profiles;
+    await chrome.storage.local.set({ contactProfiles: profiles });
+    return profiles[chatId];
+  }
+
+  function isWithinQuietHours(quietHours, now = new Date()) {
+    if (!quietHours?.enabled) return false;
+
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(":").map(Number);
+      return hours * 60 + minutes;
+    };
+
+    const current = now.getHours() * 60 + now.getMinutes();
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    return start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
   }
 
   function applyUIModifications() {
@@ -66,7 +261,7 @@
   }
 
   function applyContactVisibility() {
-    const contactList = document.querySelector(SELECTORS.contactList);
+    const contactList = Selectors.query("contactList");
     if (contactList) {
       const parent = contactList.parentElement;
       if (settings.hideContacts) {
@@ -82,27 +277,45 @@
 
   function applyAutoModeIndicator() {
     let indicator = document.getElementById("gb-auto-mode-indicator");
+    const awayOnly =
+      !settings.autoMode &&
+      isAfterHours() &&
+      Boolean(settings.businessHours.awayMessage.trim());
 
-    if (settings.autoMode) {
+    if (settings.autoMode || awayOnly) {
       if (!indicator) {
         indicator = document.createElement("div");
         indicator.id = "gb-auto-mode-indicator";
         indicator.className = "gb-auto-indicator";
         indicator.innerHTML = `
           <span class="gb-auto-dot"></span>
-          <span>Auto Mode Active</span>
+          <span class="gb-auto-label"></span>
         `;
         document.body.appendChild(indicator);
       }
+      indicator.classList.toggle("gb-auto-indicator-away", awayOnly);
+      indicator.querySelector(".gb-auto-label").textContent = awayOnly
+        ? `Away Message On${describeSchedule()}`
+        : `Auto Mode Active${describeSchedule()}`;
       indicator.style.display = "flex";
     } else if (indicator) {
       indicator.style.display = "none";
     }
   }
 
+  // " · After hours until tomorrow 09:00", or nothing without a schedule.
+  function describeSchedule() {
+    if (!settings.businessHours?.enabled || !state.schedule) return "";
+
+    const { open, holiday, nextChange } = state.schedule;
+    const period = open ? "Business hours" : holiday || "After hours";
+    const until = BusinessHours.formatChange(nextChange);
+    return ` · ${period}${until ? ` until ${until}` : ""}`;
+  }
+
   function setupInputListener() {
     const observer = new MutationObserver(() => {
-      const inputField = document.querySelector(SELECTORS.messageInput);
+      const inputField = Selectors.query("messageInput");
       if (inputField && !inputField.getAttribute("gb-monitored")) {
         setupFieldMonitoring(inputField);
         inputField.setAttribute("gb-monitored", "true");
@@ -114,7 +327,7 @@
       subtree: true,
     });
 
-    const inputField = document.querySelector(SELECTORS.messageInput);
+    const inputField = Selectors.query("messageInput");
     if (inputField && !inputField.getAttribute("gb-monitored")) {
       setupFieldMonitoring(inputField);
       inputField.setAttribute("gb-monitored", "true");
@@ -122,48 +335,55 @@
   }
 
   function setupFieldMonitoring(inputField) {
-    console.log("General Bots: Setting up input field monitoring");
+    log.debug("Setting up input field monitoring");
+
+    inputField.addEventListener("input", () =>
+      updateSnippetPalette(inputField),
+    );
+    inputField.addEventListener("blur", closeSnippetPalette);
 
     inputField.addEventListener("keydown", async (event) => {
+      if (state.simulatingEnter) return;
+      if (handleSnippetPaletteKey(event, inputField)) return;
+
+      if (event.key === "Enter" && !event.shiftKey && state.suggestions) {
+        clearReplySuggestions();
+      }
+
       if (event.key === "Enter" && !event.shiftKey) {
         const originalText = inputField.textContent.trim();
+        if (originalText.length === 0) return;
+
+        // The guard has its own off switch and runs even with processing off.
+        const findings =
+          settings.piiGuard.mode === "off"
+            ? []
+            : PiiGuard.scan(originalText, settings.piiGuard);
+        const contact = getContactProfile(getCurrentChatId());
+        const transform =
+          settings.enableProcessing &&
+          Transforms.resolve(settings, contact).length > 0;
+        if (findings.length === 0 && !transform) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (findings.length > 0 && !(await reviewSensitiveData(findings))) {
+          inputField.focus();
+          return;
+        }
 
-        if (originalText.length > 0 && settings.enableProcessing) {
-          if (settings.grammarCorrection) {
-            event.preventDefault();
-            event.stopPropagation();
-
-            try {
-              showProcessingIndicator(inputField);
-              const result = await processMessageWithLLM(originalText);
-
-              if (
-                result.processedText &&
-                result.processedText !== originalText
-              ) {
-                const shouldSend = await showCorrectionPreview(
-                  originalText,
-                  result.processedText,
-                  inputField,
-                );
-
-                if (shouldSend) {
-                  setInputText(inputField, result.processedText);
-                  state.originalMessages.set(Date.now(), {
-                    original: originalText,
-                    corrected: result.processedText,
-                  });
-                }
-              }
-
-              hideProcessingIndicator();
-              simulateEnterPress(inputField);
-            } catch (error) {
-              console.error("General Bots: Error processing message", error);
-              hideProcessingIndicator();
-              simulateEnterPress(inputField);
-            }
-          }
+        if (!transform) {
+          simulateEnterPress(inputField);
+          return;
+        }
+
+        try {
+          await correctMessage(inputField, originalText, { transform: true });
+        } catch (error) {
+          log.error("Error processing message", error);
+          hideProcessingIndicator();
+          simulateEnterPress(inputField);
         }
       }
     });
@@ -171,42 +391,361 @@
     inputField.classList.add("gb-monitored-input");
   }
 
-  async function processMessageWithLLM(text) {
+  /**
+   * Lists the sensitive data found in a message about to be sent. In warn
+   * mode the agent can still send it; in block mode only edit it. Resolves
+   * with true to send.
+   */
+  function reviewSensitiveData(findings) {
+    const blocked = settings.piiGuard.mode === "block";
+    const modal = document.createElement("div");
+    modal.className = "gb-correction-modal";
+    modal.innerHTML = `
+      <div class="gb-correction-content" role="alertdialog" aria-labelledby="gb-sensitive-title">
+        <div class="gb-correction-header">
+          <span class="gb-correction-icon">🛡️</span>
+          <span id="gb-sensitive-title">Sensitive Data</span>
+        </div>
+        <div class="gb-correction-body">
+          <p class="gb-sensitive-intro">${
+            blocked
+              ? "Messages with this kind of data can't be sent. Remove it and try again."
+              : "This message contains data that shouldn't usually be shared in a chat."
+          }</p>
+          <ul class="gb-sensitive-list">
+            ${findings.map((finding) => `<li>${escapeHtml(PiiGuard.describe(finding))}</li>`).join("")}
+          </ul>
+        </div>
+        <div class="gb-correction-actions">
+          ${blocked ? "" : '<button class="gb-btn gb-btn-secondary" id="gb-sensitive-send">Send Anyway</button>'}
+          <button class="gb-btn gb-btn-primary" id="gb-sensitive-edit">Edit Message</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
     return new Promise((resolve) => {
-      chrome.runtime.sendMessage(
-        {
-          action: "correctGrammar",
-          text: text,
-        },
-        (response) => {
-          if (chrome.runtime.lastError) {
-            console.error(
-              "General Bots: Runtime error",
-              chrome.runtime.lastError,
-            );
-            resolve({ processedText: text });
-            return;
-          }
-          resolve(response || { processedText: text });
-        },
+      const done = (send) => {
+        modal.remove();
+        resolve(send);
+      };
+
+      modal
+        .querySelector("#gb-sensitive-send")
+        ?.addEventListener("click", () => done(true));
+      modal
+        .querySelector("#gb-sensitive-edit")
+        .addEventListener("click", () => done(false));
+      modal.addEventListener("keydown", (event) => {
+        if (event.key === "Escape") done(false);
+      });
+
+      // Pressing Enter again must not send by accident.
+      modal.querySelector("#gb-sensitive-edit").focus();
+    });
+  }
+
+  /**
+   * A draft that is only "/" and a search term opens the template palette
+   * above the message box.
+   */
+  function updateSnippetPalette(inputField) {
+    const match = inputField.textContent.match(/^\/(\S*)$/);
+    const snippets = Snippets.combine(
+      state.snippets.personal,
+      state.snippets.team,
+    );
+
+    if (!match || snippets.length === 0) {
+      closeSnippetPalette();
+      return;
+    }
+
+    if (!state.snippetPalette) {
+      const element = document.createElement("div");
+      element.id = "gb-snippet-palette";
+      element.className = "gb-snippet-palette";
+      element.setAttribute("role", "listbox");
+      element.setAttribute("aria-label", "Templates");
+
+      // Keep focus in the message box while picking with the mouse.
+      element.addEventListener("mousedown", (event) => {
+        event.preventDefault();
+        const item = event.target.closest(".gb-snippet-item");
+        if (item) {
+          const { results } = state.snippetPalette;
+          insertSnippet(inputField, results[item.dataset.index]);
+        }
+      });
+
+      inputField.parentElement.appendChild(element);
+      state.snippetPalette = { element, results: [], selected: 0 };
+    }
+
+    state.snippetPalette.results = Snippets.search(snippets, match[1]);
+    state.snippetPalette.selected = 0;
+    renderSnippetPalette();
+  }
+
+  function renderSnippetPalette() {
+    const { element, results, selected } = state.snippetPalette;
+    element.replaceChildren();
+
+    if (results.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "gb-snippet-empty";
+      empty.textContent = "No templates match";
+      element.appendChild(empty);
+      return;
+    }
+
+    results.forEach((snippet, index) => {
+      const item = document.createElement("div");
+      item.className = "gb-snippet-item";
+      item.dataset.index = index;
+      item.setAttribute("role", "option");
+      item.setAttribute("aria-selected", String(index === selected));
+
+      const header = document.createElement("div");
+      header.className = "gb-snippet-header";
+      if (snippet.shortcut) {
+        const shortcut = document.createElement("span");
+        shortcut.className = "gb-snippet-shortcut";
+        shortcut.textContent = `/${snippet.shortcut}`;
+        header.appendChild(shortcut);
+      }
+      const title = document.createElement("span");
+      title.className = "gb-snippet-title";
+      title.textContent = snippet.title;
+      header.appendChild(title);
+      if (snippet.source === "team") {
+        const badge = document.createElement("span");
+        badge.className = "gb-snippet-team";
+        badge.textContent = "Team";
+        header.appendChild(badge);
+      }
+
+      const body = document.createElement("div");
+      body.className = "gb-snippet-body";
+      body.textContent = snippet.body;
+
+      item.append(header, body);
+      element.appendChild(item);
+    });
+
+    element.children[selected]?.scrollIntoView?.({ block: "nearest" });
+  }
+
+  function closeSnippetPalette() {
+    state.snippetPalette?.element.remove();
+    state.snippetPalette = null;
+  }
+
+  /**
+   * Arrow keys move through the palette, Enter or Tab insert the selected
+   * template and Escape closes it. Returns true when the key was used.
+   */
+  function handleSnippetPaletteKey(event, inputField) {
+    const palette = state.snippetPalette;
+    if (!palette) return false;
+
+    const count = palette.results.length;
+
+    switch (event.key) {
+      case "ArrowDown":
+      case "ArrowUp":
+        if (count === 0) return false;
+        palette.selected =
+          (palette.selected + (event.key === "ArrowDown" ? 1 : count - 1)) %
+          count;
+        renderSnippetPalette();
+        break;
+
+      case "Enter":
+      case "Tab":
+        if (count === 0 || event.shiftKey) {
+          closeSnippetPalette();
+          return false;
+        }
+        insertSnippet(inputField, palette.results[palette.selected]);
+        break;
+
+      case "Escape":
+        closeSnippetPalette();
+        break;
+
+      default:
+        return false;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    return true;
+  }
+
+  function insertSnippet(inputField, snippet) {
+    closeSnippetPalette();
+
+    const values = Snippets.variables({
+      contact: getCurrentContactName(),
+      agent: settings.agentName,
+    });
+    setInputText(inputField, Snippets.expand(snippet.body, values));
+    placeCaretAtEnd(inputField);
+
+    log.debug("Inserted template", snippet.shortcut || snippet.title);
+  }
+
+  function placeCaretAtEnd(inputField) {
+    inputField.focus();
+
+    const range = document.createRange();
+    range.selectNodeContents(inputField);
+    range.collapse(false);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  /**
+   * Corrects the draft, or with `transform` runs it through the outbound
+   * transform chain, and shows the result for review before it is sent.
+   */
+  async function correctMessage(
+    inputField,
+    originalText,
+    { send = true, transform = false } = {},
+  ) {
+    showProcessingIndicator(inputField);
+    const preview = createCorrectionPreview(originalText);
+
+    const request = transform
+      ? { action: "transform", chatId: getCurrentChatId() }
+      : { action: "correctGrammar" };
+    const result = await processMessageWithLLM(originalText, request, {
+      onDelta: (partial) => {
+        updateProcessingIndicator(partial);
+        preview.update(partial);
+      },
+      onStep: (step) =>
+        updateProcessingIndicator(`${Transforms.getStep(step).label}...`),
+    });
+
+    hideProcessingIndicator();
+
+    if (result.cancelled) {
+      preview.close();
+      return;
+    }
+
+    recordEvent("messageProcessed");
+
+    if (result.processedText && result.processedText !== originalText) {
+      const finalText = await preview.finish(
+        result.processedText,
+        result.corrections,
+        result.steps,
       );
+
+      if (finalText !== null && finalText !== originalText) {
+        setInputText(inputField, finalText);
+        rememberCorrection(originalText, finalText);
+      }
+    } else {
+      preview.close();
+    }
+
+    if (send) simulateEnterPress(inputField);
+  }
+
+  async function rememberCorrection(original, corrected) {
+    const entry = {
+      time: Date.now(),
+      chatId: getCurrentChatId(),
+      contact: getCurrentContactName(),
+      original,
+      corrected,
+    };
+    state.originalMessages.set(entry.time, entry);
+
+    if (!settings.storeOriginals) return;
+
+    const { correctionHistory } = await chrome.storage.local.get({
+      correctionHistory: [],
+    });
+    correctionHistory.push(entry);
+    await chrome.storage.local.set({
+      correctionHistory: correctionHistory.slice(-CORRECTION_HISTORY_MAX),
     });
   }
 
-  async function showCorrectionPreview(original, corrected, inputField) {
+  /**
+   * Streams the correction over a long-lived port so partial text can be
+   * rendered while the model is still generating. `request` is the port
+   * action ("correctGrammar" or "transform") and its fields. Resolves with
+   * the final result, or { cancelled: true } when the user aborts.
+   */
+  function processMessageWithLLM(
+    text,
+    request,
+    { onDelta = () => {}, onStep = () => {} } = {},
+  ) {
     return new Promise((resolve) => {
-      if (levenshteinDistance(original, corrected) < 3) {
-        resolve(true);
-        return;
-      }
+      const port = chrome.runtime.connect({ name: "gb-stream" });
+      let settled = false;
+
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        state.activeStream = null;
+        resolve(result);
+      };
+
+      port.onMessage.addListener((message) => {
+        if (message.type === "delta") {
+          onDelta(message.text);
+        } else if (message.type === "step") {
+          onStep(message.step);
+        } else if (message.type === "done") {
+          finish(message.result || { processedText: text });
+          port.disconnect();
+        }
+      });
 
-      const modal = document.createElement("div");
+      port.onDisconnect.addListener(() => {
+        if (chrome.runtime.lastError) {
+          log.error("Runtime error", chrome.runtime.lastError);
+        }
+        finish({ processedText: text });
+      });
+
+      state.activeStream = port;
+      port.postMessage({ ...request, text });
+    });
+  }
+
+  function cancelActiveStream() {
+    state.activeStream?.postMessage({ action: "cancel" });
+  }
+
+  /**
+   * The modal is only opened once the streamed text starts to differ from
+   * the original, so messages that need no correction never flash a dialog.
+   * `finish` resolves with the text to send, or null to keep the original.
+   */
+  function createCorrectionPreview(original) {
+    let modal = null;
+
+    const open = () => {
+      if (modal) return;
+
+      modal = document.createElement("div");
       modal.className = "gb-correction-modal";
       modal.innerHTML = `
         <div class="gb-correction-content">
           <div class="gb-correction-header">
             <span class="gb-correction-icon">✨</span>
-            <span>Grammar Correction</span>
+            <span id="gb-correction-title">Grammar Correction</span>
           </div>
           <div class="gb-correction-body">
             <div class="gb-text-compare">
@@ -215,134 +754,907 @@
                 <p>${escapeHtml(original)}</p>
               </div>
               <div class="gb-corrected">
-                <label>Corrected:</label>
-                <p>${escapeHtml(corrected)}</p>
+                <label id="gb-corrected-label">Corrected:</label>
+                <p id="gb-corrected-text" class="gb-streaming"></p>
               </div>
             </div>
+            <div class="gb-transform-steps" id="gb-transform-steps" hidden></div>
           </div>
           <div class="gb-correction-actions">
-            <button class="gb-btn gb-btn-secondary" id="gb-reject">Keep Original</button>
-            <button class="gb-btn gb-btn-primary" id="gb-accept">Use Corrected</button>
+            <button class="gb-btn gb-btn-secondary" id="gb-cancel-stream">Cancel</button>
+            <button class="gb-btn gb-btn-secondary" id="gb-reject" hidden>Keep Original</button>
+            <button class="gb-btn gb-btn-primary" id="gb-accept" disabled>Use Corrected</button>
           </div>
         </div>
       `;
 
-      document.body.appendChild(modal);
+      document.body.appendChild(modal);
+      document
+        .getElementById("gb-cancel-stream")
+        .addEventListener("click", cancelActiveStream);
+    };
+
+    const close = () => {
+      modal?.remove();
+      modal = null;
+    };
+
+    return {
+      update(partial) {
+        if (!settings.showPreview) return;
+        if (!modal && original.startsWith(partial.trim())) return;
+
+        open();
+        document.getElementById("gb-corrected-text").textContent = partial;
+      },
+
+      finish(corrected, corrections = [], steps = []) {
+        const segments = TextDiff.compute(original, corrected, corrections);
+        const hunkIds = segments
+          .filter((segment) => segment.type === "change")
+          .map((segment) => segment.id);
+        const accepted = new Set(hunkIds);
+
+        return new Promise((resolve) => {
+          let autoClose = null;
+          const done = (text) => {
+            clearTimeout(autoClose);
+            close();
+            recordCorrectionOutcome(hunkIds.length, accepted.size);
+            resolve(text);
+          };
+
+          if (
+            !settings.showPreview ||
+            levenshteinDistance(original, corrected) < 3
+          ) {
+            done(corrected);
+            return;
+          }
+
+          open();
+
+          if (steps.length > 0) {
+            document.getElementById("gb-correction-title").textContent =
+              "Review Before Sending";
+            const stepsEl = document.getElementById("gb-transform-steps");
+            stepsEl.innerHTML = renderTransformSteps(steps);
+            stepsEl.hidden = false;
+          }
+
+          const correctedEl = document.getElementById("gb-corrected-text");
+          correctedEl.replaceChildren(renderDiff(segments));
+          correctedEl.classList.remove("gb-streaming");
+          correctedEl.classList.add("gb-diff");
+
+          const labelEl = document.getElementById("gb-corrected-label");
+          const acceptBtn = document.getElementById("gb-accept");
+          const updateSummary = () => {
+            labelEl.textContent = `Corrected: ${accepted.size} of ${hunkIds.length} changes selected`;
+            acceptBtn.textContent =
+              accepted.size > 0 ? "Apply Selected" : "Send Original";
+          };
+          updateSummary();
+
+          document.getElementById("gb-cancel-stream").hidden = true;
+          document.getElementById("gb-reject").hidden = false;
+          acceptBtn.disabled = false;
+
+          // Reviewing individual changes cancels the auto-accept countdown.
+          autoClose = setTimeout(() => done(corrected), 5000);
+
+          const toggleHunk = (hunkEl) => {
+            clearTimeout(autoClose);
+
+            const id = Number(hunkEl.dataset.hunk);
+            if (accepted.has(id)) accepted.delete(id);
+            else accepted.add(id);
+
+            hunkEl.classList.toggle("gb-diff-rejected", !accepted.has(id));
+            hunkEl.setAttribute("aria-pressed", String(accepted.has(id)));
+            updateSummary();
+          };
+
+          correctedEl.addEventListener("click", (e) => {
+            const hunkEl = e.target.closest(".gb-diff-hunk");
+            if (hunkEl) toggleHunk(hunkEl);
+          });
+
+          correctedEl.addEventListener("keydown", (e) => {
+            const hunkEl = e.target.closest(".gb-diff-hunk");
+            if (hunkEl && (e.key === "Enter" || e.key === " ")) {
+              e.preventDefault();
+              toggleHunk(hunkEl);
+            }
+          });
+
+          acceptBtn.addEventListener("click", () =>
+            done(TextDiff.apply(segments, accepted)),
+          );
+
+          document.getElementById("gb-reject").addEventListener("click", () => {
+            accepted.clear();
+            done(null);
+          });
+        });
+      },
+
+      close,
+    };
+  }
+
+  // Which steps of the transform chain changed the message.
+  function renderTransformSteps(steps) {
+    return steps
+      .map((step) => {
+        const { label, done } = Transforms.getStep(step.id);
+        let status = step.changed ? "changed" : "unchanged";
+        let text = step.changed ? done : `${label}: no change`;
+        if (step.skipped) {
+          status = "skipped";
+          text = `${label}: ${Transforms.SKIPPED[step.skipped]}`;
+        } else if (step.error) {
+          status = "error";
+          text = `${label}: failed`;
+        }
+        return `<span class="gb-transform-step gb-transform-${status}" title="${escapeHtml(step.error || "")}">${escapeHtml(text)}</span>`;
+      })
+      .join("");
+  }
+
+  function recordCorrectionOutcome(offered, accepted) {
+    if (offered === 0) return;
+
+    recordEvent("correctionOffered", { count: offered });
+    if (accepted > 0) {
+      recordEvent("correctionAccepted", { count: accepted });
+    }
+    if (offered > accepted) {
+      recordEvent("correctionRejected", { count: offered - accepted });
+    }
+  }
+
+  /**
+   * Usage events are aggregated by the background worker into the popup
+   * counters and the Options dashboard. They default to the open chat.
+   */
+  function recordEvent(type, details = {}) {
+    chrome.runtime
+      .sendMessage({
+        action: "recordEvent",
+        event: {
+          type,
+          chatId: getCurrentChatId(),
+          contact: getCurrentContactName(),
+          ...details,
+        },
+      })
+      .catch(() => {});
+  }
+
+  function setupMessageObserver() {
+    const observer = new MutationObserver((mutations) => {
+      if (!settings.autoMode && !settings.replySuggestions && !isAfterHours()) {
+        return;
+      }
+
+      // A chat's history renders as a batch of rows; only a message at the
+      // very bottom of the chat can be a new one.
+      let latest = null;
+      for (const mutation of mutations) {
+        for (const node of mutation.addedNodes) {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            const incomingMsg = Selectors.query("messageIn", node);
+            if (incomingMsg || Selectors.matches(node, "messageIn")) {
+              latest = incomingMsg || node;
+            }
+          }
+        }
+      }
+
+      const rows = Selectors.queryAll(["messageIn", "messageOut"]);
+      if (latest && rows.at(-1) === latest) {
+        handleIncomingMessage(latest);
+      }
+    });
+
+    const waitForChat = setInterval(() => {
+      const chatContainer = Selectors.query("chatContainer");
+      if (chatContainer) {
+        clearInterval(waitForChat);
+        observer.observe(chatContainer, {
+          childList: true,
+          subtree: true,
+        });
+        log.info("Message observer started");
+      }
+    }, 1000);
+  }
+
+  /**
+   * Contacts in auto mode get an auto-reply; otherwise, with reply
+   * suggestions on, the agent gets candidate replies to pick from. After
+   * business hours auto mode covers every contact, and the first message
+   * from each one gets the away message instead.
+   */
+  async function handleIncomingMessage(messageElement) {
+    // Only the General Bots API needs the WhatsApp account authentication.
+    if (settings.provider === "generalbots" && !state.profile.authenticated) {
+      return;
+    }
+
+    const currentContact = getCurrentContactName();
+    const chatId = getCurrentChatId();
+    if (!currentContact || !chatId) return;
+
+    const profile = getContactProfile(chatId);
+    const quiet = isWithinQuietHours(profile.quietHours);
+    const afterHours = isAfterHours() && !quiet;
+    const autoReply =
+      settings.autoMode &&
+      (profile.autoMode || afterHours) &&
+      !quiet &&
+      !profile.handoff;
+    if (!autoReply && !afterHours && !settings.replySuggestions) return;
+
+    const messageText = Selectors.query("messageText", messageElement);
+    if (!messageText) return;
+
+    const text = messageText.textContent.trim();
+    if (!text) return;
+
+    const replyContext = {
+      contact: currentContact,
+      chatId,
+      lastMessage: text,
+      responseStyle: profile.responseStyle || undefined,
+      customInstructions: profile.customInstructions || undefined,
+      language: profile.language || undefined,
+      personaId: profile.personaId || undefined,
+    };
+
+    if (afterHours && (await sendAwayMessage(chatId, currentContact))) {
+      return;
+    }
+
+    if (!autoReply) {
+      if (settings.replySuggestions) scheduleReplySuggestions(replyContext);
+      return;
+    }
+
+    log.debug("Processing incoming message for auto-reply", text);
+
+    const context = getConversationContext();
+
+    chrome.runtime.sendMessage(
+      {
+        action: "generateAutoReply",
+        context: replyContext,
+        lastMessages: context,
+        incoming: {
+          id: messageElement.closest("[data-id]")?.dataset.id,
+          sentAt: getMessageTime(messageElement),
+        },
+      },
+      (response) => {
+        if (response?.blocked) {
+          log.info(
+            "Auto-reply held back by the safety checks",
+            response.blocked,
+          );
+          return;
+        }
+
+        if (response?.handoff) {
+          showToast(`${currentContact} needs a human`, "warning");
+        }
+
+        if (response?.queued) {
+          showToast("Server unavailable, auto-reply queued", "warning");
+          return;
+        }
+
+        deliverAutoReply(response, {
+          chatId,
+          contact: currentContact,
+          lastMessage: text,
+        });
+      },
+    );
+  }
+
+  async function sendAwayMessage(chatId, contact) {
+    const response = await chrome.runtime
+      .sendMessage({ action: "claimAwayMessage", chatId })
+      .catch(() => null);
+    if (!response?.message || chatId !== getCurrentChatId()) return false;
+
+    await sendAutoReply(
+      Snippets.expand(
+        response.message,
+        Snippets.variables({ contact, agent: settings.agentName }),
+      ),
+    );
+    recordEvent("awayMessageSent", { chatId });
+    return true;
+  }
+
+  /**
+   * When a message was sent, to the minute, from WhatsApp's
+   * data-pre-plain-text ("[14:05, 19/10/2026] Maria: "). The date's order
+   * follows the browser's locale, so of the readings that make sense the
+   * one closest to now, and not after it, wins.
+   */
+  function getMessageTime(messageElement, now = Date.now()) {
+    const label = messageElement
+      .querySelector("[data-pre-plain-text]")
+      ?.getAttribute("data-pre-plain-text");
+    const match = label?.match(
+      /^\[(\d{1,2}):(\d{2})(?:\s*([AP])\.?\s*M\.?)?,\s*(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})\]/i,
+    );
+    if (!match) return null;
+
+    const [, hours, minutes, meridiem, first, second, third] = match;
+    let hour = Number(hours);
+    if (meridiem) {
+      hour = (hour % 12) + (meridiem.toUpperCase() === "P" ? 12 : 0);
+    }
+
+    const readings =
+      first.length === 4
+        ? [[first, second, third]]
+        : [
+            [third, second, first],
+            [third, first, second],
+          ];
+
+    const candidates = readings
+      .map(([year, month, day]) => {
+        const fullYear = year.length === 2 ? 2000 + Number(year) : Number(year);
+        const date = new Date(fullYear, month - 1, day, hour, minutes);
+        return date.getMonth() === month - 1 ? date.getTime() : null;
+      })
+      .filter((time) => time !== null && time <= now + 60 * 1000);
+
+    return candidates.length > 0 ? Math.max(...candidates) : null;
+  }
+
+  async function deliverAutoReply(response, context) {
+    if (!response || !response.reply) return;
+
+    // A contact waiting for a human only gets replies the agent approves.
+    if (
+      response.autoSend &&
+      !settings.autoApproval &&
+      !getContactProfile(context.chatId).handoff &&
+      context.chatId === getCurrentChatId()
+    ) {
+      await sendAutoReply(response.reply);
+      recordEvent("autoReplySent", { chatId: context.chatId });
+    } else {
+      enqueuePendingReply({
+        chatId: context.chatId,
+        contact: context.contact,
+        incoming: context.lastMessage,
+        reply: response.reply,
+        confidence: response.confidence,
+        bannedPhrase: response.bannedPhrase,
+      });
+    }
+  }
+
+  /**
+   * Messages rendered together, e.g. when a chat is opened, cause a single
+   * request for the last of them.
+   */
+  function scheduleReplySuggestions(context) {
+    clearTimeout(state.suggestionTimer);
+    state.suggestionTimer = setTimeout(
+      () => requestReplySuggestions(context),
+      SUGGESTION_DELAY,
+    );
+  }
+
+  function requestReplySuggestions(context) {
+    const request = { chatId: context.chatId, items: [], loading: true };
+    state.suggestions = request;
+    renderSuggestionBar();
+
+    chrome.runtime.sendMessage(
+      {
+        action: "suggestReplies",
+        context,
+        lastMessages: getConversationContext(),
+      },
+      (response) => {
+        // A newer message or another chat took over in the meantime.
+        if (state.suggestions !== request) return;
+
+        if (
+          !response?.suggestions?.length ||
+          request.chatId !== getCurrentChatId()
+        ) {
+          if (response?.error) log.warn("No reply suggestions", response.error);
+          clearReplySuggestions();
+          return;
+        }
+
+        request.items = response.suggestions;
+        request.loading = false;
+        renderSuggestionBar();
+      },
+    );
+  }
+
+  function renderSuggestionBar() {
+    const inputField = Selectors.query("messageInput");
+    let bar = document.getElementById("gb-suggestion-bar");
+
+    if (!state.suggestions || !inputField) {
+      bar?.remove();
+      return;
+    }
+
+    if (!bar) {
+      bar = document.createElement("div");
+      bar.id = "gb-suggestion-bar";
+      bar.className = "gb-suggestion-bar";
+      bar.addEventListener("click", (event) => {
+        const chip = event.target.closest(".gb-suggestion-chip");
+        if (chip) {
+          insertReplySuggestion(state.suggestions.items[chip.dataset.index]);
+        } else if (event.target.closest(".gb-suggestion-close")) {
+          clearReplySuggestions();
+        }
+      });
+    }
+    if (bar.parentElement !== inputField.parentElement) {
+      inputField.parentElement.appendChild(bar);
+    }
+
+    bar.replaceChildren();
+
+    if (state.suggestions.loading) {
+      const loading = document.createElement("span");
+      loading.className = "gb-suggestion-loading";
+      loading.textContent = "Suggesting replies...";
+      bar.appendChild(loading);
+    } else {
+      state.suggestions.items.forEach((text, index) => {
+        const chip = document.createElement("button");
+        chip.className = "gb-suggestion-chip";
+        chip.dataset.index = index;
+        chip.title = text;
+        chip.textContent = text;
+        bar.appendChild(chip);
+      });
+    }
+
+    const close = document.createElement("button");
+    close.className = "gb-suggestion-close";
+    close.title = "Dismiss suggestions";
+    close.textContent = "×";
+    bar.appendChild(close);
+  }
+
+  function insertReplySuggestion(text) {
+    const inputField = Selectors.query("messageInput");
+    const { chatId } = state.suggestions;
+    clearReplySuggestions();
+    if (!inputField || chatId !== getCurrentChatId()) return;
+
+    setInputText(inputField, text);
+    placeCaretAtEnd(inputField);
+    recordEvent("suggestionUsed");
+  }
+
+  function clearReplySuggestions() {
+    clearTimeout(state.suggestionTimer);
+    state.suggestions = null;
+    renderSuggestionBar();
+  }
+
+  function enqueuePendingReply(item) {
+    state.pendingReplies = state.pendingReplies.filter(
+      (pending) =>
+        pending.chatId !== item.chatId || pending.incoming !== item.incoming,
+    );
+
+    state.pendingReplies.push({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: Date.now(),
+      ...item,
+    });
+
+    renderApprovalDrawer();
+  }
+
+  function renderApprovalDrawer() {
+    let drawer = document.getElementById("gb-approval-drawer");
+
+    if (state.pendingReplies.length === 0) {
+      drawer?.remove();
+      updatePendingBadge();
+      return;
+    }
+
+    if (!drawer) {
+      drawer = document.createElement("div");
+      drawer.id = "gb-approval-drawer";
+      drawer.className = "gb-approval-drawer";
+      document.body.appendChild(drawer);
+    }
+
+    const groups = new Map();
+    for (const item of state.pendingReplies) {
+      if (!groups.has(item.chatId)) groups.set(item.chatId, []);
+      groups.get(item.chatId).push(item);
+    }
+
+    drawer.innerHTML = `
+      <div class="gb-approval-header">
+        <span>Pending Replies (${state.pendingReplies.length})</span>
+      </div>
+      <div class="gb-approval-body">
+        ${Array.from(groups.entries())
+          .map(
+            ([, items]) => `
+          <div class="gb-approval-group">
+            <div class="gb-approval-contact">${escapeHtml(items[0].contact)} <span>${items.length}</span></div>
+            ${items.map(renderPendingReply).join("")}
+          </div>
+        `,
+          )
+          .join("")}
+      </div>
+      <div class="gb-approval-footer">${escapeHtml(getApprovalHint())}</div>
+    `;
+
+    drawer.querySelectorAll(".gb-approval-item").forEach((itemEl) => {
+      const id = itemEl.dataset.id;
+      const textarea = itemEl.querySelector("textarea");
+
+      itemEl
+        .querySelector(".gb-approve")
+        .addEventListener("click", () => approvePendingReply(id));
+      itemEl
+        .querySelector(".gb-edit")
+        .addEventListener("click", () => editPendingReply(id));
+      itemEl
+        .querySelector(".gb-discard")
+        .addEventListener("click", () => discardPendingReply(id));
+
+      textarea.addEventListener("keydown", (event) => {
+        if (event.key === "Enter" && event.ctrlKey) {
+          event.preventDefault();
+          approvePendingReply(id);
+        } else if (event.key === "Escape") {
+          textarea.readOnly = true;
+          textarea.value = getPendingReply(id).reply;
+          textarea.blur();
+        }
+      });
+
+      textarea.addEventListener("input", () => {
+        getPendingReply(id).reply = textarea.value;
+      });
+    });
+
+    updatePendingBadge();
+  }
+
+  // Approve follows the user's binding; the others are fixed.
+  function getApprovalHint() {
+    const approve = settings.shortcuts.approveNext;
+    return [
+      approve && `${approve} approve`,
+      "Alt+Shift+E edit",
+      "Alt+Shift+D discard",
+      "Ctrl+Enter send edit",
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  function renderPendingReply(item) {
+    const confidence =
+      typeof item.confidence === "number"
+        ? `<span class="gb-approval-confidence">${Math.round(item.confidence * 100)}%</span>`
+        : "";
+
+    return `
+      <div class="gb-approval-item" data-id="${item.id}">
+        <p class="gb-approval-incoming">${escapeHtml(item.incoming)}</p>
+        ${item.bannedPhrase ? `<p class="gb-approval-warning">Uses "${escapeHtml(item.bannedPhrase)}", which the persona doesn't allow</p>` : ""}
+        <textarea readonly>${escapeHtml(item.reply)}</textarea>
+        <div class="gb-approval-actions">
+          ${confidence}
+          <button class="gb-approval-btn gb-discard" title="Discard (Alt+Shift+D)">Discard</button>
+          <button class="gb-approval-btn gb-edit" title="Edit (Alt+Shift+E)">Edit</button>
+          <button class="gb-approval-btn gb-approve" title="Approve and send (${escapeHtml(settings.shortcuts.approveNext || "")})">Approve</button>
+        </div>
+      </div>
+    `;
+  }
+
+  function getPendingReply(id) {
+    return state.pendingReplies.find((item) => item.id === id);
+  }
+
+  function getNextPendingReply() {
+    const chatId = getCurrentChatId();
+    return (
+      state.pendingReplies.find((item) => item.chatId === chatId) ||
+      state.pendingReplies[0]
+    );
+  }
+
+  async function approvePendingReply(id) {
+    const item = getPendingReply(id);
+    if (!item) return;
+
+    if (item.chatId !== getCurrentChatId()) {
+      showToast(
+        `Open the chat with ${item.contact} to send this reply`,
+        "warning",
+      );
+      return;
+    }
+
+    const text = item.reply.trim();
+    if (!text) {
+      discardPendingReply(id);
+      return;
+    }
+
+    state.pendingReplies = state.pendingReplies.filter((p) => p.id !== id);
+    renderApprovalDrawer();
+    await sendAutoReply(text);
+    recordEvent("autoReplySent", {
+      chatId: item.chatId,
+      contact: item.contact,
+    });
+  }
+
+  function editPendingReply(id) {
+    const textarea = document.querySelector(
+      `.gb-approval-item[data-id="${id}"] textarea`,
+    );
+    if (!textarea) return;
+
+    textarea.readOnly = false;
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+  }
+
+  function discardPendingReply(id) {
+    const item = getPendingReply(id);
+    if (item) {
+      recordEvent("autoReplyDiscarded", {
+        chatId: item.chatId,
+        contact: item.contact,
+      });
+    }
+
+    state.pendingReplies = state.pendingReplies.filter((p) => p.id !== id);
+    renderApprovalDrawer();
+  }
+
+  function setupApprovalShortcuts() {
+    document.addEventListener(
+      "keydown",
+      (event) => {
+        if (!event.altKey || !event.shiftKey) return;
+
+        const next = getNextPendingReply();
+        if (!next) return;
+
+        // Approving is a rebindable command, see setupCommandHotkeys.
+        const actions = {
+          KeyE: editPendingReply,
+          KeyD: discardPendingReply,
+        };
+
+        const action = actions[event.code];
+        if (action) {
+          event.preventDefault();
+          event.stopPropagation();
+          action(next.id);
+        }
+      },
+      true,
+    );
+  }
 
-      const autoClose = setTimeout(() => {
-        modal.remove();
-        resolve(true);
-      }, 5000);
+  function setupCommandHotkeys() {
+    document.addEventListener(
+      "keydown",
+      (event) => {
+        if (state.simulatingEnter) return;
 
-      document.getElementById("gb-accept").addEventListener("click", () => {
-        clearTimeout(autoClose);
-        modal.remove();
-        resolve(true);
-      });
+        const command = Shortcuts.match(event, settings.shortcuts);
+        if (!command) return;
 
-      document.getElementById("gb-reject").addEventListener("click", () => {
-        clearTimeout(autoClose);
-        modal.remove();
-        resolve(false);
-      });
-    });
+        event.preventDefault();
+        event.stopPropagation();
+        runCommand(command);
+      },
+      true,
+    );
   }
 
-  function setupMessageObserver() {
-    const observer = new MutationObserver((mutations) => {
-      if (!settings.autoMode) return;
+  async function runCommand(command) {
+    log.debug("Running command", command);
+    const inputField = Selectors.query("messageInput");
 
-      for (const mutation of mutations) {
-        for (const node of mutation.addedNodes) {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            const incomingMsg = node.querySelector
-              ? node.querySelector(SELECTORS.messageIn)
-              : null;
-            if (
-              incomingMsg ||
-              (node.classList && node.classList.contains("message-in"))
-            ) {
-              handleIncomingMessage(incomingMsg || node);
-            }
-          }
-        }
-      }
-    });
+    switch (command) {
+      case "correctDraft":
+        await correctDraft(inputField);
+        break;
 
-    const waitForChat = setInterval(() => {
-      const chatContainer = document.querySelector(SELECTORS.chatContainer);
-      if (chatContainer) {
-        clearInterval(waitForChat);
-        observer.observe(chatContainer, {
-          childList: true,
-          subtree: true,
-        });
-        console.log("General Bots: Message observer started");
+      case "toggleAutoMode":
+        await toggleContactAutoMode();
+        break;
+
+      case "openPanel":
+        openControlPanel();
+        break;
+
+      case "translateDraft":
+        await translateDraft(inputField);
+        break;
+
+      case "approveNext": {
+        const next = getNextPendingReply();
+        if (next) {
+          await approvePendingReply(next.id);
+        } else {
+          showToast("No replies waiting for approval");
+        }
+        break;
       }
-    }, 1000);
+    }
   }
 
-  async function handleIncomingMessage(messageElement) {
-    if (!settings.autoMode || !settings.authenticated) return;
-
-    const currentContact = getCurrentContactName();
-    if (!currentContact) return;
+  function getDraft(inputField) {
+    const text = inputField?.textContent.trim();
+    if (!text) {
+      showToast("Type a message first", "warning");
+      return null;
+    }
+    return text;
+  }
 
-    if (!state.autoModeContacts.has(currentContact)) return;
+  async function correctDraft(inputField) {
+    const text = getDraft(inputField);
+    if (!text) return;
 
-    const messageText = messageElement.querySelector(SELECTORS.messageText);
-    if (!messageText) return;
+    try {
+      await correctMessage(inputField, text, { send: false });
+    } catch (error) {
+      log.error("Draft correction failed", error);
+      hideProcessingIndicator();
+    }
+    inputField.focus();
+  }
 
-    const text = messageText.textContent.trim();
+  async function translateDraft(inputField) {
+    const text = getDraft(inputField);
     if (!text) return;
 
-    console.log(
-      "General Bots: Processing incoming message for auto-reply",
+    showProcessingIndicator(inputField);
+    const result = await chrome.runtime.sendMessage({
+      action: "translate",
       text,
-    );
+      targetLang: settings.translateTarget,
+    });
+    hideProcessingIndicator();
 
-    const context = getConversationContext();
+    if (!result || result.error) {
+      showToast(result?.error || "Translation failed", "error");
+      return;
+    }
 
-    chrome.runtime.sendMessage(
-      {
-        action: "generateAutoReply",
-        context: {
-          contact: currentContact,
-          lastMessage: text,
-        },
-        lastMessages: context,
-      },
-      async (response) => {
-        if (response && response.reply && response.autoSend) {
-          await sendAutoReply(response.reply);
-        }
-      },
+    setInputText(inputField, result.processedText);
+    inputField.focus();
+  }
+
+  async function toggleContactAutoMode() {
+    const chatId = getCurrentChatId();
+    if (!chatId) {
+      showToast("Open a chat first", "warning");
+      return;
+    }
+
+    const enabled = !getContactProfile(chatId).autoMode;
+    const profile = await saveContactProfile(chatId, {
+      autoMode: enabled,
+      ...(enabled && { autoModeSince: Date.now(), handoff: null }),
+    });
+
+    const button = document.getElementById("gb-toggle-auto");
+    if (button) {
+      button.classList.toggle("active", enabled);
+      button.querySelector(".gb-label").textContent = enabled
+        ? "Auto ON"
+        : "Auto OFF";
+    }
+
+    showToast(
+      `Auto mode ${enabled ? "on" : "off"} for ${profile.name || "this chat"}`,
+      "success",
     );
   }
 
+  function openControlPanel() {
+    const panel = document.getElementById("gb-control-panel");
+    if (!panel) return;
+
+    document.getElementById("gb-panel-body").style.display = "block";
+    document.getElementById("gb-panel-toggle").textContent = "−";
+    panel.querySelector("input, button")?.focus();
+  }
+
+  function updatePendingBadge() {
+    const badge = document.getElementById("gb-pending-count");
+    if (!badge) return;
+
+    badge.textContent = state.pendingReplies.length;
+    badge.style.display =
+      state.pendingReplies.length > 0 ? "inline-flex" : "none";
+  }
+
   function getConversationContext() {
-    const messages = [];
-    const messageElements = document.querySelectorAll(
-      `${SELECTORS.messageIn}, ${SELECTORS.messageOut}`,
+    return Selectors.queryAll(["messageIn", "messageOut"])
+      .slice(-10)
+      .map(readMessage)
+      .filter(Boolean)
+      .map(({ type, text }) => ({ type, text }));
+  }
+
+  /**
+   * A message row as { id, type, sender, timestamp, text, quoted } (see
+   * chat-summary.js), or null for media and other rows without text.
+   */
+  function readMessage(row) {
+    const type = Selectors.matches(row, "messageOut") ? "sent" : "received";
+    const quote = Selectors.query("quotedMessage", row);
+    const textEl = Selectors.queryAll("messageText", row).find(
+      (element) => !quote?.contains(element),
     );
+    if (!textEl) return null;
 
-    const recentMessages = Array.from(messageElements).slice(-10);
+    const meta = ChatSummary.parseMeta(
+      Selectors.query("messageMeta", row)?.dataset.prePlainText,
+    );
+    const fallbackSender =
+      type === "sent"
+        ? settings.agentName || "You"
+        : getCurrentContactName() || "Contact";
+
+    return {
+      id: row.dataset.id || "",
+      type,
+      sender: meta.sender || fallbackSender,
+      timestamp: meta.timestamp,
+      text: textEl.textContent.trim(),
+      quoted: quote ? readQuote(quote) : null,
+    };
+  }
 
-    for (const msg of recentMessages) {
-      const textEl = msg.querySelector(SELECTORS.messageText);
-      if (textEl) {
-        messages.push({
-          type: msg.classList.contains("message-out") ? "sent" : "received",
-          text: textEl.textContent.trim(),
-        });
-      }
-    }
+  // A quote shows its author above the text, except in some replies to
+  // your own messages.
+  function readQuote(quote) {
+    const parts = [...quote.querySelectorAll("span[dir]")]
+      .map((span) => span.textContent.trim())
+      .filter(Boolean);
 
-    return messages;
+    if (parts.length > 1) return { sender: parts[0], text: parts.at(-1) };
+    return { sender: "", text: parts[0] || quote.textContent.trim() };
   }
 
   async function sendAutoReply(text) {
-    const inputField = document.querySelector(SELECTORS.messageInput);
+    const inputField = Selectors.query("messageInput");
     if (!inputField) return;
 
     setInputText(inputField, text);
@@ -354,10 +1666,17 @@
 
   function setupContactObserver() {
     const observer = new MutationObserver(() => {
-      const header = document.querySelector(SELECTORS.chatHeader);
+      const header = Selectors.query("chatHeader");
       if (header && !header.querySelector(".gb-contact-controls")) {
         injectContactControls(header);
       }
+
+      if (
+        state.suggestions &&
+        state.suggestions.chatId !== getCurrentChatId()
+      ) {
+        clearReplySuggestions();
+      }
     });
 
     observer.observe(document.body, {
@@ -367,13 +1686,13 @@
   }
 
   function injectContactControls(header) {
-    const contactName = getCurrentContactName();
-    if (!contactName) return;
+    const chatId = getCurrentChatId();
+    if (!chatId) return;
 
     const controls = document.createElement("div");
     controls.className = "gb-contact-controls";
 
-    const isAutoEnabled = state.autoModeContacts.has(contactName);
+    const isAutoEnabled = getContactProfile(chatId).autoMode;
 
     controls.innerHTML = `
       <button class="gb-contact-btn ${isAutoEnabled ? "active" : ""}"
@@ -388,17 +1707,66 @@
 
     document
       .getElementById("gb-toggle-auto")
-      .addEventListener("click", function () {
-        if (state.autoModeContacts.has(contactName)) {
-          state.autoModeContacts.delete(contactName);
-          this.classList.remove("active");
-          this.querySelector(".gb-label").textContent = "Auto OFF";
-        } else {
-          state.autoModeContacts.add(contactName);
-          this.classList.add("active");
-          this.querySelector(".gb-label").textContent = "Auto ON";
-        }
-      });
+      .addEventListener("click", toggleContactAutoMode);
+
+    updateContactControls();
+  }
+
+  /**
+   * Keeps the header controls in step with the profile, which the
+   * background worker changes when it hands a chat over to a person.
+   */
+  function updateContactControls() {
+    const controls = document.querySelector(".gb-contact-controls");
+    const chatId = getCurrentChatId();
+    if (!controls || !chatId) return;
+
+    const profile = getContactProfile(chatId);
+    const button = document.getElementById("gb-toggle-auto");
+    button.classList.toggle("active", Boolean(profile.autoMode));
+    button.querySelector(".gb-label").textContent = profile.autoMode
+      ? "Auto ON"
+      : "Auto OFF";
+
+    let badge = document.getElementById("gb-handoff-badge");
+    if (!profile.handoff) {
+      badge?.remove();
+      return;
+    }
+
+    if (!badge) {
+      badge = document.createElement("button");
+      badge.id = "gb-handoff-badge";
+      badge.className = "gb-handoff-badge";
+      badge.textContent = "🙋 Needs human";
+      badge.addEventListener("click", takeOverChat);
+      controls.prepend(badge);
+    }
+    badge.title = `${Handoff.describe(profile.handoff)}. Click to take over.`;
+  }
+
+  // Auto mode stays off for the contact until the agent turns it back on.
+  async function takeOverChat() {
+    const chatId = getCurrentChatId();
+    if (!chatId) return;
+
+    const profile = await saveContactProfile(chatId, { handoff: null });
+    updateContactControls();
+    showToast(`You're handling ${profile.name || "this chat"} now`, "success");
+  }
+
+  // The panel shows the connection status and is redrawn when it changes.
+  function setAuthenticated(authenticated) {
+    state.profile.authenticated = authenticated;
+    redrawControlPanel();
+  }
+
+  function redrawControlPanel() {
+    const panel = document.getElementById("gb-control-panel");
+    if (panel) {
+      panel.remove();
+      injectControlPanel();
+    }
   }
 
   function injectControlPanel() {
@@ -409,12 +1777,21 @@
       <div class="gb-panel-header">
         <img src="${chrome.runtime.getURL("icons/icon48.png")}" alt="GB" class="gb-panel-logo">
         <span>General Bots</span>
+        <span class="gb-degraded-icon" id="gb-degraded-icon" title="Limited mode: some WhatsApp Web elements can't be found" hidden>⚠️</span>
         <button class="gb-panel-toggle" id="gb-panel-toggle">−</button>
       </div>
       <div class="gb-panel-body" id="gb-panel-body">
-        <div class="gb-status ${settings.authenticated ? "connected" : "disconnected"}">
+        <div class="gb-status ${state.profile.authenticated ? "connected" : "disconnected"}">
           <span class="gb-status-dot"></span>
-          <span>${settings.authenticated ? "Connected" : "Not Connected"}</span>
+          <span>${state.profile.authenticated ? "Connected" : "Not Connected"}</span>
+          ${state.profile.id !== Profiles.DEFAULT_ID ? `<span class="gb-profile-name" id="gb-profile-name">${escapeHtml(state.profile.name)}</span>` : ""}
+          <span class="gb-pending-count" id="gb-pending-count" title="Replies waiting for approval">${state.pendingReplies.length}</span>
+        </div>
+
+        <div class="gb-degraded" id="gb-degraded" hidden>
+          <strong>Limited mode</strong>
+          <p>WhatsApp Web changed and General Bots can't find: <span id="gb-degraded-targets"></span>. Corrections and auto-replies may not work until the selectors are updated.</p>
+          <button class="gb-btn gb-btn-secondary" id="gb-selftest-btn">Check Again</button>
         </div>
 
         <div class="gb-controls">
@@ -430,6 +1807,12 @@
             <span class="gb-switch"></span>
           </label>
 
+          <label class="gb-switch-label">
+            <span>Reply Suggestions</span>
+            <input type="checkbox" id="gb-suggestions-toggle" ${settings.replySuggestions ? "checked" : ""}>
+            <span class="gb-switch"></span>
+          </label>
+
           <label class="gb-switch-label">
             <span>Auto Mode</span>
             <input type="checkbox" id="gb-auto-toggle" ${settings.autoMode ? "checked" : ""}>
@@ -437,8 +1820,10 @@
           </label>
         </div>
 
+        <button class="gb-btn gb-btn-secondary gb-summarize-btn" id="gb-summarize-btn">📝 Summarize Chat</button>
+
         ${
-          !settings.authenticated
+          !state.profile.authenticated
             ? `
           <div class="gb-auth-section">
             <p>Connect with your General Bots account:</p>
@@ -453,9 +1838,20 @@
 
     document.body.appendChild(panel);
     setupPanelListeners();
+    updatePendingBadge();
+    renderDegradedWarning();
   }
 
   function setupPanelListeners() {
+    document
+      .getElementById("gb-selftest-btn")
+      ?.addEventListener("click", async () => {
+        await chrome.runtime
+          .sendMessage({ action: "refreshSelectorPack" })
+          .catch(() => {});
+        runSelectorSelfTest();
+      });
+
     document
       .getElementById("gb-panel-toggle")
       ?.addEventListener("click", function () {
@@ -469,11 +1865,15 @@
         }
       });
 
+    document
+      .getElementById("gb-summarize-btn")
+      ?.addEventListener("click", summarizeChat);
+
     document
       .getElementById("gb-grammar-toggle")
       ?.addEventListener("change", function () {
         settings.grammarCorrection = this.checked;
-        saveSettings();
+        saveSettings({ grammarCorrection: this.checked });
       });
 
     document
@@ -481,7 +1881,15 @@
       ?.addEventListener("change", function () {
         settings.hideContacts = this.checked;
         applyContactVisibility();
-        saveSettings();
+        saveSettings({ hideContacts: this.checked });
+      });
+
+    document
+      .getElementById("gb-suggestions-toggle")
+      ?.addEventListener("change", function () {
+        settings.replySuggestions = this.checked;
+        if (!this.checked) clearReplySuggestions();
+        saveSettings({ replySuggestions: this.checked });
       });
 
     document
@@ -489,7 +1897,7 @@
       ?.addEventListener("change", function () {
         settings.autoMode = this.checked;
         applyAutoModeIndicator();
-        saveSettings();
+        saveSettings({ autoMode: this.checked });
       });
 
     document
@@ -526,19 +1934,72 @@
       });
   }
 
-  function saveSettings() {
-    chrome.storage.sync.set(settings);
+  // The panel only changes settings every profile shares.
+  function saveSettings(values) {
+    chrome.storage.sync.set(values);
     chrome.runtime.sendMessage({
       action: "saveSettings",
-      settings: settings,
+      settings: values,
     });
   }
 
   function getCurrentContactName() {
-    const nameEl = document.querySelector(SELECTORS.contactName);
+    const nameEl = Selectors.query("contactName");
     return nameEl ? nameEl.textContent.trim() : null;
   }
 
+  /**
+   * Returns a stable identifier for the open chat. Message rows carry the
+   * chat JID in their data-id ("false_5511999999999@c.us_3EB0..."); chats
+   * without rendered messages fall back to the display name.
+   */
+  function getCurrentChatId() {
+    const panel = Selectors.query("conversationPanel");
+    const rows = panel ? panel.querySelectorAll("[data-id]") : [];
+
+    for (const row of rows) {
+      const match = row.dataset.id.match(/^(?:true|false)_([^_]+@[\w.]+)_/);
+      if (match) return match[1];
+    }
+
+    const name = getCurrentContactName();
+    return name ? `name:${name}` : null;
+  }
+
+  function renderDiff(segments) {
+    const fragment = document.createDocumentFragment();
+
+    for (const segment of segments) {
+      if (segment.type === "equal") {
+        fragment.append(segment.text);
+        continue;
+      }
+
+      const hunk = document.createElement("span");
+      hunk.className = `gb-diff-hunk gb-diff-${segment.kind}`;
+      hunk.dataset.hunk = segment.id;
+      hunk.dataset.tooltip = segment.message;
+      hunk.setAttribute("role", "button");
+      hunk.setAttribute("tabindex", "0");
+      hunk.setAttribute("aria-pressed", "true");
+
+      if (segment.removed) {
+        const del = document.createElement("del");
+        del.textContent = segment.removed;
+        hunk.appendChild(del);
+      }
+      if (segment.added) {
+        const ins = document.createElement("ins");
+        ins.textContent = segment.added;
+        hunk.appendChild(ins);
+      }
+
+      fragment.appendChild(hunk);
+    }
+
+    return fragment;
+  }
+
   function setInputText(inputField, text) {
     inputField.textContent = text;
     inputField.dispatchEvent(new InputEvent("input", { bubbles: true }));
@@ -553,7 +2014,14 @@
       bubbles: true,
       cancelable: true,
     });
-    element.dispatchEvent(enterEvent);
+
+    // Our own keydown listener must not intercept the synthetic Enter.
+    state.simulatingEnter = true;
+    try {
+      element.dispatchEvent(enterEvent);
+    } finally {
+      state.simulatingEnter = false;
+    }
   }
 
   function showProcessingIndicator(inputField) {
@@ -564,13 +2032,27 @@
       indicator.className = "gb-processing-indicator";
       indicator.innerHTML = `
         <div class="gb-spinner"></div>
-        <span>Processing with AI...</span>
+        <span class="gb-processing-text" id="gb-processing-text"></span>
+        <button class="gb-processing-cancel" id="gb-processing-cancel" title="Cancel">×</button>
       `;
       inputField.parentElement.appendChild(indicator);
+
+      document
+        .getElementById("gb-processing-cancel")
+        .addEventListener("click", cancelActiveStream);
     }
+    document.getElementById("gb-processing-text").textContent =
+      "Processing with AI...";
     indicator.style.display = "flex";
   }
 
+  function updateProcessingIndicator(partial) {
+    const textEl = document.getElementById("gb-processing-text");
+    if (textEl && partial) {
+      textEl.textContent = partial;
+    }
+  }
+
   function hideProcessingIndicator() {
     const indicator = document.getElementById("gb-processing");
     if (indicator) {
@@ -578,6 +2060,270 @@
     }
   }
 
+  function replaceSelection(text, title) {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) {
+      showResultOverlay(title, text, null);
+      return;
+    }
+
+    const range = selection.getRangeAt(0);
+    const editable = getEditableAncestor(range.commonAncestorContainer);
+
+    if (!editable) {
+      showResultOverlay(title, text, range.getBoundingClientRect());
+      return;
+    }
+
+    range.deleteContents();
+    range.insertNode(document.createTextNode(text));
+    editable.dispatchEvent(new InputEvent("input", { bubbles: true }));
+  }
+
+  function getEditableAncestor(node) {
+    const element =
+      node && node.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+    return element ? element.closest('[contenteditable="true"]') : null;
+  }
+
+  /**
+   * Loads up to SUMMARY_MESSAGE_MAX messages of the open chat and shows the
+   * AI's summary and action items, ready to copy or save as a note.
+   */
+  async function summarizeChat() {
+    const chatId = getCurrentChatId();
+    if (!chatId) {
+      showToast("Open a chat to summarize it", "warning");
+      return;
+    }
+
+    const button = document.getElementById("gb-summarize-btn");
+    button.disabled = true;
+    button.textContent = "Loading history...";
+
+    try {
+      const rows = await loadChatHistory(SUMMARY_MESSAGE_MAX);
+      const conversation = {
+        chatId,
+        contact: getCurrentContactName(),
+        messages: rows.map(readMessage).filter(Boolean),
+      };
+
+      button.textContent = "Summarizing...";
+      const response = await chrome.runtime.sendMessage({
+        action: "summarizeChat",
+        conversation,
+      });
+
+      if (response?.error) {
+        showToast(`Summary failed: ${response.error}`, "error");
+        return;
+      }
+
+      showChatSummary({
+        contact: conversation.contact,
+        chatId,
+        createdAt: Date.now(),
+        summary: response.summary,
+        actionItems: response.actionItems,
+        messages: conversation.messages,
+      });
+    } catch (error) {
+      log.error("Chat summary error", error);
+      showToast("Summary failed", "error");
+    } finally {
+      button.disabled = false;
+      button.textContent = "📝 Summarize Chat";
+    }
+  }
+
+  /**
+   * Scrolls the open chat to the top until WhatsApp stops loading older
+   * messages or `max` are loaded. Returns the newest `max` message rows,
+   * oldest first.
+   */
+  async function loadChatHistory(max) {
+    const rows = () => Selectors.queryAll(["messageIn", "messageOut"]);
+    let count = rows().length;
+    const scroller = count > 0 && count < max ? findScroller(rows()[0]) : null;
+
+    while (scroller && count < max) {
+      scroller.scrollTop = 0;
+      if (!(await waitForOlderMessages(rows, count))) break;
+      count = rows().length;
+    }
+
+    // Back to the latest messages, where the agent was reading.
+    if (scroller) scroller.scrollTop = scroller.scrollHeight;
+
+    return rows().slice(-max);
+  }
+
+  // The message list scrolls inside the conversation, not the page.
+  function findScroller(row) {
+    let scroller = row.parentElement;
+    while (scroller && scroller.scrollHeight <= scroller.clientHeight) {
+      scroller = scroller.parentElement;
+    }
+    return scroller || Selectors.query("chatContainer");
+  }
+
+  // Resolves with false when nothing older arrives in HISTORY_LOAD_WAIT.
+  function waitForOlderMessages(rows, count) {
+    return new Promise((resolve) => {
+      const finish = (loaded) => {
+        observer.disconnect();
+        clearTimeout(timer);
+        resolve(loaded);
+      };
+      const observer = new MutationObserver(() => {
+        if (rows().length > count) finish(true);
+      });
+      const timer = setTimeout(() => finish(false), HISTORY_LOAD_WAIT);
+
+      observer.observe(Selectors.query("conversationPanel") || document.body, {
+        childList: true,
+        subtree: true,
+      });
+    });
+  }
+
+  function showChatSummary(note) {
+    document.getElementById("gb-summary-modal")?.remove();
+
+    const modal = document.createElement("div");
+    modal.id = "gb-summary-modal";
+    modal.className = "gb-correction-modal";
+    modal.innerHTML = `
+      <div class="gb-correction-content" role="dialog" aria-labelledby="gb-summary-title">
+        <div class="gb-correction-header">
+          <span class="gb-correction-icon">📝</span>
+          <span id="gb-summary-title">Chat with ${escapeHtml(note.contact || "Unknown contact")}</span>
+        </div>
+        <div class="gb-correction-body">
+          <p class="gb-summary-range">${escapeHtml(ChatSummary.describeRange(note.messages))}</p>
+          <p class="gb-summary-text">${escapeHtml(note.summary)}</p>
+          <label class="gb-summary-label">Action Items</label>
+          ${
+            note.actionItems.length > 0
+              ? `<ul class="gb-summary-items">${note.actionItems.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>`
+              : '<p class="gb-summary-range">None</p>'
+          }
+        </div>
+        <div class="gb-correction-actions">
+          <button class="gb-btn gb-btn-secondary" id="gb-summary-close">Close</button>
+          <button class="gb-btn gb-btn-secondary" id="gb-summary-json">Save JSON</button>
+          <button class="gb-btn gb-btn-secondary" id="gb-summary-markdown">Save Markdown</button>
+          <button class="gb-btn gb-btn-primary" id="gb-summary-copy">Copy</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const close = () => modal.remove();
+    modal.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") close();
+    });
+    document
+      .getElementById("gb-summary-close")
+      .addEventListener("click", close);
+
+    document
+      .getElementById("gb-summary-copy")
+      .addEventListener("click", async function () {
+        try {
+          await navigator.clipboard.writeText(ChatSummary.toMarkdown(note));
+          this.textContent = "Copied!";
+        } catch (error) {
+          log.warn("Could not copy the chat summary", error.message);
+          showToast("Could not copy the notes, save them instead", "error");
+        }
+      });
+
+    document
+      .getElementById("gb-summary-markdown")
+      .addEventListener("click", () =>
+        Downloads.save(
+          ChatSummary.fileName(note, "md"),
+          ChatSummary.toMarkdown(note),
+          "text/markdown",
+        ),
+      );
+
+    document
+      .getElementById("gb-summary-json")
+      .addEventListener("click", () =>
+        Downloads.save(
+          ChatSummary.fileName(note, "json"),
+          ChatSummary.toJson(note),
+          "application/json",
+        ),
+      );
+
+    document.getElementById("gb-summary-copy").focus();
+  }
+
+  function showResultOverlay(title, text, rect) {
+    document.getElementById("gb-result-overlay")?.remove();
+
+    const overlay = document.createElement("div");
+    overlay.id = "gb-result-overlay";
+    overlay.className = "gb-result-overlay";
+    overlay.innerHTML = `
+      <div class="gb-result-header">
+        <span>${escapeHtml(title || "General Bots")}</span>
+        <button class="gb-result-close" id="gb-result-close" title="Close">×</button>
+      </div>
+      <p class="gb-result-text">${escapeHtml(text)}</p>
+      <div class="gb-result-actions">
+        <button class="gb-btn gb-btn-secondary" id="gb-result-copy">Copy</button>
+      </div>
+    `;
+
+    if (rect && rect.width + rect.height > 0) {
+      overlay.style.top = `${Math.min(rect.bottom + 8, window.innerHeight - 200)}px`;
+      overlay.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 380))}px`;
+    } else {
+      overlay.classList.add("gb-result-centered");
+    }
+
+    document.body.appendChild(overlay);
+
+    document
+      .getElementById("gb-result-close")
+      .addEventListener("click", () => overlay.remove());
+
+    document
+      .getElementById("gb-result-copy")
+      .addEventListener("click", async function () {
+        try {
+          await navigator.clipboard.writeText(text);
+          this.textContent = "Copied!";
+        } catch (error) {
+          log.warn("Could not copy the result", error.message);
+          showToast("Could not copy the text", "error");
+        }
+      });
+  }
+
+  function showToast(message, type = "info") {
+    document.querySelector(".gb-toast")?.remove();
+
+    const toast = document.createElement("div");
+    toast.className = `gb-toast ${type}`;
+    toast.innerHTML = `
+      <span>${escapeHtml(message)}</span>
+      <button class="gb-toast-close">×</button>
+    `;
+    document.body.appendChild(toast);
+
+    const timeout = setTimeout(() => toast.remove(), 4000);
+    toast.querySelector(".gb-toast-close").addEventListener("click", () => {
+      clearTimeout(timeout);
+      toast.remove();
+    });
+  }
+
   function escapeHtml(text) {
     const div = document.createElement("div");
     div.textContent = text;
@@ -607,15 +2353,96 @@
     return dp[m][n];
   }
 
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes.contactProfiles) {
+      state.contactProfiles = changes.contactProfiles.newValue || {};
+      updateContactControls();
+    }
+
+    if (areaName === "local" && changes.scheduleState) {
+      state.schedule = changes.scheduleState.newValue || null;
+      applyAutoModeIndicator();
+    }
+
+    if (areaName === "local" && changes.governorTrip?.newValue) {
+      showToast("Auto mode was stopped by the safety checks", "error");
+    }
+
+    const authenticatedKey = Profiles.storageKey(
+      "authenticated",
+      state.profile.id,
+    );
+    if (areaName === "local" && changes[authenticatedKey]) {
+      setAuthenticated(Boolean(changes[authenticatedKey].newValue));
+    }
+
+    const teamKey = Profiles.storageKey("teamSnippets", state.profile.id);
+    if (areaName === "local" && changes[teamKey]) {
+      state.snippets.team = changes[teamKey].newValue?.snippets || [];
+    }
+
+    if (areaName === "sync" && Object.keys(changes).some(Snippets.isKey)) {
+      loadSnippets();
+    }
+
+    if (areaName === "local" && changes.selectorPack) {
+      const { oldValue, newValue } = changes.selectorPack;
+      if (JSON.stringify(oldValue?.pack) !== JSON.stringify(newValue?.pack)) {
+        applySelectorPack(newValue?.pack);
+        if (state.initialized) runSelectorSelfTest();
+      }
+    }
+
+    // The Options page saves straight to storage without a broadcast.
+    if (areaName === "sync") {
+      // A profile other than Default keeps its own values for these.
+      const ownKeys =
+        state.profile.id === Profiles.DEFAULT_ID ? [] : Profiles.KEYS;
+      for (const [key, change] of Object.entries(changes)) {
+        if (
+          key in settings &&
+          !ownKeys.includes(key) &&
+          change.newValue !== undefined
+        ) {
+          settings[key] = change.newValue;
+        }
+      }
+
+      if (changes.shortcuts) {
+        settings.shortcuts = {
+          ...Shortcuts.getDefaults(),
+          ...changes.shortcuts.newValue,
+        };
+        if (state.pendingReplies.length > 0) renderApprovalDrawer();
+      }
+
+      // Auto mode may have been switched by the business hours scheduler.
+      if (changes.autoMode || changes.businessHours) {
+        const toggle = document.getElementById("gb-auto-toggle");
+        if (toggle) toggle.checked = settings.autoMode;
+        applyAutoModeIndicator();
+      }
+    }
+  });
+
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.action) {
       case "tabReady":
         init();
         break;
 
-      case "settingsUpdated":
-        settings = { ...settings, ...message.settings };
+      case "settingsUpdated": {
+        const { authenticated, ...updated } = message.settings;
+        settings = { ...settings, ...updated };
         applyUIModifications();
+        if (authenticated !== undefined) setAuthenticated(authenticated);
+        break;
+      }
+
+      case "profileChanged":
+        loadProfile()
+          .then(() => Promise.all([loadSettings(), loadSnippets()]))
+          .then(redrawControlPanel);
         break;
 
       case "enableAutoMode":
@@ -625,21 +2452,19 @@
         break;
 
       case "replaceSelection":
-        const selection = window.getSelection();
-        if (selection.rangeCount > 0) {
-          const range = selection.getRangeAt(0);
-          range.deleteContents();
-          range.insertNode(document.createTextNode(message.text));
-        }
+        replaceSelection(message.text, message.title);
+        break;
+
+      case "queuedAutoReply":
+        deliverAutoReply(message, message.context);
+        break;
+
+      case "runCommand":
+        runCommand(message.command);
         break;
 
       case "authCompleted":
-        settings.authenticated = true;
-        const panel = document.getElementById("gb-control-panel");
-        if (panel) {
-          panel.remove();
-          injectControlPanel();
-        }
+        setAuthenticated(true);
         break;
     }
 
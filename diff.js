@@ -0,0 +1,199 @@
+/**
+ * Word-level diff used by the correction preview. Text is split into word,
+ * whitespace and punctuation tokens, aligned with an LCS table, and adjacent
+ * removals/insertions are grouped into hunks that can be accepted or rejected
+ * one by one. Each hunk is matched against the provider's `corrections` so
+ * the UI can explain why it was changed.
+ */
+const TextDiff = (function () {
+  "use strict";
+
+  // Past this many token pairs the LCS table gets too large to build on
+  // every keystroke-sized message, so the whole text becomes a single hunk.
+  const MAX_CELLS = 250000;
+
+  function tokenize(text) {
+    return text.match(/\s+|[\p{L}\p{N}'’_-]+|[^\s\p{L}\p{N}]/gu) || [];
+  }
+
+  function lcsTable(a, b) {
+    const table = Array.from(
+      { length: a.length + 1 },
+      () => new Uint16Array(b.length + 1),
+    );
+
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i][j] =
+          a[i] === b[j]
+            ? table[i + 1][j + 1] + 1
+            : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    return table;
+  }
+
+  function diffTokens(a, b) {
+    if (a.length * b.length > MAX_CELLS) {
+      return [
+        { op: "remove", text: a.join("") },
+        { op: "insert", text: b.join("") },
+      ];
+    }
+
+    const table = lcsTable(a, b);
+    const ops = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        ops.push({ op: "equal", text: a[i] });
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        ops.push({ op: "remove", text: a[i++] });
+      } else {
+        ops.push({ op: "insert", text: b[j++] });
+      }
+    }
+    while (i < a.length) ops.push({ op: "remove", text: a[i++] });
+    while (j < b.length) ops.push({ op: "insert", text: b[j++] });
+
+    return ops;
+  }
+
+  function normalize(text) {
+    return text.trim() ? text.trim().toLowerCase() : text;
+  }
+
+  function words(text) {
+    return normalize(text).split(/\s+/).filter(Boolean);
+  }
+
+  // 2 = the correction describes exactly this hunk, 1 = the hunk is one of
+  // the words the correction touched, 0 = unrelated.
+  function matchScore(hunk, correction) {
+    const removed = normalize(hunk.removed);
+    const added = normalize(hunk.added);
+    const original = normalize(correction.original || "");
+    const replacement = normalize(correction.replacement || "");
+
+    if (removed && removed === original) return 2;
+    if (added && added === replacement) return 2;
+
+    const overlaps = (part, whole) =>
+      part && whole && words(part).every((word) => words(whole).includes(word));
+    return overlaps(hunk.removed, original) || overlaps(hunk.added, replacement)
+      ? 1
+      : 0;
+  }
+
+  function findCorrection(hunk, corrections, used) {
+    let best = -1;
+    let bestScore = 0;
+
+    corrections.forEach((correction, index) => {
+      if (used.has(index)) return;
+      const score = matchScore(hunk, correction);
+      if (score > bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    });
+
+    if (best === -1) return null;
+    used.add(best);
+    return corrections[best];
+  }
+
+  function describe(hunk) {
+    const removed = hunk.removed.trim();
+    const added = hunk.added.trim();
+
+    if (!removed && !added) return "Whitespace change";
+    if (!removed) return `Insert "${added}"`;
+    if (!added) return `Remove "${removed}"`;
+    return `Replace "${removed}" with "${added}"`;
+  }
+
+  // "alot" -> "a lot" aligns as "alot"->"a", " ", +"lot"; fold a pure
+  // insertion or removal separated from its neighbour only by whitespace
+  // back into one hunk so it is accepted or rejected as a unit.
+  function mergeSplitWords(segments) {
+    for (let i = segments.length - 3; i >= 0; i--) {
+      const [left, gap, right] = segments.slice(i, i + 3);
+      if (left.type !== "change" || right.type !== "change") continue;
+      if (gap.text.trim()) continue;
+
+      const pure = (hunk) => !hunk.removed || !hunk.added;
+      if (!pure(left) && !pure(right)) continue;
+
+      left.removed += gap.text + right.removed;
+      left.added += gap.text + right.added;
+      segments.splice(i + 1, 2);
+    }
+  }
+
+  /**
+   * Returns a list of segments: { type: "equal", text } for unchanged text
+   * and { type: "change", id, removed, added, message, kind } for each hunk.
+   */
+  function compute(original, corrected, corrections = []) {
+    const ops = diffTokens(tokenize(original), tokenize(corrected));
+    const segments = [];
+    let hunk = null;
+
+    for (const { op, text } of ops) {
+      if (op === "equal") {
+        hunk = null;
+        const last = segments[segments.length - 1];
+        if (last?.type === "equal") {
+          last.text += text;
+        } else {
+          segments.push({ type: "equal", text });
+        }
+        continue;
+      }
+
+      if (!hunk) {
+        hunk = { type: "change", removed: "", added: "" };
+        segments.push(hunk);
+      }
+      if (op === "remove") hunk.removed += text;
+      else hunk.added += text;
+    }
+
+    mergeSplitWords(segments);
+
+    const used = new Set();
+    let id = 0;
+
+    for (const segment of segments) {
+      if (segment.type !== "change") continue;
+
+      const correction = findCorrection(segment, corrections, used);
+      segment.id = id++;
+      segment.kind = correction?.type || "edit";
+      segment.message = correction?.message || describe(segment);
+    }
+
+    return segments;
+  }
+
+  /**
+   * Rebuilds the text keeping the corrected side of every hunk whose id is
+   * in `accepted` and the original side of the rest.
+   */
+  function apply(segments, accepted) {
+    return segments
+      .map((segment) => {
+        if (segment.type === "equal") return segment.text;
+        return accepted.has(segment.id) ? segment.added : segment.removed;
+      })
+      .join("");
+  }
+
+  return { compute, apply, tokenize };
+})();
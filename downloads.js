@@ -0,0 +1,22 @@
+/**
+ * Saves text as a file through a temporary object URL. The browser reads
+ * the blob only after click() returns, so the URL is revoked a while
+ * later instead of right away, which can cancel the download.
+ *
+ * Shared by the content script and the Options page.
+ */
+const Downloads = (function () {
+  "use strict";
+
+  const URL_LIFETIME = 60 * 1000;
+
+  function save(filename, content, type) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([content], { type }));
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), URL_LIFETIME);
+  }
+
+  return { URL_LIFETIME, save };
+})();
@@ -0,0 +1,232 @@
+/**
+ * Safety checks every incoming message goes through before the service
+ * worker generates an auto-reply. It refuses messages it has already
+ * answered, messages sent before auto mode was turned on, and contacts or
+ * accounts over their reply rate; a conversation that keeps repeating
+ * itself (two bots answering each other, say) is a loop and trips the kill
+ * switch, as does the global rate limit.
+ *
+ * The state is a plain object kept by the worker in local storage:
+ * { handled: { messageId: at }, replies: [{ chatId, at, id }],
+ *   exchanges: { chatId: [{ incoming, reply, at }] } }.
+ *
+ * A message that passes `review` reserves its reply right away, so a burst
+ * of messages can't all pass while the first replies are still being
+ * generated. `record` turns the reservation into the reply; `release`
+ * gives it back when no reply is sent.
+ */
+const Governor = (function () {
+  "use strict";
+
+  const MINUTE = 60 * 1000;
+
+  const CONTACT_WINDOW = 10 * MINUTE;
+  const GLOBAL_WINDOW = 60 * MINUTE;
+
+  // Three similar messages from one contact within the window are a loop.
+  const LOOP_WINDOW = 10 * MINUTE;
+  const LOOP_REPEATS = 3;
+  const SIMILARITY = 0.8;
+
+  const HANDLED_TTL = 24 * 60 * MINUTE;
+  const HANDLED_MAX = 1000;
+  const EXCHANGES_MAX = 10;
+
+  // Long messages are compared on their start only; it's enough to tell
+  // and keeps the edit distance cheap.
+  const COMPARE_LENGTH = 200;
+
+  const REASONS = {
+    duplicate: "Already answered",
+    stale: "Sent before auto mode was turned on",
+    contactLimit: "Too many auto-replies to this contact",
+    globalLimit: "Too many auto-replies overall",
+    loop: "The conversation keeps repeating itself",
+  };
+
+  // Reasons that turn auto mode off instead of skipping one message.
+  const TRIPS = ["globalLimit", "loop"];
+
+  function createState() {
+    return { handled: {}, replies: [], exchanges: {} };
+  }
+
+  function prune(state, now) {
+    const handled = Object.entries(state.handled || {})
+      .filter(([, at]) => now - at < HANDLED_TTL)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, HANDLED_MAX);
+
+    const exchanges = {};
+    for (const [chatId, list] of Object.entries(state.exchanges || {})) {
+      const recent = list.filter((entry) => now - entry.at < LOOP_WINDOW);
+      if (recent.length > 0) exchanges[chatId] = recent;
+    }
+
+    return {
+      handled: Object.fromEntries(handled),
+      replies: (state.replies || []).filter(
+        (entry) => now - entry.at < GLOBAL_WINDOW,
+      ),
+      exchanges,
+    };
+  }
+
+  function normalizeText(text) {
+    return String(text || "")
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, COMPARE_LENGTH);
+  }
+
+  function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] =
+          a[i - 1] === b[j - 1]
+            ? previous[j - 1]
+            : Math.min(previous[j - 1], previous[j], current[j - 1]) + 1;
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * 1 for the same text (ignoring case and spacing), 0 for nothing alike.
+   */
+  function similarity(a, b) {
+    const left = normalizeText(a);
+    const right = normalizeText(b);
+    if (!left || !right) return 0;
+
+    return 1 - editDistance(left, right) / Math.max(left.length, right.length);
+  }
+
+  /**
+   * Decides on `message` ({ chatId, messageId, text, sentAt, since }, where
+   * `sentAt` is the time shown on the message, to the minute, and `since`
+   * when auto mode was turned on) and marks it handled. Returns
+   * { state, allowed, reason, trip, reservation }, where `reservation` is
+   * the id of the reply slot held for an allowed message.
+   */
+  function review(state, message, limits, now = Date.now()) {
+    const next = prune(state, now);
+    const verdict = (reason) => {
+      if (reason) {
+        return {
+          state: next,
+          allowed: false,
+          reason,
+          trip: TRIPS.includes(reason),
+        };
+      }
+
+      const reservation = `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      next.replies.push({
+        chatId: message.chatId || null,
+        at: now,
+        id: reservation,
+      });
+      return {
+        state: next,
+        allowed: true,
+        reason: null,
+        trip: false,
+        reservation,
+      };
+    };
+
+    if (message.messageId && next.handled[message.messageId]) {
+      return verdict("duplicate");
+    }
+    if (message.messageId) next.handled[message.messageId] = now;
+
+    if (
+      message.sentAt &&
+      message.since &&
+      message.sentAt < Math.floor(message.since / MINUTE) * MINUTE
+    ) {
+      return verdict("stale");
+    }
+
+    if (next.replies.length >= limits.global) {
+      return verdict("globalLimit");
+    }
+
+    if (!message.chatId) return verdict(null);
+
+    const toContact = next.replies.filter(
+      (entry) =>
+        entry.chatId === message.chatId && now - entry.at < CONTACT_WINDOW,
+    );
+    if (toContact.length >= limits.perContact) {
+      return verdict("contactLimit");
+    }
+
+    // The contact saying the same thing over and over, or saying back
+    // what we replied the time before.
+    const exchanges = next.exchanges[message.chatId] || [];
+    const repeats = exchanges.filter(
+      (entry) => similarity(entry.incoming, message.text) >= SIMILARITY,
+    );
+    const echoes = exchanges.filter((entry, index) => {
+      const answer = exchanges[index + 1]?.incoming ?? message.text;
+      return similarity(entry.reply, answer) >= SIMILARITY;
+    });
+    if (
+      repeats.length >= LOOP_REPEATS - 1 ||
+      echoes.length >= LOOP_REPEATS - 1
+    ) {
+      return verdict("loop");
+    }
+
+    return verdict(null);
+  }
+
+  /**
+   * Counts a generated reply towards the rate limits and loop detection,
+   * in place of its `reservation` when it has one.
+   */
+  function record(state, message, reply, reservation, now = Date.now()) {
+    const next = release(state, reservation, now);
+    next.replies.push({ chatId: message.chatId || null, at: now });
+
+    if (message.chatId) {
+      next.exchanges[message.chatId] = [
+        ...(next.exchanges[message.chatId] || []),
+        { incoming: message.text || "", reply, at: now },
+      ].slice(-EXCHANGES_MAX);
+    }
+
+    return next;
+  }
+
+  /**
+   * Gives back a reply slot `review` reserved, for a message that got no
+   * reply after all.
+   */
+  function release(state, reservation, now = Date.now()) {
+    const next = prune(state, now);
+    if (reservation) {
+      next.replies = next.replies.filter((entry) => entry.id !== reservation);
+    }
+    return next;
+  }
+
+  return {
+    CONTACT_WINDOW,
+    GLOBAL_WINDOW,
+    REASONS,
+    createState,
+    similarity,
+    review,
+    record,
+    release,
+  };
+})();
@@ -0,0 +1,127 @@
+/**
+ * Decides when a conversation in auto mode should go to a person: the
+ * customer asks for one or sounds upset (keyword rules, in Portuguese,
+ * English and Spanish, plus any the agent adds), writes in capitals, or
+ * the AI isn't confident about its reply. Used by the service worker, which
+ * pauses auto mode for the contact, and the Options page (editing).
+ *
+ * A handoff is stored on the contact profile as { reason, detail, at } and
+ * cleared when an agent takes the conversation over.
+ */
+const Handoff = (function () {
+  "use strict";
+
+  const DEFAULT_KEYWORDS = [
+    // Asking for a person
+    "human",
+    "real person",
+    "talk to someone",
+    "speak to someone",
+    "an agent",
+    "representative",
+    "manager",
+    "atendente",
+    "humano",
+    "pessoa de verdade",
+    "falar com alguem",
+    "gerente",
+    "una persona",
+    "hablar con alguien",
+    "agente",
+    // Upset
+    "ridiculous",
+    "terrible",
+    "useless",
+    "scam",
+    "lawyer",
+    "complaint",
+    "absurdo",
+    "pessimo",
+    "ridiculo",
+    "palhacada",
+    "procon",
+    "reclame aqui",
+    "horrible",
+    "estafa",
+    "denuncia",
+  ];
+
+  const REASONS = {
+    keyword: "Asked for a person or sounds upset",
+    shouting: "Writing in capitals",
+    lowConfidence: "The AI wasn't sure how to reply",
+    server: "The server asked for a person",
+  };
+
+  // Capitals only count as shouting in messages with this many letters.
+  const SHOUTING_MIN_LETTERS = 12;
+
+  // Lowercase, without accents, so "péssimo" matches "pessimo".
+  function simplify(text) {
+    return String(text || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+  }
+
+  function parseKeywords(keywords) {
+    const list = Array.isArray(keywords)
+      ? keywords
+      : String(keywords || "").split("\n");
+    return list.map((keyword) => keyword.trim()).filter(Boolean);
+  }
+
+  /**
+   * The first keyword found in `text` as whole words, or null.
+   */
+  function findKeyword(text, keywords) {
+    const haystack = ` ${simplify(text).replace(/[^\p{L}\p{N}]+/gu, " ")} `;
+    return (
+      keywords.find((keyword) => {
+        const needle = simplify(keyword)
+          .replace(/[^\p{L}\p{N}]+/gu, " ")
+          .trim();
+        return needle && haystack.includes(` ${needle} `);
+      }) || null
+    );
+  }
+
+  function isShouting(text) {
+    const letters = String(text || "").match(/\p{L}/gu) || [];
+    if (letters.length < SHOUTING_MIN_LETTERS) return false;
+
+    const upper = letters.filter(
+      (letter) =>
+        letter === letter.toUpperCase() && letter !== letter.toLowerCase(),
+    );
+    return upper.length / letters.length >= 0.8;
+  }
+
+  /**
+   * Checks an incoming message against the keyword rules. Returns
+   * { reason, detail } or null.
+   */
+  function detect(text, extraKeywords = []) {
+    const keyword = findKeyword(text, [
+      ...DEFAULT_KEYWORDS,
+      ...parseKeywords(extraKeywords),
+    ]);
+    if (keyword) return { reason: "keyword", detail: keyword };
+    if (isShouting(text)) return { reason: "shouting", detail: null };
+    return null;
+  }
+
+  function describe(handoff) {
+    const reason = REASONS[handoff.reason] || "Needs a person";
+    return handoff.detail ? `${reason} ("${handoff.detail}")` : reason;
+  }
+
+  return {
+    DEFAULT_KEYWORDS,
+    REASONS,
+    parseKeywords,
+    findKeyword,
+    detect,
+    describe,
+  };
+})();
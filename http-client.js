@@ -0,0 +1,211 @@
+/**
+ * Shared HTTP client for the service worker. Every request gets an
+ * AbortController timeout, retries with exponential backoff on 429/5xx and
+ * network failures, and a per-origin circuit breaker that fails fast after
+ * repeated errors instead of hanging the caller.
+ */
+const HttpClient = (function () {
+  "use strict";
+
+  const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+  const CIRCUIT_THRESHOLD = 5;
+  const CIRCUIT_COOLDOWN = 60000;
+  const MAX_BACKOFF = 8000;
+
+  const circuits = new Map();
+
+  class HttpError extends Error {
+    constructor(message, { status = 0, retryable = false } = {}) {
+      super(message);
+      this.name = "HttpError";
+      this.status = status;
+      this.retryable = retryable;
+    }
+  }
+
+  function getCircuit(url) {
+    const origin = new URL(url).origin;
+    if (!circuits.has(origin)) {
+      circuits.set(origin, { failures: 0, openUntil: 0 });
+    }
+    return circuits.get(origin);
+  }
+
+  function recordFailure(circuit) {
+    circuit.failures++;
+    if (circuit.failures >= CIRCUIT_THRESHOLD) {
+      circuit.openUntil = Date.now() + CIRCUIT_COOLDOWN;
+    }
+  }
+
+  function recordSuccess(circuit) {
+    circuit.failures = 0;
+    circuit.openUntil = 0;
+  }
+
+  function getRetryDelay(response, attempt, backoff) {
+    const retryAfter = Number(response?.headers.get("Retry-After"));
+    if (retryAfter > 0) {
+      return Math.min(retryAfter * 1000, MAX_BACKOFF);
+    }
+
+    const jitter = Math.random() * backoff;
+    return Math.min(backoff * 2 ** attempt + jitter, MAX_BACKOFF);
+  }
+
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(new HttpError("Request aborted"));
+      });
+    });
+  }
+
+  async function attempt(url, init, timeout, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener("abort", onAbort);
+
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw new HttpError("Request aborted");
+      }
+      if (controller.signal.aborted) {
+        throw new HttpError(`Request timed out after ${timeout}ms`, {
+          retryable: true,
+        });
+      }
+      throw new HttpError(`Network error: ${error.message}`, {
+        retryable: true,
+      });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * Resolves with the Response when it is OK and throws an HttpError
+   * otherwise. `retryable` on the error tells callers whether the server
+   * was unreachable (worth queueing) or rejected the request outright.
+   */
+  async function request(url, options = {}) {
+    const { timeout, retries = 2, backoff = 500, signal, ...init } = options;
+    const timeoutMs = Number(timeout) > 0 ? Number(timeout) : 10000;
+    const circuit = getCircuit(url);
+
+    if (circuit.openUntil > Date.now()) {
+      throw new HttpError("Server unavailable, retrying later", {
+        retryable: true,
+      });
+    }
+
+    let lastError;
+
+    for (let i = 0; i <= retries; i++) {
+      let response = null;
+
+      try {
+        response = await attempt(url, init, timeoutMs, signal);
+
+        if (response.ok) {
+          recordSuccess(circuit);
+          return response;
+        }
+
+        lastError = new HttpError(`Server error: ${response.status}`, {
+          status: response.status,
+          retryable: RETRYABLE_STATUS.includes(response.status),
+        });
+      } catch (error) {
+        lastError = error;
+      }
+
+      if (!lastError.retryable) {
+        throw lastError;
+      }
+
+      recordFailure(circuit);
+      if (circuit.openUntil > Date.now() || i === retries) break;
+
+      await sleep(getRetryDelay(response, i, backoff), signal);
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Reads a streamed body (SSE "data:" lines or newline-delimited JSON) and
+   * calls onEvent with each parsed object. Aborts when `signal` fires or no
+   * chunk arrives for `idleTimeout` ms.
+   */
+  async function readEvents(response, onEvent, { signal, idleTimeout } = {}) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const idleMs = Number(idleTimeout) > 0 ? Number(idleTimeout) : 10000;
+    let buffer = "";
+    let timedOut = false;
+    let timer;
+
+    const cancel = () => reader.cancel().catch(() => {});
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        cancel();
+      }, idleMs);
+    };
+
+    const handleLine = (line) => {
+      const data = line.replace(/^data:\s*/, "").trim();
+      if (!data || data === "[DONE]" || line.startsWith(":")) return;
+
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (error) {
+        // Ignore keep-alives and partial garbage between events.
+        return;
+      }
+      onEvent(event);
+    };
+
+    signal?.addEventListener("abort", cancel);
+    resetTimer();
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        resetTimer();
+        buffer += decoder.decode(value, { stream: true });
+
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+      handleLine(buffer);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", cancel);
+    }
+
+    if (signal?.aborted) {
+      throw new HttpError("Request aborted");
+    }
+    if (timedOut) {
+      throw new HttpError(`Stream stalled for ${idleMs}ms`, {
+        retryable: true,
+      });
+    }
+  }
+
+  return { request, readEvents, HttpError };
+})();
@@ -0,0 +1,411 @@
+/**
+ * Offline rule-based grammar checker used when "Local Processing Only" is on.
+ * It covers dictionary spelling, common grammar mistakes in Portuguese,
+ * English and Spanish, punctuation spacing and sentence capitalization.
+ * Links and e-mail addresses are left exactly as typed. Nothing in this
+ * file performs network requests.
+ */
+const LocalGrammar = (function () {
+  "use strict";
+
+  const SUPPORTED_LANGUAGES = ["pt", "en", "es"];
+
+  const STOPWORDS = {
+    pt: [
+      "não",
+      "nao",
+      "você",
+      "voce",
+      "obrigado",
+      "isso",
+      "então",
+      "vou",
+      "é",
+      "eu",
+      "em",
+      "um",
+      "uma",
+      "com",
+    ],
+    en: [
+      "the",
+      "and",
+      "you",
+      "is",
+      "are",
+      "of",
+      "it",
+      "that",
+      "with",
+      "i",
+      "have",
+      "to",
+      "my",
+    ],
+    es: [
+      "el",
+      "los",
+      "un",
+      "usted",
+      "gracias",
+      "pero",
+      "muy",
+      "y",
+      "hay",
+      "yo",
+      "en",
+      "voy",
+      "estar",
+      "con",
+    ],
+  };
+
+  // Links and e-mail addresses, without the punctuation that ends a sentence.
+  const PROTECTED =
+    /(?:\bhttps?:\/\/|\bwww\.)\S+?(?=[.,;:!?)]*(?:\s|$))|[\w.+-]+@[\w-]+(?:\.[\w-]+)+/gi;
+
+  const DICTIONARY = {
+    pt: {
+      voce: "você",
+      voces: "vocês",
+      vc: "você",
+      nao: "não",
+      entao: "então",
+      tambem: "também",
+      ja: "já",
+      ninguem: "ninguém",
+      alguem: "alguém",
+      porem: "porém",
+      amanha: "amanhã",
+      concerteza: "com certeza",
+      derrepente: "de repente",
+      porisso: "por isso",
+      menas: "menos",
+      seje: "seja",
+      esteje: "esteja",
+      previlégio: "privilégio",
+      excessão: "exceção",
+      beneficiente: "beneficente",
+      mortandela: "mortadela",
+      asterístico: "asterisco",
+      impecilho: "empecilho",
+      reinvindicar: "reivindicar",
+      advinhar: "adivinhar",
+      cidadões: "cidadãos",
+    },
+    en: {
+      teh: "the",
+      recieve: "receive",
+      recieved: "received",
+      definately: "definitely",
+      seperate: "separate",
+      occured: "occurred",
+      untill: "until",
+      wich: "which",
+      alot: "a lot",
+      thier: "their",
+      becuase: "because",
+      tommorow: "tomorrow",
+      tomorow: "tomorrow",
+      accomodate: "accommodate",
+      goverment: "government",
+      beleive: "believe",
+      adress: "address",
+      enviroment: "environment",
+      existance: "existence",
+      occassion: "occasion",
+      reccomend: "recommend",
+      truely: "truly",
+      wierd: "weird",
+      dont: "don't",
+      doesnt: "doesn't",
+      didnt: "didn't",
+      isnt: "isn't",
+      im: "I'm",
+      ive: "I've",
+      youre: "you're",
+      thats: "that's",
+      irregardless: "regardless",
+    },
+    es: {
+      haiga: "haya",
+      nadien: "nadie",
+      ademas: "además",
+      tambien: "también",
+      despues: "después",
+      aqui: "aquí",
+      asi: "así",
+      porfavor: "por favor",
+      enserio: "en serio",
+      osea: "o sea",
+      hechar: "echar",
+      vinistes: "viniste",
+      dijistes: "dijiste",
+      hicistes: "hiciste",
+      fuistes: "fuiste",
+      inagurar: "inaugurar",
+      nesecito: "necesito",
+      nececito: "necesito",
+    },
+  };
+
+  const GRAMMAR_RULES = {
+    pt: [
+      {
+        pattern: /\ba gente vamos\b/gi,
+        replacement: "a gente vai",
+        message: '"A gente" concorda com o verbo na 3ª pessoa do singular',
+      },
+      {
+        pattern:
+          /\bfazem (\d+|dois|duas|três|quatro|cinco|seis|sete|oito|nove|dez|muitos|vários) (anos|meses|dias|semanas|horas)\b/gi,
+        replacement: "faz $1 $2",
+        message: 'O verbo "fazer" indicando tempo é impessoal',
+      },
+      {
+        pattern: /\bhouveram\b/gi,
+        replacement: "houve",
+        message: 'O verbo "haver" no sentido de existir é impessoal',
+      },
+      {
+        pattern:
+          /\bpara mim (fazer|ver|saber|ir|falar|enviar|mandar|resolver)\b/gi,
+        replacement: "para eu $1",
+        message: 'Antes de verbo no infinitivo use "eu", não "mim"',
+      },
+      {
+        pattern: /\ba nível de\b/gi,
+        replacement: "em nível de",
+        message: 'A forma recomendada é "em nível de"',
+      },
+      {
+        pattern: /\bmais (melhor|pior)\b/gi,
+        replacement: "$1",
+        message: '"Melhor" e "pior" já são comparativos',
+      },
+    ],
+    en: [
+      {
+        pattern: /\b(could|would|should|must) of\b/gi,
+        replacement: "$1 have",
+        message: 'Use "have" after modal verbs, not "of"',
+      },
+      {
+        pattern: /\ba (?!one\b|once\b|uni|use|usu|eu)([aeio]\w*)/gi,
+        replacement: "an $1",
+        message: 'Use "an" before a vowel sound',
+      },
+      {
+        pattern: /\ban ([bcdfgjklmnpqrstvwxz]\w*)/gi,
+        replacement: "a $1",
+        message: 'Use "a" before a consonant sound',
+      },
+      {
+        pattern: /\btheir (is|are|was|were)\b/gi,
+        replacement: "there $1",
+        message: 'Use "there" to indicate existence',
+      },
+      {
+        pattern: /(^|\s)i(?=\s|'|$|[,.!?])/g,
+        replacement: "$1I",
+        message: 'The pronoun "I" is always capitalized',
+      },
+    ],
+    es: [
+      {
+        pattern: /\bmás (mejor|peor)\b/gi,
+        replacement: "$1",
+        message: '"Mejor" y "peor" ya son comparativos',
+      },
+      {
+        pattern: /\bhubieron\b/gi,
+        replacement: "hubo",
+        message: 'El verbo "haber" impersonal va en singular',
+      },
+      {
+        pattern: /\b(pienso|creo|opino|supongo) de que\b/gi,
+        replacement: "$1 que",
+        message: 'Dequeísmo: sobra la preposición "de"',
+      },
+      {
+        pattern: /\ben base a\b/gi,
+        replacement: "con base en",
+        message: 'La forma recomendada es "con base en"',
+      },
+    ],
+  };
+
+  const PUNCTUATION_RULES = [
+    {
+      pattern: /[ \t]{2,}/g,
+      replacement: " ",
+      message: "Remove repeated spaces",
+    },
+    {
+      pattern: /[ \t]+([,.;:!?])(?!-?[)(DPp/\\])/g,
+      replacement: "$1",
+      message: "Remove the space before punctuation",
+    },
+    // Not inside emoticons such as ;) ;D ;P or ;-)
+    {
+      pattern: /([,;])(?!-?[)(DPp/\\](?!\p{L}))(?=[^\s\d,;])/gu,
+      replacement: "$1 ",
+      message: "Add a space after punctuation",
+    },
+    {
+      pattern: /,{2,}/g,
+      replacement: ",",
+      message: "Remove repeated commas",
+    },
+  ];
+
+  /**
+   * The supported language with the most known words in `text`, or null
+   * when none of them has any.
+   */
+  function detectLanguage(text) {
+    const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+    let best = null;
+    let bestScore = 0;
+
+    for (const language of SUPPORTED_LANGUAGES) {
+      const stopwords = STOPWORDS[language];
+      const dictionary = DICTIONARY[language];
+      const score = words.filter(
+        (word) => stopwords.includes(word) || dictionary[word],
+      ).length;
+      if (score > bestScore) {
+        best = language;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  function matchCase(source, replacement) {
+    if (source === source.toUpperCase() && source.length > 1) {
+      return replacement.toUpperCase();
+    }
+    if (source[0] === source[0].toUpperCase()) {
+      return replacement[0].toUpperCase() + replacement.slice(1);
+    }
+    return replacement;
+  }
+
+  function applyRule(text, rule, type, corrections) {
+    return text.replace(rule.pattern, (...args) => {
+      const match = args[0];
+      const groups = args.slice(1, -2);
+      const replaced = rule.replacement.replace(
+        /\$(\d)/g,
+        (_, index) => groups[index - 1] || "",
+      );
+      const replacement =
+        type === "grammar" ? matchCase(match, replaced) : replaced;
+
+      if (replacement !== match) {
+        corrections.push({
+          type,
+          original: match,
+          replacement,
+          message: rule.message,
+        });
+      }
+      return replacement;
+    });
+  }
+
+  function checkSpelling(text, language, corrections) {
+    const dictionary = DICTIONARY[language];
+
+    return text.replace(/[\p{L}']+/gu, (word, offset) => {
+      const previous = text[offset - 1];
+      if (previous === "@" || previous === "/" || previous === ".") {
+        return word;
+      }
+
+      const fix = dictionary[word.toLowerCase()];
+      if (!fix || fix === word.toLowerCase()) return word;
+
+      const replacement = matchCase(word, fix);
+      corrections.push({
+        type: "spelling",
+        original: word,
+        replacement,
+        message: `Possible spelling mistake: "${word}"`,
+      });
+      return replacement;
+    });
+  }
+
+  function checkCapitalization(text, corrections) {
+    return text.replace(
+      /(^\s*|[.!?]\s+)(\p{Ll})/gu,
+      (match, prefix, letter, offset) => {
+        const before = text.slice(Math.max(0, offset - 4), offset + 1);
+        if (/\b(e\.g|i\.e|etc)\.?$/i.test(before)) return match;
+
+        corrections.push({
+          type: "capitalization",
+          original: letter,
+          replacement: letter.toUpperCase(),
+          message: "Start sentences with a capital letter",
+        });
+        return prefix + letter.toUpperCase();
+      },
+    );
+  }
+
+  // Swaps links and e-mail addresses for placeholders no rule matches.
+  function protect(text, kept) {
+    return text.replace(PROTECTED, (match) => {
+      kept.push(match);
+      return `\uE000${kept.length - 1}\uE001`;
+    });
+  }
+
+  function restore(text, kept) {
+    return text.replace(/\uE000(\d+)\uE001/g, (_, index) => kept[index]);
+  }
+
+  /**
+   * Checks text without leaving the browser. Returns the same shape as the
+   * server-side grammar endpoint: { processedText, original, corrections, language }.
+   * When the language can't be told, only punctuation and capitalization
+   * are checked and `language` is null.
+   */
+  function check(text, language = "auto") {
+    const kept = [];
+    let result = protect(text, kept);
+
+    const lang = SUPPORTED_LANGUAGES.includes(language)
+      ? language
+      : detectLanguage(result);
+    const corrections = [];
+
+    if (lang) {
+      result = checkSpelling(result, lang, corrections);
+
+      for (const rule of GRAMMAR_RULES[lang]) {
+        result = applyRule(result, rule, "grammar", corrections);
+      }
+    }
+
+    for (const rule of PUNCTUATION_RULES) {
+      result = applyRule(result, rule, "punctuation", corrections);
+    }
+
+    result = restore(checkCapitalization(result, corrections), kept);
+
+    return {
+      processedText: result,
+      original: text,
+      corrections,
+      language: lang,
+      local: true,
+    };
+  }
+
+  return { check, detectLanguage };
+})();
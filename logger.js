@@ -0,0 +1,164 @@
+/**
+ * Leveled logger shared by the service worker, content script and extension
+ * pages. Every entry is redacted (tokens, API keys, phone numbers) before it
+ * is mirrored to the console or kept in the `gbLogs` ring buffer in
+ * chrome.storage.local, which backs the Options log viewer. Pages forward
+ * entries to the service worker, which is the only writer of the buffer.
+ * Debug entries are dropped unless "Debug Mode" is on.
+ */
+const Logger = (function () {
+  "use strict";
+
+  const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+  const STORAGE_KEY = "gbLogs";
+  const MAX_ENTRIES = 500;
+  const FLUSH_DELAY = 500;
+
+  const SECRET_KEYS =
+    "authToken|refreshToken|accessToken|token|apiKey|providerApiKey|password|secret|authorization";
+  const PHONE_KEYS = "whatsappNumber|phone|phoneNumber|number";
+
+  const REDACTIONS = [
+    [/\b(Bearer|Basic)\s+[\w.~+/=-]+/gi, "$1 [redacted]"],
+    [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, "[redacted]"],
+    [/\bsk-[\w-]{16,}/g, "[redacted]"],
+    [
+      new RegExp(`("?(?:${SECRET_KEYS})"?\\s*[:=]\\s*"?)[^"\\s,}]+`, "gi"),
+      "$1[redacted]",
+    ],
+    [
+      new RegExp(`("?(?:${PHONE_KEYS})"?\\s*[:=]\\s*"?)\\+?(\\d*)`, "gi"),
+      (match, prefix, digits) => prefix + maskDigits(digits),
+    ],
+    [/\+\d[\d\s().-]{6,}\d/g, (phone) => maskDigits(phone.replace(/\D/g, ""))],
+    [
+      /\b(\d{6,})@(c\.us|g\.us|s\.whatsapp\.net)\b/g,
+      (match, digits, server) => `${maskDigits(digits)}@${server}`,
+    ],
+  ];
+
+  let debugEnabled = false;
+  let persist = forwardToServiceWorker;
+
+  function maskDigits(digits) {
+    return digits.length > 4 ? `***${digits.slice(-4)}` : digits;
+  }
+
+  function redact(text) {
+    return REDACTIONS.reduce(
+      (result, [pattern, replacement]) => result.replace(pattern, replacement),
+      String(text),
+    );
+  }
+
+  function stringify(value) {
+    if (value instanceof Error) {
+      return `${value.name}: ${value.message}`;
+    }
+    if (value && typeof value === "object") {
+      try {
+        return JSON.stringify(value);
+      } catch (error) {
+        return String(value);
+      }
+    }
+    return String(value);
+  }
+
+  function write(level, component, args) {
+    if (level === "debug" && !debugEnabled) return;
+
+    const entry = {
+      time: Date.now(),
+      level,
+      component,
+      message: redact(args.map(stringify).join(" ")),
+    };
+
+    const method = level === "debug" ? "debug" : level;
+    console[method](`General Bots [${component}]:`, entry.message);
+
+    persist(entry);
+  }
+
+  function forwardToServiceWorker(entry) {
+    try {
+      chrome.runtime.sendMessage({ action: "log", entry }).catch(() => {});
+    } catch (error) {
+      // The extension was reloaded and this page lost its context.
+    }
+  }
+
+  let pending = [];
+  let flushTimer = null;
+  let flushing = Promise.resolve();
+
+  function append(entry) {
+    pending.push(entry);
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, FLUSH_DELAY);
+    }
+  }
+
+  function flush() {
+    const batch = pending;
+    pending = [];
+    flushTimer = null;
+
+    flushing = flushing
+      .then(async () => {
+        const stored = await chrome.storage.local.get({ [STORAGE_KEY]: [] });
+        await chrome.storage.local.set({
+          [STORAGE_KEY]: stored[STORAGE_KEY].concat(batch).slice(-MAX_ENTRIES),
+        });
+      })
+      .catch((error) => console.error("General Bots: Log write failed", error));
+    return flushing;
+  }
+
+  /**
+   * Called once by the service worker so entries are written to the ring
+   * buffer directly instead of being forwarded over runtime messaging.
+   */
+  function useStorage() {
+    persist = append;
+  }
+
+  function create(component) {
+    return {
+      debug: (...args) => write("debug", component, args),
+      info: (...args) => write("info", component, args),
+      warn: (...args) => write("warn", component, args),
+      error: (...args) => write("error", component, args),
+    };
+  }
+
+  function clear() {
+    pending = [];
+    return chrome.storage.local.remove(STORAGE_KEY);
+  }
+
+  chrome.storage.sync
+    .get({ debugMode: false })
+    .then((items) => {
+      debugEnabled = items.debugMode;
+    })
+    .catch(() => {});
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "sync" && changes.debugMode) {
+      debugEnabled = Boolean(changes.debugMode.newValue);
+    }
+  });
+
+  return {
+    LEVELS,
+    STORAGE_KEY,
+    create,
+    append,
+    flush,
+    clear,
+    redact,
+    useStorage,
+  };
+})();
@@ -0,0 +1,2471 @@
+// Tab switching
+document.querySelectorAll(".tab").forEach((tab) => {
+  tab.addEventListener("click", function () {
+    document
+      .querySelectorAll(".tab")
+      .forEach((t) => t.classList.remove("active"));
+    document
+      .querySelectorAll(".tab-content")
+      .forEach((c) => c.classList.remove("active"));
+
+    this.classList.add("active");
+    document.getElementById(this.dataset.tab).classList.add("active");
+
+    if (this.dataset.tab === "dashboard") renderDashboard();
+  });
+});
+
+const DEFAULT_SETTINGS = {
+  serverUrl: "https://api.generalbots.com",
+  gbServerUrl: "https://api.pragmatismo.com.br",
+  provider: "generalbots",
+  providerUrl: "",
+  providerModel: "",
+  instanceId: "",
+  apiTimeout: 10000,
+  selectorPackUrl: "",
+  whatsappNumber: "",
+  enableProcessing: true,
+  grammarCorrection: true,
+  transforms: Transforms.getDefaults(),
+  piiGuard: PiiGuard.getDefaults(),
+  showPreview: true,
+  correctionLanguage: "auto",
+  autoMode: false,
+  autoApproval: true,
+  autoReplyContactLimit: 5,
+  autoReplyHourlyLimit: 60,
+  handoff: true,
+  handoffConfidence: 0.5,
+  handoffKeywords: [],
+  replySuggestions: false,
+  hideContacts: false,
+  hideIndicators: false,
+  localOnly: false,
+  storeOriginals: true,
+  analytics: false,
+  debugMode: false,
+  showPanel: true,
+  shortcuts: Shortcuts.getDefaults(),
+  translateTarget: "en",
+  agentName: "",
+  teamSnippets: false,
+  personas: Personas.getDefaults(),
+  personaSchedule: [],
+  defaultPersona: Personas.DEFAULT_ID,
+  businessHours: BusinessHours.getDefaults(),
+  profiles: [],
+};
+
+// Load settings
+async function loadSettings() {
+  chrome.storage.sync.get(DEFAULT_SETTINGS, (items) => {
+    document.getElementById("api-timeout").value = items.apiTimeout;
+    document.getElementById("selector-pack-url").value = items.selectorPackUrl;
+    document.getElementById("grammar-correction").checked =
+      items.grammarCorrection;
+    document.getElementById("show-preview").checked = items.showPreview;
+    for (const id of Object.keys(Transforms.getDefaults())) {
+      document.getElementById(`transform-${id}`).checked = Boolean(
+        items.transforms[id],
+      );
+    }
+    document.getElementById("correction-language").value =
+      items.correctionLanguage;
+    document.getElementById("auto-mode").checked = items.autoMode;
+    document.getElementById("auto-approval").checked = items.autoApproval;
+    document.getElementById("auto-reply-contact-limit").value =
+      items.autoReplyContactLimit;
+    document.getElementById("auto-reply-hourly-limit").value =
+      items.autoReplyHourlyLimit;
+    document.getElementById("handoff").checked = items.handoff;
+    document.getElementById("handoff-confidence").value = Math.round(
+      items.handoffConfidence * 100,
+    );
+    document.getElementById("handoff-keywords").value =
+      items.handoffKeywords.join("\n");
+    document.getElementById("reply-suggestions").checked =
+      items.replySuggestions;
+    document.getElementById("hide-contacts").checked = items.hideContacts;
+    document.getElementById("hide-indicators").checked = items.hideIndicators;
+    document.getElementById("local-only").checked = items.localOnly;
+    loadPiiGuard(items.piiGuard);
+    document.getElementById("store-originals").checked = items.storeOriginals;
+    document.getElementById("analytics").checked = items.analytics;
+    document.getElementById("debug-mode").checked = items.debugMode;
+    document.getElementById("show-panel").checked = items.showPanel;
+    document.getElementById("translate-target").value = items.translateTarget;
+    document.getElementById("team-snippets").checked = items.teamSnippets;
+    shortcutBindings = { ...Shortcuts.getDefaults(), ...items.shortcuts };
+    renderShortcuts();
+    personas = items.personas.map(Personas.normalize);
+    personaSchedule = items.personaSchedule;
+    defaultPersona = items.defaultPersona;
+    renderPersonas();
+    renderContactProfiles();
+    businessHours = BusinessHours.normalize(items.businessHours);
+    renderBusinessHours();
+    loadProfiles(items);
+  });
+}
+
+function renderAuthStatus(response) {
+  const statusEl = document.getElementById("auth-status");
+  const badgeEl = document.getElementById("auth-badge");
+  const logoutButton = document.getElementById("btn-logout");
+  logoutButton.disabled = !response?.authenticated;
+
+  if (response && response.authenticated) {
+    statusEl.textContent = response.offline
+      ? `Connected as ${response.whatsappNumber || "User"} (server unreachable, will retry)`
+      : `Connected as ${response.whatsappNumber || "User"}`;
+    badgeEl.textContent = "Connected";
+    badgeEl.className = "badge badge-success";
+  } else {
+    statusEl.textContent = "Not connected";
+    badgeEl.textContent = "Disconnected";
+    badgeEl.className = "badge badge-error";
+  }
+}
+
+// Logout
+document.getElementById("btn-logout").addEventListener("click", () => {
+  if (!confirm("Sign out of General Bots on this browser?")) return;
+
+  const message = { action: "logout", profileId: editingProfile };
+  chrome.runtime.sendMessage(message, (response) => {
+    renderAuthStatus({ authenticated: false });
+    if (response?.revoked) {
+      showNotification("Signed out");
+    } else {
+      showNotification(
+        "Signed out here, but the server couldn't be reached to revoke the session",
+        "error",
+      );
+    }
+  });
+});
+
+// Profiles
+// The form fields of the profile being edited; the rest of the form is
+// shared by every profile.
+const PROFILE_FIELDS = {
+  serverUrl: "server-url",
+  gbServerUrl: "gb-server-url",
+  instanceId: "instance-id",
+  whatsappNumber: "whatsapp-number",
+  provider: "provider",
+  providerUrl: "provider-url",
+  providerModel: "provider-model",
+  agentName: "agent-name",
+};
+
+let profiles = [];
+let savedProfileIds = [];
+let editingProfile = Profiles.DEFAULT_ID;
+// Default's values for the fields above, and every profile's API key, are
+// kept here while another profile is being edited.
+let defaultProfileValues = {};
+let profileApiKeys = {};
+
+function loadProfiles(items) {
+  profiles = items.profiles.map(Profiles.normalize);
+  savedProfileIds = profiles.map((profile) => profile.id);
+  defaultProfileValues = Object.fromEntries(
+    Profiles.KEYS.map((key) => [key, items[key]]),
+  );
+  editingProfile = Profiles.resolveId(items, [editingProfile]);
+
+  const keys = Profiles.list(items).map((profile) =>
+    Profiles.storageKey("providerApiKey", profile.id),
+  );
+  chrome.storage.local.get(keys, (local) => {
+    profileApiKeys = Object.fromEntries(
+      Profiles.list(items).map((profile) => [
+        profile.id,
+        local[Profiles.storageKey("providerApiKey", profile.id)] || "",
+      ]),
+    );
+    renderProfiles();
+    showProfileFields();
+  });
+}
+
+function renderProfiles() {
+  const options = Object.fromEntries(
+    Profiles.list({ profiles }).map((profile) => [
+      escapeHtml(profile.id),
+      escapeHtml(profile.name),
+    ]),
+  );
+  document.getElementById("profile-edit").innerHTML = renderOptions(
+    options,
+    editingProfile,
+  );
+
+  const profile = Profiles.find({ profiles }, editingProfile);
+  const nameInput = document.getElementById("profile-name");
+  nameInput.value = profile ? profile.name : Profiles.DEFAULT_NAME;
+  nameInput.disabled = !profile;
+  document.getElementById("btn-delete-profile").disabled = !profile;
+}
+
+function showProfileFields() {
+  const profile = Profiles.find({ profiles }, editingProfile);
+  const values = profile ? profile.settings : defaultProfileValues;
+  for (const [key, id] of Object.entries(PROFILE_FIELDS)) {
+    document.getElementById(id).value = values[key] ?? DEFAULT_SETTINGS[key];
+  }
+  document.getElementById("provider-api-key").value =
+    profileApiKeys[editingProfile] || "";
+  updateProviderFields();
+  refreshAuthStatus();
+  loadTeamSnippets();
+}
+
+// Keeps what was typed for the profile being edited before switching away.
+function stashProfileFields() {
+  const values = Object.fromEntries(
+    Object.entries(PROFILE_FIELDS).map(([key, id]) => [
+      key,
+      document.getElementById(id).value.trim(),
+    ]),
+  );
+  const profile = Profiles.find({ profiles }, editingProfile);
+  if (profile) {
+    profile.settings = values;
+  } else {
+    defaultProfileValues = values;
+  }
+  profileApiKeys[editingProfile] = document
+    .getElementById("provider-api-key")
+    .value.trim();
+}
+
+function refreshAuthStatus() {
+  // A profile that hasn't been saved yet can't be signed in, and the worker
+  // would answer for Default.
+  if (
+    editingProfile !== Profiles.DEFAULT_ID &&
+    !savedProfileIds.includes(editingProfile)
+  ) {
+    renderAuthStatus({ authenticated: false });
+    return;
+  }
+
+  chrome.runtime.sendMessage(
+    { action: "getAuthStatus", profileId: editingProfile },
+    renderAuthStatus,
+  );
+}
+
+document.getElementById("profile-edit").addEventListener("change", (event) => {
+  stashProfileFields();
+  editingProfile = event.target.value;
+  renderProfiles();
+  showProfileFields();
+});
+
+document.getElementById("profile-name").addEventListener("change", (event) => {
+  const profile = Profiles.find({ profiles }, editingProfile);
+  if (!profile) return;
+  profile.name = event.target.value.trim() || profile.name;
+  renderProfiles();
+});
+
+// A new profile starts from the one being edited, without its account.
+document.getElementById("btn-add-profile").addEventListener("click", () => {
+  stashProfileFields();
+  const source =
+    Profiles.find({ profiles }, editingProfile)?.settings ||
+    defaultProfileValues;
+  const profile = Profiles.create("New profile", {
+    ...source,
+    instanceId: "",
+    whatsappNumber: "",
+  });
+  profiles.push(profile);
+
+  editingProfile = profile.id;
+  renderProfiles();
+  showProfileFields();
+  document.getElementById("profile-name").select();
+});
+
+document.getElementById("btn-delete-profile").addEventListener("click", () => {
+  const profile = Profiles.find({ profiles }, editingProfile);
+  if (
+    !profile ||
+    !confirm(
+      `Delete the profile "${profile.name}"? It is signed out when you save.`,
+    )
+  ) {
+    return;
+  }
+
+  profiles = profiles.filter((candidate) => candidate !== profile);
+  delete profileApiKeys[profile.id];
+  editingProfile = Profiles.DEFAULT_ID;
+  renderProfiles();
+  showProfileFields();
+});
+
+// Save settings
+document.getElementById("btn-save").addEventListener("click", () => {
+  stashProfileFields();
+  const settings = {
+    ...defaultProfileValues,
+    profiles: profiles.map(Profiles.normalize),
+    apiTimeout: parseInt(document.getElementById("api-timeout").value),
+    selectorPackUrl: document.getElementById("selector-pack-url").value.trim(),
+    grammarCorrection: document.getElementById("grammar-correction").checked,
+    showPreview: document.getElementById("show-preview").checked,
+    transforms: readTransforms(),
+    correctionLanguage: document.getElementById("correction-language").value,
+    autoMode: document.getElementById("auto-mode").checked,
+    autoApproval: document.getElementById("auto-approval").checked,
+    autoReplyContactLimit: readLimit("auto-reply-contact-limit"),
+    autoReplyHourlyLimit: readLimit("auto-reply-hourly-limit"),
+    handoff: document.getElementById("handoff").checked,
+    handoffConfidence: readHandoffConfidence(),
+    handoffKeywords: Handoff.parseKeywords(
+      document.getElementById("handoff-keywords").value,
+    ),
+    replySuggestions: document.getElementById("reply-suggestions").checked,
+    hideContacts: document.getElementById("hide-contacts").checked,
+    hideIndicators: document.getElementById("hide-indicators").checked,
+    localOnly: document.getElementById("local-only").checked,
+    piiGuard: readPiiGuard(),
+    storeOriginals: document.getElementById("store-originals").checked,
+    analytics: document.getElementById("analytics").checked,
+    debugMode: document.getElementById("debug-mode").checked,
+    showPanel: document.getElementById("show-panel").checked,
+    shortcuts: { ...shortcutBindings },
+    translateTarget: document.getElementById("translate-target").value,
+    teamSnippets: document.getElementById("team-snippets").checked,
+    personas: personas.map(Personas.normalize),
+    personaSchedule: personaSchedule.map((rule) => ({ ...rule })),
+    defaultPersona: document.getElementById("default-persona").value,
+    businessHours: readBusinessHours(),
+  };
+
+  if (Object.keys(getShortcutConflicts()).length > 0) {
+    showNotification("Fix the conflicting keyboard shortcuts first", "error");
+    return;
+  }
+
+  const personaProblem = getPersonaProblem(settings.personas);
+  if (personaProblem) {
+    showNotification(personaProblem, "error");
+    return;
+  }
+
+  const hoursProblems = BusinessHours.validate(settings.businessHours);
+  if (Object.keys(hoursProblems).length > 0) {
+    renderBusinessDays(hoursProblems);
+    showNotification("Fix the highlighted business hours first", "error");
+    return;
+  }
+
+  const ruleProblem = getPiiRuleProblem(settings.piiGuard.rules);
+  if (ruleProblem) {
+    showNotification(ruleProblem, "error");
+    return;
+  }
+
+  const snippetProblems = getSnippetProblems();
+  if (Object.keys(snippetProblems).length > 0) {
+    renderSnippets(snippetProblems);
+    showNotification("Fix the highlighted templates first", "error");
+    return;
+  }
+
+  // Must run inside the click handler: permission prompts need a user gesture.
+  requestHostPermissions(settings);
+
+  // API keys stay on this device, one per profile.
+  chrome.storage.local.set(
+    Object.fromEntries(
+      Profiles.list(settings).map((profile) => [
+        Profiles.storageKey("providerApiKey", profile.id),
+        profileApiKeys[profile.id] || "",
+      ]),
+    ),
+  );
+
+  chrome.storage.sync.set(settings, () => {
+    savedProfileIds = settings.profiles.map((profile) => profile.id);
+    refreshAuthStatus();
+    saveContactProfiles(() => {
+      saveSnippets(() => {
+        log.info("Settings saved");
+        showNotification("Settings saved successfully!");
+      });
+    });
+  });
+});
+
+// AI provider
+const PROVIDER_INFO = {
+  generalbots: {
+    hint: "Uses the General Bots API URL above with your authenticated account.",
+    fields: [],
+  },
+  legacy: {
+    hint: 'Full endpoint URL that accepts { "text", "timestamp" } and returns { "processedText" }. Grammar and processing only.',
+    fields: ["url"],
+    placeholder: "https://your-server.example.com/process",
+  },
+  openai: {
+    hint: "Any server exposing /chat/completions (OpenAI, vLLM, LM Studio, LiteLLM...).",
+    fields: ["url", "model", "key"],
+    placeholder: "https://api.openai.com/v1",
+    model: "gpt-4o-mini",
+  },
+  ollama: {
+    hint: "A local or self-hosted Ollama server. Start it with OLLAMA_ORIGINS=chrome-extension://* so the extension can reach it.",
+    fields: ["url", "model"],
+    placeholder: "http://localhost:11434",
+    model: "llama3.1",
+  },
+};
+
+function updateProviderFields() {
+  const info = PROVIDER_INFO[document.getElementById("provider").value];
+
+  document.getElementById("provider-hint").textContent = info.hint;
+  document.getElementById("provider-fields").style.display =
+    info.fields.length > 0 ? "block" : "none";
+  document.getElementById("provider-url").placeholder = info.placeholder || "";
+  document.getElementById("provider-model").placeholder = info.model || "";
+  document.getElementById("provider-model-group").style.display =
+    info.fields.includes("model") ? "block" : "none";
+  document.getElementById("provider-key-group").style.display =
+    info.fields.includes("key") ? "block" : "none";
+}
+
+function toOriginPattern(url, errorMessage) {
+  try {
+    return `${new URL(url).origin}/*`;
+  } catch (error) {
+    showNotification(errorMessage, "error");
+    return null;
+  }
+}
+
+// One request for every custom origin, since a second prompt in the same
+// click would be rejected.
+function requestHostPermissions(settings) {
+  const origins = [];
+
+  for (const values of [
+    settings,
+    ...settings.profiles.map((profile) => profile.settings),
+  ]) {
+    const info = PROVIDER_INFO[values.provider];
+    if (info && values.provider !== "generalbots") {
+      origins.push(
+        toOriginPattern(
+          values.providerUrl || info.placeholder,
+          "Invalid provider URL",
+        ),
+      );
+    }
+  }
+  if (settings.selectorPackUrl) {
+    origins.push(
+      toOriginPattern(settings.selectorPackUrl, "Invalid selector pack URL"),
+    );
+  }
+
+  const valid = origins.filter(Boolean);
+  if (valid.length > 0) {
+    chrome.permissions?.request({ origins: valid });
+  }
+}
+
+document
+  .getElementById("provider")
+  .addEventListener("change", updateProviderFields);
+
+// Contact profiles
+let contactProfiles = {};
+const deletedContacts = new Set();
+
+function loadContactProfiles() {
+  chrome.storage.local.get({ contactProfiles: {} }, (items) => {
+    contactProfiles = items.contactProfiles;
+    deletedContacts.clear();
+    renderContactProfiles();
+  });
+}
+
+function renderContactProfiles() {
+  const list = document.getElementById("contact-list");
+  const filter = document
+    .getElementById("contact-search")
+    .value.trim()
+    .toLowerCase();
+
+  const entries = Object.entries(contactProfiles)
+    .filter(
+      ([chatId, profile]) =>
+        !filter ||
+        chatId.toLowerCase().includes(filter) ||
+        (profile.name || "").toLowerCase().includes(filter),
+    )
+    .sort(([, a], [, b]) => (a.name || "").localeCompare(b.name || ""));
+
+  if (entries.length === 0) {
+    list.innerHTML = `
+      <p class="empty-state">
+        No contact profiles yet. Use the 🤖 button in a WhatsApp chat header to
+        create one.
+      </p>
+    `;
+    return;
+  }
+
+  list.innerHTML = entries
+    .map(
+      ([chatId, profile]) => `
+      <div class="contact-item" data-chat-id="${escapeHtml(chatId)}">
+        <div class="contact-header">
+          <div>
+            <div class="setting-label">${escapeHtml(profile.name || chatId)}</div>
+            <div class="setting-hint">${escapeHtml(chatId)}</div>
+          </div>
+          <label class="switch" title="Auto Mode">
+            <input type="checkbox" data-field="autoMode" ${profile.autoMode ? "checked" : ""} />
+            <span class="slider"></span>
+          </label>
+        </div>
+
+        <div class="form-row">
+          <div class="form-group">
+            <label class="form-label">Response Style</label>
+            <select class="form-select" data-field="responseStyle">
+              ${renderOptions(RESPONSE_STYLES, profile.responseStyle)}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label">Language</label>
+            <select class="form-select" data-field="language">
+              ${renderOptions(CONTACT_LANGUAGES, profile.language)}
+            </select>
+          </div>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">Persona</label>
+          <select class="form-select" data-field="personaId">
+            ${renderOptions(getPersonaOptions("Automatic (schedule or default)"), profile.personaId)}
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">Custom Instructions</label>
+          <textarea class="form-textarea contact-instructions" data-field="customInstructions"
+            placeholder="Instructions for replies to this contact...">${escapeHtml(profile.customInstructions || "")}</textarea>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">Before Sending</label>
+          <div class="contact-transforms">${renderContactTransforms(profile)}</div>
+        </div>
+
+        <div class="form-row quiet-hours">
+          <label class="form-label">
+            <input type="checkbox" data-field="quietHours.enabled" ${profile.quietHours?.enabled ? "checked" : ""} />
+            Quiet hours
+          </label>
+          <div class="quiet-hours-range">
+            <input type="time" class="form-input" data-field="quietHours.start" value="${profile.quietHours?.start || "22:00"}" />
+            <span>to</span>
+            <input type="time" class="form-input" data-field="quietHours.end" value="${profile.quietHours?.end || "08:00"}" />
+          </div>
+        </div>
+
+        <button class="btn btn-danger btn-small" data-action="delete">
+          🗑️ Remove
+        </button>
+      </div>
+    `,
+    )
+    .join("");
+}
+
+function renderOptions(options, selected = "") {
+  return Object.entries(options)
+    .map(
+      ([value, label]) =>
+        `<option value="${value}" ${value === selected ? "selected" : ""}>${label}</option>`,
+    )
+    .join("");
+}
+
+const RESPONSE_STYLES = {
+  "": "Use the persona's style",
+  professional: "Professional",
+  casual: "Casual",
+  friendly: "Friendly",
+  formal: "Formal",
+};
+
+const CONTACT_LANGUAGES = {
+  "": "Auto-detect",
+  pt: "Portuguese",
+  es: "Spanish",
+  en: "English",
+};
+
+const TRANSFORM_CHOICES = {
+  "": "As in AI Settings",
+  on: "Always",
+  off: "Never",
+};
+
+// A contact's own choice for each step of the outbound chain.
+function renderContactTransforms(profile) {
+  return Transforms.STEPS.map((step) => {
+    const value = profile.transforms?.[step.id];
+    const choice = value === undefined ? "" : value ? "on" : "off";
+    return `
+      <label>
+        ${escapeHtml(step.label)}
+        <select class="form-select" data-field="transforms.${step.id}">
+          ${renderOptions(TRANSFORM_CHOICES, choice)}
+        </select>
+      </label>
+    `;
+  }).join("");
+}
+
+document.getElementById("contact-list").addEventListener("change", (event) => {
+  const field = event.target.dataset.field;
+  const item = event.target.closest(".contact-item");
+  if (!field || !item) return;
+
+  const profile = contactProfiles[item.dataset.chatId];
+  const value =
+    event.target.type === "checkbox"
+      ? event.target.checked
+      : event.target.value;
+
+  if (field.startsWith("quietHours.")) {
+    profile.quietHours = {
+      enabled: false,
+      start: "22:00",
+      end: "08:00",
+      ...profile.quietHours,
+      [field.split(".")[1]]: value,
+    };
+  } else if (field.startsWith("transforms.")) {
+    const transforms = { ...profile.transforms };
+    const id = field.split(".")[1];
+    if (value) {
+      transforms[id] = value === "on";
+    } else {
+      delete transforms[id];
+    }
+    profile.transforms = transforms;
+  } else {
+    profile[field] = value;
+  }
+  if (field === "autoMode" && value) profile.autoModeSince = Date.now();
+  profile.updatedAt = Date.now();
+});
+
+document.getElementById("contact-list").addEventListener("click", (event) => {
+  if (event.target.closest("[data-action='delete']")) {
+    const chatId = event.target.closest(".contact-item").dataset.chatId;
+    delete contactProfiles[chatId];
+    deletedContacts.add(chatId);
+    renderContactProfiles();
+  }
+});
+
+document
+  .getElementById("contact-search")
+  .addEventListener("input", renderContactProfiles);
+
+function saveContactProfiles(callback) {
+  chrome.storage.local.get({ contactProfiles: {} }, (items) => {
+    const profiles = { ...items.contactProfiles, ...contactProfiles };
+    for (const chatId of deletedContacts) {
+      delete profiles[chatId];
+    }
+
+    chrome.storage.local.set({ contactProfiles: profiles }, () => {
+      contactProfiles = profiles;
+      deletedContacts.clear();
+      renderContactProfiles();
+      callback();
+    });
+  });
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Auto-reply safety
+function readLimit(id) {
+  const input = document.getElementById(id);
+  return Math.max(1, parseInt(input.value) || Number(input.defaultValue));
+}
+
+function renderGovernorTrip(trip) {
+  const alert = document.getElementById("governor-trip");
+  alert.hidden = !trip;
+  if (!trip) return;
+
+  const where = trip.contact ? ` in the chat with ${trip.contact}` : "";
+  alert.textContent = `⚠️ Auto mode was stopped ${new Date(trip.at).toLocaleString()}${where}: ${Governor.REASONS[trip.reason]}.`;
+}
+
+// Human handoff
+function readHandoffConfidence() {
+  const percent = parseInt(document.getElementById("handoff-confidence").value);
+  if (Number.isNaN(percent)) return DEFAULT_SETTINGS.handoffConfidence;
+  return Math.min(100, Math.max(0, percent)) / 100;
+}
+
+// Before sending
+function readTransforms() {
+  return Object.fromEntries(
+    Object.keys(Transforms.getDefaults()).map((id) => [
+      id,
+      document.getElementById(`transform-${id}`).checked,
+    ]),
+  );
+}
+
+// Sensitive data
+function loadPiiGuard(stored) {
+  const defaults = PiiGuard.getDefaults();
+  const piiGuard = {
+    ...defaults,
+    ...stored,
+    types: { ...defaults.types, ...stored?.types },
+  };
+
+  document.getElementById("pii-mode").value = piiGuard.mode;
+  document.getElementById("pii-types").innerHTML = PiiGuard.TYPES.map(
+    (type) => `
+      <label>
+        <input type="checkbox" data-pii-type="${type.id}" ${piiGuard.types[type.id] ? "checked" : ""} />
+        ${escapeHtml(type.label)}
+      </label>
+    `,
+  ).join("");
+  document.getElementById("pii-rules").value = PiiGuard.formatRules(
+    piiGuard.rules,
+  );
+}
+
+function readPiiGuard() {
+  return {
+    mode: document.getElementById("pii-mode").value,
+    types: Object.fromEntries(
+      Array.from(document.querySelectorAll("[data-pii-type]")).map((input) => [
+        input.dataset.piiType,
+        input.checked,
+      ]),
+    ),
+    rules: PiiGuard.parseRules(document.getElementById("pii-rules").value),
+  };
+}
+
+function getPiiRuleProblem(rules) {
+  for (const rule of rules) {
+    const problem = PiiGuard.validateRule(rule);
+    if (problem) {
+      return `Team rule "${rule.name || rule.pattern}" ${problem}`;
+    }
+  }
+  return null;
+}
+
+// Personas
+let personas = Personas.getDefaults();
+let personaSchedule = [];
+let defaultPersona = Personas.DEFAULT_ID;
+
+function getPersonaOptions(automaticLabel) {
+  const options = automaticLabel ? { "": automaticLabel } : {};
+  for (const persona of personas) {
+    options[persona.id] = escapeHtml(persona.name);
+  }
+  return options;
+}
+
+// Personas are one sync item, which Chrome caps at 8 KB.
+function getPersonaProblem(list) {
+  const size = new TextEncoder().encode(
+    `personas${JSON.stringify(list)}`,
+  ).length;
+  const quota = chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192;
+  if (size > quota) {
+    return "Personas are too long to sync, shorten their instructions";
+  }
+  return null;
+}
+
+function renderPersonas() {
+  const list = document.getElementById("persona-list");
+  const select = document.getElementById("default-persona");
+
+  if (!personas.some((persona) => persona.id === defaultPersona)) {
+    defaultPersona = personas[0].id;
+  }
+  select.innerHTML = renderOptions(getPersonaOptions(), defaultPersona);
+
+  list.innerHTML = personas
+    .map(
+      (persona) => `
+      <div class="persona-item" data-id="${escapeHtml(persona.id)}">
+        <div class="form-row">
+          <div class="form-group">
+            <label class="form-label">Name</label>
+            <input type="text" class="form-input" data-field="name" />
+          </div>
+          <div class="form-group">
+            <label class="form-label">Response Style</label>
+            <select class="form-select" data-field="responseStyle">
+              ${renderOptions(Personas.STYLES, persona.responseStyle)}
+            </select>
+          </div>
+        </div>
+
+        <div class="form-row">
+          <div class="form-group">
+            <label class="form-label">Language</label>
+            <select class="form-select" data-field="language">
+              ${renderOptions(CONTACT_LANGUAGES, persona.language)}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label">Signature</label>
+            <input type="text" class="form-input" data-field="signature"
+              placeholder="— Ana, Support team" />
+          </div>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">Custom Instructions</label>
+          <textarea class="form-textarea persona-instructions" data-field="customInstructions"
+            placeholder="Add any custom instructions for the AI when generating replies..."></textarea>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">Banned Phrases</label>
+          <textarea class="form-textarea persona-instructions" data-field="bannedPhrases"
+            placeholder="One per line. Replies using them always wait for approval."></textarea>
+        </div>
+
+        <div class="persona-test">
+          <input type="text" class="form-input" data-test-message
+            placeholder="Try a customer message, e.g. Do you deliver on Sundays?" />
+          <button class="btn btn-secondary btn-small" data-action="test">
+            ▶ Test
+          </button>
+        </div>
+        <div class="persona-test-result" hidden></div>
+
+        <button class="btn btn-danger btn-small" data-action="delete"
+          ${personas.length === 1 ? "disabled" : ""}>
+          🗑️ Remove
+        </button>
+      </div>
+    `,
+    )
+    .join("");
+
+  list.querySelectorAll(".persona-item").forEach((item, index) => {
+    for (const input of item.querySelectorAll("input[data-field], textarea")) {
+      const value = personas[index][input.dataset.field];
+      input.value = Array.isArray(value) ? value.join("\n") : value;
+    }
+  });
+
+  renderPersonaSchedule();
+}
+
+function renderPersonaSchedule() {
+  const container = document.getElementById("persona-schedule");
+
+  if (personaSchedule.length === 0) {
+    container.innerHTML = `
+      <p class="empty-state">No rules, the default persona is always used.</p>
+    `;
+    return;
+  }
+
+  container.innerHTML = personaSchedule
+    .map(
+      (rule, index) => `
+      <div class="persona-rule" data-index="${index}">
+        <select class="form-select" data-field="personaId">
+          ${renderOptions(getPersonaOptions(), rule.personaId)}
+        </select>
+        <div class="quiet-hours-range">
+          <input type="time" class="form-input" data-field="start" value="${rule.start}" />
+          <span>to</span>
+          <input type="time" class="form-input" data-field="end" value="${rule.end}" />
+        </div>
+        <button class="btn btn-danger btn-small" data-action="delete">🗑️</button>
+      </div>
+    `,
+    )
+    .join("");
+}
+
+function findPersona(element) {
+  const item = element.closest(".persona-item");
+  return item && personas.find((persona) => persona.id === item.dataset.id);
+}
+
+function readPersonaField(target) {
+  return target.dataset.field === "bannedPhrases"
+    ? target.value.split("\n")
+    : target.value;
+}
+
+document.getElementById("persona-list").addEventListener("input", (event) => {
+  const field = event.target.dataset.field;
+  const persona = findPersona(event.target);
+  if (!field || !persona) return;
+
+  persona[field] = readPersonaField(event.target);
+});
+
+// Names show up in the default, schedule and contact selects.
+document.getElementById("persona-list").addEventListener("change", (event) => {
+  const field = event.target.dataset.field;
+  const persona = findPersona(event.target);
+  if (!field || !persona) return;
+
+  persona[field] = readPersonaField(event.target);
+  if (field === "name") {
+    document.getElementById("default-persona").innerHTML = renderOptions(
+      getPersonaOptions(),
+      defaultPersona,
+    );
+    renderPersonaSchedule();
+    renderContactProfiles();
+  }
+});
+
+document.getElementById("persona-list").addEventListener("click", (event) => {
+  const persona = findPersona(event.target);
+  if (!persona) return;
+
+  if (event.target.closest("[data-action='delete']")) {
+    personas.splice(personas.indexOf(persona), 1);
+    personaSchedule = personaSchedule.filter(
+      (rule) => rule.personaId !== persona.id,
+    );
+    renderPersonas();
+    renderContactProfiles();
+  } else if (event.target.closest("[data-action='test']")) {
+    testPersona(event.target.closest(".persona-item"), persona);
+  }
+});
+
+function testPersona(item, persona) {
+  const message = item.querySelector("[data-test-message]").value.trim();
+  const result = item.querySelector(".persona-test-result");
+  if (!message) {
+    item.querySelector("[data-test-message]").focus();
+    return;
+  }
+
+  result.hidden = false;
+  result.className = "persona-test-result";
+  result.textContent = "Generating a reply...";
+
+  chrome.runtime.sendMessage(
+    { action: "testPersona", persona: Personas.normalize(persona), message },
+    (response) => {
+      if (!response || response.error || !response.reply) {
+        result.className = "persona-test-result error";
+        result.textContent = response?.error || "No reply was generated";
+        return;
+      }
+
+      result.textContent = response.reply;
+      if (response.bannedPhrase) {
+        const warning = document.createElement("div");
+        warning.className = "warning";
+        warning.textContent = `Uses "${response.bannedPhrase}", so it would wait for approval`;
+        result.appendChild(warning);
+      }
+    },
+  );
+}
+
+document
+  .getElementById("default-persona")
+  .addEventListener("change", (event) => {
+    defaultPersona = event.target.value;
+  });
+
+document.getElementById("btn-add-persona").addEventListener("click", () => {
+  personas.push(Personas.normalize({ name: "New persona" }));
+  renderPersonas();
+  renderContactProfiles();
+  document
+    .querySelector("#persona-list .persona-item:last-child [data-field='name']")
+    .select();
+});
+
+document
+  .getElementById("persona-schedule")
+  .addEventListener("change", (event) => {
+    const field = event.target.dataset.field;
+    const row = event.target.closest(".persona-rule");
+    if (!field || !row) return;
+
+    personaSchedule[row.dataset.index][field] = event.target.value;
+  });
+
+document
+  .getElementById("persona-schedule")
+  .addEventListener("click", (event) => {
+    const row = event.target.closest(".persona-rule");
+    if (row && event.target.closest("[data-action='delete']")) {
+      personaSchedule.splice(Number(row.dataset.index), 1);
+      renderPersonaSchedule();
+    }
+  });
+
+document
+  .getElementById("btn-add-persona-rule")
+  .addEventListener("click", () => {
+    personaSchedule.push({
+      personaId: personas[0].id,
+      start: "18:00",
+      end: "08:00",
+    });
+    renderPersonaSchedule();
+  });
+
+// Business hours
+let businessHours = BusinessHours.getDefaults();
+
+function renderBusinessHours() {
+  document.getElementById("business-hours-enabled").checked =
+    businessHours.enabled;
+  document.getElementById("business-hours-auto-mode").checked =
+    businessHours.autoMode;
+  document.getElementById("away-message").value = businessHours.awayMessage;
+
+  const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const zones = { "": `Browser time zone (${browserZone})` };
+  for (const zone of Intl.supportedValuesOf?.("timeZone") || []) {
+    zones[zone] = zone;
+  }
+  document.getElementById("business-hours-timezone").innerHTML = renderOptions(
+    zones,
+    businessHours.timeZone,
+  );
+
+  renderBusinessDays();
+  renderHolidays();
+  renderBusinessHoursStatus();
+}
+
+// Monday first, as most business weeks are written.
+const BUSINESS_DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+function renderBusinessDays(problems = {}) {
+  const container = document.getElementById("business-days");
+
+  container.innerHTML = BUSINESS_DAY_ORDER.map((day) => {
+    const hours = businessHours.days[day];
+    return `
+      <div class="business-day ${hours.open ? "" : "closed"}" data-day="${day}">
+        <label class="form-label">
+          <input type="checkbox" data-field="open" ${hours.open ? "checked" : ""} />
+          ${BusinessHours.DAY_NAMES[day]}
+        </label>
+        <div class="quiet-hours-range">
+          <input type="time" class="form-input" data-field="start" value="${hours.start}" />
+          <span>to</span>
+          <input type="time" class="form-input" data-field="end" value="${hours.end}" />
+        </div>
+      </div>
+    `;
+  }).join("");
+
+  const messages = Object.values(problems);
+  if (messages.length > 0) {
+    const problem = document.createElement("div");
+    problem.className = "business-hours-problem";
+    problem.textContent = messages.join(". ");
+    container.appendChild(problem);
+  }
+}
+
+function renderHolidays() {
+  const list = document.getElementById("holiday-list");
+
+  if (businessHours.holidays.length === 0) {
+    list.innerHTML = `<p class="empty-state">No holidays.</p>`;
+    return;
+  }
+
+  // Yearly holidays are stored without a year; the date input needs one.
+  const year = new Date().getFullYear();
+  list.innerHTML = businessHours.holidays
+    .map(
+      (holiday, index) => `
+      <div class="holiday-item" data-index="${index}">
+        <input type="date" class="form-input" data-field="date"
+          value="${holiday.date.length === 5 ? `${year}-${holiday.date}` : holiday.date}" />
+        <input type="text" class="form-input" data-field="name"
+          placeholder="Christmas" value="${escapeHtml(holiday.name)}" />
+        <label>
+          <input type="checkbox" data-field="yearly" ${holiday.date.length === 5 ? "checked" : ""} />
+          Every year
+        </label>
+        <button class="btn btn-danger btn-small" data-action="delete">🗑️</button>
+      </div>
+    `,
+    )
+    .join("");
+}
+
+// What the schedule means right now, as the background worker sees it.
+function renderBusinessHoursStatus() {
+  const status = document.getElementById("business-hours-status");
+  if (!businessHours.enabled) {
+    status.textContent = "";
+    return;
+  }
+
+  const current = BusinessHours.getStatus(businessHours);
+  const period = current.open
+    ? "Business hours"
+    : current.holiday || "After hours";
+  const until = BusinessHours.formatChange(current.nextChange);
+  status.textContent = `Now: ${period}${until ? ` until ${until}` : ""}`;
+}
+
+function readBusinessHours() {
+  return BusinessHours.normalize({
+    ...businessHours,
+    enabled: document.getElementById("business-hours-enabled").checked,
+    autoMode: document.getElementById("business-hours-auto-mode").checked,
+    timeZone: document.getElementById("business-hours-timezone").value,
+    awayMessage: document.getElementById("away-message").value,
+  });
+}
+
+for (const id of ["business-hours-enabled", "business-hours-timezone"]) {
+  document.getElementById(id).addEventListener("change", () => {
+    businessHours = readBusinessHours();
+    renderBusinessHoursStatus();
+  });
+}
+
+document.getElementById("business-days").addEventListener("change", (event) => {
+  const field = event.target.dataset.field;
+  const row = event.target.closest(".business-day");
+  if (!field || !row) return;
+
+  const hours = businessHours.days[row.dataset.day];
+  hours[field] = field === "open" ? event.target.checked : event.target.value;
+  row.classList.toggle("closed", !hours.open);
+  renderBusinessHoursStatus();
+});
+
+document.getElementById("holiday-list").addEventListener("change", (event) => {
+  const field = event.target.dataset.field;
+  const row = event.target.closest(".holiday-item");
+  if (!field || !row) return;
+
+  const holiday = businessHours.holidays[row.dataset.index];
+  const date = row.querySelector("[data-field='date']").value;
+  if (field === "name") {
+    holiday.name = event.target.value;
+  } else if (date) {
+    holiday.date = row.querySelector("[data-field='yearly']").checked
+      ? date.slice(5)
+      : date;
+  }
+  renderBusinessHoursStatus();
+});
+
+document.getElementById("holiday-list").addEventListener("click", (event) => {
+  const row = event.target.closest(".holiday-item");
+  if (row && event.target.closest("[data-action='delete']")) {
+    businessHours.holidays.splice(Number(row.dataset.index), 1);
+    renderHolidays();
+    renderBusinessHoursStatus();
+  }
+});
+
+document.getElementById("btn-add-holiday").addEventListener("click", () => {
+  businessHours.holidays.push({
+    date: toDayKey(new Date()),
+    name: "",
+  });
+  renderHolidays();
+  document
+    .querySelector("#holiday-list .holiday-item:last-child [data-field='name']")
+    .focus();
+});
+
+// Templates
+let snippets = [];
+const editedSnippets = new Set();
+const deletedSnippets = new Set();
+
+function loadSnippets() {
+  chrome.storage.sync.get(null, (items) => {
+    snippets = Snippets.fromStorage(items);
+    editedSnippets.clear();
+    deletedSnippets.clear();
+    renderSnippets();
+  });
+}
+
+function snippetItems(list) {
+  return Object.assign({}, ...list.map(Snippets.toStorage));
+}
+
+// Templates added but never filled in are dropped instead of blocking Save.
+function getSnippetProblems() {
+  for (const snippet of [...snippets]) {
+    if (!snippet.shortcut.trim() && !snippet.title.trim() && !snippet.body) {
+      snippets.splice(snippets.indexOf(snippet), 1);
+      editedSnippets.delete(snippet.id);
+    }
+  }
+  return Snippets.validate(snippets);
+}
+
+function renderSnippets(problems = {}) {
+  const list = document.getElementById("snippet-list");
+  const filter = document.getElementById("snippet-search").value;
+  const visible = filter
+    ? Snippets.search(snippets, filter, snippets.length)
+    : snippets;
+
+  if (visible.length === 0) {
+    list.innerHTML = `
+      <p class="empty-state">
+        ${filter ? "No templates match your search." : "No templates yet. Add one, then type / in a WhatsApp chat to use it."}
+      </p>
+    `;
+    return;
+  }
+
+  list.innerHTML = visible
+    .map(
+      (snippet) => `
+      <div class="snippet-item" data-id="${escapeHtml(snippet.id)}">
+        <div class="form-row">
+          <div class="form-group">
+            <label class="form-label">Shortcut</label>
+            <input type="text" class="form-input" data-field="shortcut" placeholder="greeting" />
+          </div>
+          <div class="form-group">
+            <label class="form-label">Title</label>
+            <input type="text" class="form-input" data-field="title" placeholder="Greeting" />
+          </div>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">Message</label>
+          <textarea class="form-textarea snippet-body" data-field="body"
+            placeholder="Hi {{firstName}}, thanks for reaching out!"></textarea>
+        </div>
+
+        ${problems[snippet.id] ? `<div class="snippet-problem">${escapeHtml(problems[snippet.id])}</div>` : ""}
+
+        <button class="btn btn-danger btn-small" data-action="delete">
+          🗑️ Remove
+        </button>
+      </div>
+    `,
+    )
+    .join("");
+
+  list.querySelectorAll(".snippet-item").forEach((item, index) => {
+    for (const input of item.querySelectorAll("[data-field]")) {
+      input.value = visible[index][input.dataset.field];
+    }
+  });
+}
+
+function renderSnippetVariables() {
+  const container = document.getElementById("snippet-variables");
+  container.replaceChildren(
+    ...Object.entries(Snippets.VARIABLES).map(([name, description]) => {
+      const entry = document.createElement("span");
+      const code = document.createElement("code");
+      code.textContent = `{{${name}}}`;
+      entry.append(code, ` ${description}`);
+      return entry;
+    }),
+  );
+}
+
+function findSnippet(element) {
+  const item = element.closest(".snippet-item");
+  return item && snippets.find((snippet) => snippet.id === item.dataset.id);
+}
+
+document.getElementById("snippet-list").addEventListener("input", (event) => {
+  const field = event.target.dataset.field;
+  const snippet = findSnippet(event.target);
+  if (!field || !snippet) return;
+
+  snippet[field] = event.target.value;
+  snippet.updatedAt = Date.now();
+  editedSnippets.add(snippet.id);
+});
+
+document.getElementById("snippet-list").addEventListener("click", (event) => {
+  if (event.target.closest("[data-action='delete']")) {
+    const snippet = findSnippet(event.target);
+    snippets.splice(snippets.indexOf(snippet), 1);
+    editedSnippets.delete(snippet.id);
+    deletedSnippets.add(snippet.id);
+    renderSnippets();
+  }
+});
+
+document
+  .getElementById("snippet-search")
+  .addEventListener("input", () => renderSnippets());
+
+document.getElementById("btn-add-snippet").addEventListener("click", () => {
+  const snippet = Snippets.normalize({ updatedAt: Date.now() });
+  snippets.unshift(snippet);
+  editedSnippets.add(snippet.id);
+
+  document.getElementById("snippet-search").value = "";
+  renderSnippets();
+  document.querySelector("#snippet-list [data-field='shortcut']").focus();
+});
+
+// Only changed templates are written, so saving here doesn't overwrite
+// edits synced from another browser in the meantime.
+function saveSnippets(callback) {
+  const changed = snippets.filter((snippet) => editedSnippets.has(snippet.id));
+  const removed = [...deletedSnippets].map((id) => Snippets.KEY_PREFIX + id);
+
+  chrome.storage.sync.remove(removed, () => {
+    chrome.storage.sync.set(snippetItems(changed), () => {
+      if (chrome.runtime.lastError) {
+        log.error("Saving templates failed", chrome.runtime.lastError.message);
+        showNotification(
+          `Templates not saved: ${chrome.runtime.lastError.message}`,
+          "error",
+        );
+        return;
+      }
+      loadSnippets();
+      callback();
+    });
+  });
+}
+
+function loadTeamSnippets() {
+  const key = Profiles.storageKey("teamSnippets", editingProfile);
+  chrome.storage.local.get({ [key]: null }, (items) =>
+    renderTeamSnippets(items[key]),
+  );
+}
+
+function renderTeamSnippets(teamSnippets) {
+  const status = document.getElementById("team-snippet-status");
+  const list = document.getElementById("team-snippet-list");
+  const entries = teamSnippets?.snippets || [];
+
+  status.textContent = teamSnippets
+    ? `${entries.length} shared template${entries.length === 1 ? "" : "s"}, updated ${new Date(teamSnippets.fetchedAt).toLocaleString()}`
+    : "Not loaded";
+
+  list.innerHTML = entries
+    .map(
+      (snippet) => `
+      <div class="team-snippet">
+        ${snippet.shortcut ? `<code>/${escapeHtml(snippet.shortcut)}</code>` : ""}${escapeHtml(snippet.title || snippet.body)}
+      </div>
+    `,
+    )
+    .join("");
+}
+
+document
+  .getElementById("btn-refresh-team-snippets")
+  .addEventListener("click", () => {
+    if (!document.getElementById("team-snippets").checked) {
+      showNotification("Turn on team templates and save first", "error");
+      return;
+    }
+
+    chrome.runtime.sendMessage(
+      { action: "refreshTeamSnippets", profileId: editingProfile },
+      (response) => {
+        if (response?.error) {
+          showNotification(
+            `Could not load team templates: ${response.error}`,
+            "error",
+          );
+        }
+      },
+    );
+  });
+
+// Usage dashboard
+const ACTIVITY_SERIES = [
+  { type: "messageProcessed", label: "Messages processed", color: "#3b82f6" },
+  {
+    type: "correctionAccepted",
+    label: "Corrections accepted",
+    color: "#22c55e",
+  },
+  { type: "autoReplySent", label: "Auto-replies sent", color: "#f59e0b" },
+];
+
+let statsDaily = {};
+
+function loadStats() {
+  chrome.storage.local.get({ statsDaily: {} }, (items) => {
+    statsDaily = items.statsDaily;
+    renderDashboard();
+  });
+}
+
+function toDayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function setStatsRange(days) {
+  const from = new Date();
+  from.setDate(from.getDate() - (days - 1));
+
+  document.getElementById("stats-from").value = toDayKey(from);
+  document.getElementById("stats-to").value = toDayKey(new Date());
+  renderDashboard();
+}
+
+function getStatsRange() {
+  const from = new Date(`${document.getElementById("stats-from").value}T00:00`);
+  const to = new Date(`${document.getElementById("stats-to").value}T00:00`);
+  const days = [];
+
+  while (from <= to && days.length < 366) {
+    days.push(toDayKey(from));
+    from.setDate(from.getDate() + 1);
+  }
+
+  return days;
+}
+
+function sumStats(days) {
+  const counts = {};
+  const contacts = {};
+  let latencyTotal = 0;
+  let latencySamples = 0;
+
+  for (const key of days) {
+    const day = statsDaily[key];
+    if (!day) continue;
+
+    for (const [type, count] of Object.entries(day.counts)) {
+      counts[type] = (counts[type] || 0) + count;
+    }
+
+    latencyTotal += day.latency.total;
+    latencySamples += day.latency.samples;
+
+    for (const [chatId, contact] of Object.entries(day.contacts)) {
+      const entry = (contacts[chatId] ||= { name: contact.name, counts: {} });
+      entry.name = contact.name || entry.name;
+      for (const [type, count] of Object.entries(contact.counts)) {
+        entry.counts[type] = (entry.counts[type] || 0) + count;
+      }
+    }
+  }
+
+  return {
+    counts,
+    contacts,
+    latency: latencySamples > 0 ? latencyTotal / latencySamples : null,
+  };
+}
+
+function renderDashboard() {
+  // Canvas sizes come from layout, so skip drawing while the tab is hidden.
+  if (!document.getElementById("dashboard").classList.contains("active")) {
+    return;
+  }
+
+  const days = getStatsRange();
+  const { counts, contacts, latency } = sumStats(days);
+  const percent = (part, whole) =>
+    whole > 0 ? ` (${Math.round((part / whole) * 100)}%)` : "";
+
+  const tiles = [
+    ["Messages processed", counts.messageProcessed || 0],
+    [
+      "Corrections accepted",
+      `${counts.correctionAccepted || 0}${percent(counts.correctionAccepted || 0, counts.correctionOffered)}`,
+    ],
+    [
+      "Auto-replies sent",
+      `${counts.autoReplySent || 0}${percent(counts.autoReplySent || 0, counts.autoReplyGenerated)}`,
+    ],
+    ["Errors", counts.error || 0],
+    ["Avg. AI latency", latency === null ? "–" : `${Math.round(latency)} ms`],
+  ];
+
+  document.getElementById("stats-summary").innerHTML = tiles
+    .map(
+      ([label, value]) => `
+      <div class="stats-tile">
+        <div class="stats-tile-value">${escapeHtml(String(value))}</div>
+        <div class="stats-tile-label">${label}</div>
+      </div>
+    `,
+    )
+    .join("");
+
+  drawActivityChart(days);
+  drawLatencyChart(days);
+  renderTopContacts(contacts);
+}
+
+function setupCanvas(canvas) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+
+  const ctx = canvas.getContext("2d");
+  ctx.scale(ratio, ratio);
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = "11px -apple-system, BlinkMacSystemFont, sans-serif";
+  return { ctx, width, height };
+}
+
+const CHART_PADDING = { top: 10, right: 10, bottom: 24, left: 44 };
+
+function drawAxes(ctx, days, width, height, max, formatValue) {
+  const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.08)";
+  ctx.fillStyle = "#94a3b8";
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+
+  for (let i = 0; i <= 4; i++) {
+    const y = CHART_PADDING.top + plotHeight - (plotHeight * i) / 4;
+    ctx.beginPath();
+    ctx.moveTo(CHART_PADDING.left, y);
+    ctx.lineTo(width - CHART_PADDING.right, y);
+    ctx.stroke();
+    ctx.fillText(formatValue((max * i) / 4), CHART_PADDING.left - 6, y);
+  }
+
+  const slot = (width - CHART_PADDING.left - CHART_PADDING.right) / days.length;
+  const every = Math.ceil(days.length / 8);
+
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  days.forEach((key, i) => {
+    if (i % every !== 0) return;
+    ctx.fillText(
+      key.slice(5),
+      CHART_PADDING.left + slot * (i + 0.5),
+      height - CHART_PADDING.bottom + 8,
+    );
+  });
+
+  return { slot, plotHeight };
+}
+
+function drawActivityChart(days) {
+  const canvas = document.getElementById("activity-chart");
+  const { ctx, width, height } = setupCanvas(canvas);
+
+  const totals = days.map((key) =>
+    ACTIVITY_SERIES.reduce(
+      (sum, series) => sum + (statsDaily[key]?.counts[series.type] || 0),
+      0,
+    ),
+  );
+  const max = Math.max(4, ...totals);
+  const { slot, plotHeight } = drawAxes(ctx, days, width, height, max, (v) =>
+    String(Math.round(v)),
+  );
+  const barWidth = Math.max(1, slot * 0.7);
+
+  days.forEach((key, i) => {
+    let y = CHART_PADDING.top + plotHeight;
+    const x = CHART_PADDING.left + slot * i + (slot - barWidth) / 2;
+
+    for (const series of ACTIVITY_SERIES) {
+      const value = statsDaily[key]?.counts[series.type] || 0;
+      const barHeight = (value / max) * plotHeight;
+      y -= barHeight;
+      ctx.fillStyle = series.color;
+      ctx.fillRect(x, y, barWidth, barHeight);
+    }
+  });
+
+  document.getElementById("activity-legend").innerHTML = ACTIVITY_SERIES.map(
+    (series) =>
+      `<span style="--swatch: ${series.color}">${series.label}</span>`,
+  ).join("");
+}
+
+function drawLatencyChart(days) {
+  const canvas = document.getElementById("latency-chart");
+  const { ctx, width, height } = setupCanvas(canvas);
+
+  const values = days.map((key) => {
+    const latency = statsDaily[key]?.latency;
+    return latency?.samples > 0 ? latency.total / latency.samples : null;
+  });
+  const max = Math.max(100, ...values.filter((v) => v !== null));
+  const { slot, plotHeight } = drawAxes(ctx, days, width, height, max, (v) =>
+    v >= 1000 ? `${(v / 1000).toFixed(1)}s` : `${Math.round(v)}ms`,
+  );
+
+  ctx.strokeStyle = "#3b82f6";
+  ctx.fillStyle = "#3b82f6";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+
+  let drawing = false;
+  values.forEach((value, i) => {
+    // Days without AI calls leave a gap instead of dropping to zero.
+    if (value === null) {
+      drawing = false;
+      return;
+    }
+
+    const x = CHART_PADDING.left + slot * (i + 0.5);
+    const y = CHART_PADDING.top + plotHeight - (value / max) * plotHeight;
+    if (drawing) ctx.lineTo(x, y);
+    else ctx.moveTo(x, y);
+    drawing = true;
+    ctx.fillRect(x - 2, y - 2, 4, 4);
+  });
+
+  ctx.stroke();
+}
+
+function renderTopContacts(contacts) {
+  const container = document.getElementById("stats-contacts");
+  const activity = (entry) =>
+    ACTIVITY_SERIES.reduce((sum, s) => sum + (entry.counts[s.type] || 0), 0);
+
+  const rows = Object.entries(contacts)
+    .sort(([, a], [, b]) => activity(b) - activity(a))
+    .slice(0, 10);
+
+  if (rows.length === 0) {
+    container.innerHTML = `<p class="empty-state">No activity in this period.</p>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="stats-table">
+      <thead>
+        <tr>
+          <th>Contact</th>
+          ${ACTIVITY_SERIES.map((series) => `<th>${series.label}</th>`).join("")}
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map(
+            ([chatId, entry]) => `
+          <tr>
+            <td>${escapeHtml(entry.name || chatId)}</td>
+            ${ACTIVITY_SERIES.map((series) => `<td>${entry.counts[series.type] || 0}</td>`).join("")}
+          </tr>
+        `,
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+document.querySelectorAll(".stats-presets [data-days]").forEach((button) => {
+  button.addEventListener("click", () =>
+    setStatsRange(Number(button.dataset.days)),
+  );
+});
+
+document
+  .getElementById("stats-from")
+  .addEventListener("change", renderDashboard);
+document.getElementById("stats-to").addEventListener("change", renderDashboard);
+window.addEventListener("resize", renderDashboard);
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local") return;
+
+  if (changes.statsDaily) {
+    statsDaily = changes.statsDaily.newValue || {};
+    renderDashboard();
+  }
+
+  if (changes.correctionHistory) {
+    updateHistoryCount();
+  }
+
+  const teamKey = Profiles.storageKey("teamSnippets", editingProfile);
+  if (changes[teamKey]) {
+    renderTeamSnippets(changes[teamKey].newValue);
+  }
+
+  if (changes.governorTrip) {
+    renderGovernorTrip(changes.governorTrip.newValue);
+  }
+
+  if (changes[Logger.STORAGE_KEY]) {
+    logEntries = changes[Logger.STORAGE_KEY].newValue || [];
+    renderLogs();
+  }
+});
+
+// Activity log
+const log = Logger.create("options");
+const LOG_LEVEL_CLASSES = {
+  debug: "debug",
+  info: "info",
+  warn: "warning",
+  error: "error",
+};
+
+let logEntries = [];
+
+function loadLogs() {
+  chrome.storage.local.get({ [Logger.STORAGE_KEY]: [] }, (items) => {
+    logEntries = items[Logger.STORAGE_KEY];
+    renderLogs();
+  });
+}
+
+function getFilteredLogs() {
+  const minLevel =
+    Logger.LEVELS[document.getElementById("log-level-filter").value];
+  const component = document.getElementById("log-component-filter").value;
+
+  return logEntries.filter(
+    (entry) =>
+      Logger.LEVELS[entry.level] >= minLevel &&
+      (!component || entry.component === component),
+  );
+}
+
+function renderLogComponents() {
+  const select = document.getElementById("log-component-filter");
+  const selected = select.value;
+  const components = [...new Set(logEntries.map((e) => e.component))].sort();
+
+  select.innerHTML = renderOptions(
+    Object.fromEntries([
+      ["", "All components"],
+      ...components.map((name) => [name, name]),
+    ]),
+    selected,
+  );
+}
+
+function renderLogs() {
+  const viewer = document.getElementById("log-viewer");
+  const atBottom =
+    viewer.scrollHeight - viewer.scrollTop - viewer.clientHeight < 20;
+
+  renderLogComponents();
+  const entries = getFilteredLogs();
+
+  if (entries.length === 0) {
+    viewer.innerHTML = `<p class="empty-state">No log entries yet.</p>`;
+    return;
+  }
+
+  viewer.innerHTML = entries
+    .map(
+      (entry) => `
+      <div class="log-entry">
+        <span class="log-time">${new Date(entry.time).toLocaleTimeString()}</span>
+        <span class="log-level ${LOG_LEVEL_CLASSES[entry.level]}">${entry.level.toUpperCase()}</span>
+        <span class="log-component">${escapeHtml(entry.component)}</span>
+        <span class="log-message">${escapeHtml(entry.message)}</span>
+      </div>
+    `,
+    )
+    .join("");
+
+  if (atBottom) viewer.scrollTop = viewer.scrollHeight;
+}
+
+function formatLogEntry(entry) {
+  return `${new Date(entry.time).toISOString()} ${entry.level.toUpperCase().padEnd(5)} [${entry.component}] ${entry.message}`;
+}
+
+document
+  .getElementById("log-level-filter")
+  .addEventListener("change", renderLogs);
+document
+  .getElementById("log-component-filter")
+  .addEventListener("change", renderLogs);
+
+document.getElementById("btn-copy-logs").addEventListener("click", async () => {
+  const text = getFilteredLogs().map(formatLogEntry).join("\n");
+  try {
+    await navigator.clipboard.writeText(text);
+    showNotification("Logs copied to clipboard");
+  } catch (error) {
+    showNotification("Could not copy logs", "error");
+  }
+});
+
+document.getElementById("btn-export-logs").addEventListener("click", () => {
+  const report = {
+    exportedAt: new Date().toISOString(),
+    version: chrome.runtime.getManifest().version,
+    userAgent: navigator.userAgent,
+    entries: getFilteredLogs(),
+  };
+
+  Downloads.save(
+    `general-bots-logs-${toDayKey(new Date())}.json`,
+    JSON.stringify(report, null, 2),
+    "application/json",
+  );
+});
+
+document.getElementById("btn-clear-logs").addEventListener("click", () => {
+  Logger.clear().then(() => {
+    logEntries = [];
+    renderLogs();
+    showNotification("Logs cleared");
+  });
+});
+
+// Backup and restore
+const BACKUP_FORMAT = "general-bots-backup";
+const BACKUP_VERSION = 1;
+
+// Credentials are tied to this browser and must be re-authenticated after a
+// move, so they never leave it. Provider API keys live in local storage and
+// are not part of the backup either.
+const ACCOUNT_SETTINGS = [
+  "authToken",
+  "authenticated",
+  "authPending",
+  "authRequestId",
+  "instanceId",
+];
+
+// Profiles keep their own instance, which is an account setting too.
+function withoutInstances(list) {
+  return list.map((profile) => {
+    const { id, name, settings } = Profiles.normalize(profile);
+    delete settings.instanceId;
+    return { id, name, settings };
+  });
+}
+
+// Profiles this browser already has keep their instance; merging also keeps
+// the ones the backup doesn't have.
+function importProfiles(current, imported, mode) {
+  const result = imported.map((profile) => {
+    const existing = current.find(({ id }) => id === profile.id);
+    const instanceId = existing?.settings.instanceId;
+    return instanceId
+      ? { ...profile, settings: { ...profile.settings, instanceId } }
+      : profile;
+  });
+  if (mode === "replace") return result;
+
+  return result.concat(
+    current.filter(({ id }) => !imported.some((profile) => profile.id === id)),
+  );
+}
+
+// Settings older backups may carry, converted on import.
+const LEGACY_SETTINGS = ["shortcut", "responseStyle", "customInstructions"];
+
+async function buildBackup() {
+  const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+  for (const key of ACCOUNT_SETTINGS) delete settings[key];
+  settings.profiles = withoutInstances(settings.profiles);
+
+  const local = await chrome.storage.local.get({
+    contactProfiles: {},
+    stats: {},
+    statsDaily: {},
+    correctionHistory: [],
+  });
+
+  const stored = Snippets.fromStorage(await chrome.storage.sync.get(null));
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    settings,
+    snippets: stored.map(({ source, ...snippet }) => snippet),
+    ...local,
+  };
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Returns a list of human-readable problems; an empty list means the backup
+ * can be imported. Unknown settings are reported too, since silently dropping
+ * them would make a "successful" import lose configuration.
+ */
+function validateBackup(data) {
+  if (!isPlainObject(data) || data.format !== BACKUP_FORMAT) {
+    return ["This file is not a General Bots backup"];
+  }
+  if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+    return [
+      `Backup version ${data.version} is not supported, update the extension`,
+    ];
+  }
+
+  const errors = [];
+
+  if (!isPlainObject(data.settings)) {
+    errors.push("settings must be an object");
+  } else {
+    for (const [key, value] of Object.entries(data.settings)) {
+      if (ACCOUNT_SETTINGS.includes(key) || LEGACY_SETTINGS.includes(key)) {
+        continue;
+      }
+      if (!(key in DEFAULT_SETTINGS)) {
+        errors.push(`Unknown setting "${key}"`);
+      } else if (key === "profiles" && !Array.isArray(value)) {
+        errors.push("profiles must be a list of { id, name, settings }");
+      } else if (typeof value !== typeof DEFAULT_SETTINGS[key]) {
+        errors.push(
+          `Setting "${key}" should be a ${typeof DEFAULT_SETTINGS[key]}`,
+        );
+      }
+    }
+  }
+
+  if (data.snippets !== undefined) {
+    const valid =
+      Array.isArray(data.snippets) &&
+      data.snippets.every(
+        (snippet) => isPlainObject(snippet) && typeof snippet.body === "string",
+      );
+    if (!valid) {
+      errors.push("snippets must be a list of { shortcut, title, body }");
+    }
+  }
+
+  if (data.contactProfiles !== undefined) {
+    if (!isPlainObject(data.contactProfiles)) {
+      errors.push("contactProfiles must be an object");
+    } else if (!Object.values(data.contactProfiles).every(isPlainObject)) {
+      errors.push("Every contact profile must be an object");
+    }
+  }
+
+  if (data.stats !== undefined) {
+    if (
+      !isPlainObject(data.stats) ||
+      !Object.values(data.stats).every(Number.isFinite)
+    ) {
+      errors.push("stats must map counter names to numbers");
+    }
+  }
+
+  if (data.statsDaily !== undefined) {
+    if (!isPlainObject(data.statsDaily)) {
+      errors.push("statsDaily must be an object");
+    } else {
+      for (const [key, day] of Object.entries(data.statsDaily)) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(key) || !isPlainObject(day?.counts)) {
+          errors.push(`Invalid daily statistics for "${key}"`);
+          break;
+        }
+      }
+    }
+  }
+
+  if (data.correctionHistory !== undefined) {
+    const valid =
+      Array.isArray(data.correctionHistory) &&
+      data.correctionHistory.every(
+        (entry) =>
+          isPlainObject(entry) &&
+          Number.isFinite(entry.time) &&
+          typeof entry.original === "string" &&
+          typeof entry.corrected === "string",
+      );
+    if (!valid) {
+      errors.push(
+        "correctionHistory must be a list of { time, original, corrected }",
+      );
+    }
+  }
+
+  return errors;
+}
+
+// Returns the imported templates that are new or were edited more recently
+// than the local copy.
+function newerSnippets(current, imported) {
+  const updatedAt = new Map(current.map((s) => [s.id, s.updatedAt]));
+  return imported.filter(
+    (snippet) => snippet.updatedAt >= (updatedAt.get(snippet.id) ?? 0),
+  );
+}
+
+function mergeContactProfiles(current, imported) {
+  const merged = { ...current };
+  for (const [chatId, profile] of Object.entries(imported)) {
+    if ((profile.updatedAt || 0) >= (merged[chatId]?.updatedAt || 0)) {
+      merged[chatId] = profile;
+    }
+  }
+  return merged;
+}
+
+// Counters are combined with max() rather than summed so importing the same
+// backup twice doesn't double them.
+function mergeCounts(current = {}, imported = {}) {
+  const merged = { ...current };
+  for (const [key, value] of Object.entries(imported)) {
+    merged[key] = Math.max(merged[key] || 0, value);
+  }
+  return merged;
+}
+
+function mergeStatsDaily(current, imported) {
+  const merged = { ...current };
+  for (const [key, day] of Object.entries(imported)) {
+    const existing = merged[key];
+    if (!existing) {
+      merged[key] = day;
+      continue;
+    }
+
+    const contacts = { ...existing.contacts };
+    for (const [chatId, contact] of Object.entries(day.contacts || {})) {
+      contacts[chatId] = {
+        name: contact.name || contacts[chatId]?.name || "",
+        counts: mergeCounts(contacts[chatId]?.counts, contact.counts),
+      };
+    }
+
+    const latency =
+      (day.latency?.samples || 0) > existing.latency.samples
+        ? day.latency
+        : existing.latency;
+
+    merged[key] = {
+      counts: mergeCounts(existing.counts, day.counts),
+      latency,
+      contacts,
+    };
+  }
+  return merged;
+}
+
+function mergeHistory(current, imported) {
+  const seen = new Set(current.map((e) => `${e.time}:${e.original}`));
+  return current
+    .concat(imported.filter((e) => !seen.has(`${e.time}:${e.original}`)))
+    .sort((a, b) => a.time - b.time);
+}
+
+async function importBackup(data, mode) {
+  const settings = { ...data.settings };
+  for (const key of ACCOUNT_SETTINGS) delete settings[key];
+
+  // Backups made before per-command shortcuts had a single binding.
+  if (settings.shortcut !== undefined) {
+    if (!settings.shortcuts && Shortcuts.isValid(settings.shortcut)) {
+      settings.shortcuts = {
+        ...Shortcuts.getDefaults(),
+        correctDraft: Shortcuts.normalize(settings.shortcut),
+      };
+    }
+    delete settings.shortcut;
+  }
+
+  // Backups made before personas had one style and set of instructions.
+  if (
+    settings.responseStyle !== undefined ||
+    settings.customInstructions !== undefined
+  ) {
+    if (!settings.personas) {
+      settings.personas = [
+        Personas.normalize({
+          ...Personas.getDefaults()[0],
+          responseStyle: settings.responseStyle,
+          customInstructions: settings.customInstructions,
+        }),
+      ];
+    }
+    delete settings.responseStyle;
+    delete settings.customInstructions;
+  }
+
+  if (settings.profiles) {
+    const { profiles: current } = await chrome.storage.sync.get({
+      profiles: [],
+    });
+    settings.profiles = importProfiles(
+      current,
+      withoutInstances(settings.profiles),
+      mode,
+    );
+  }
+
+  const importedSnippets = (data.snippets || []).map((snippet) =>
+    Snippets.normalize(snippet),
+  );
+  const currentSnippets = Snippets.fromStorage(
+    await chrome.storage.sync.get(null),
+  );
+
+  const imported = {
+    contactProfiles: data.contactProfiles || {},
+    stats: data.stats || {},
+    statsDaily: data.statsDaily || {},
+    correctionHistory: data.correctionHistory || [],
+  };
+
+  if (mode === "replace") {
+    const account = await chrome.storage.sync.get(ACCOUNT_SETTINGS);
+    // Backups made before templates existed leave the current ones alone.
+    const kept = data.snippets ? importedSnippets : currentSnippets;
+    await chrome.storage.sync.clear();
+    await chrome.storage.sync.set({
+      ...settings,
+      ...account,
+      ...snippetItems(kept),
+    });
+    await chrome.storage.local.set(imported);
+    return;
+  }
+
+  const current = await chrome.storage.local.get({
+    contactProfiles: {},
+    stats: {},
+    statsDaily: {},
+    correctionHistory: [],
+  });
+
+  await chrome.storage.sync.set({
+    ...settings,
+    ...snippetItems(newerSnippets(currentSnippets, importedSnippets)),
+  });
+  await chrome.storage.local.set({
+    contactProfiles: mergeContactProfiles(
+      current.contactProfiles,
+      imported.contactProfiles,
+    ),
+    stats: mergeCounts(current.stats, imported.stats),
+    statsDaily: mergeStatsDaily(current.statsDaily, imported.statsDaily),
+    correctionHistory: mergeHistory(
+      current.correctionHistory,
+      imported.correctionHistory,
+    ),
+  });
+}
+
+function toCsv(rows) {
+  return rows
+    .map((row) =>
+      row
+        .map((value) => {
+          let cell = String(value ?? "");
+          // Keep spreadsheets from evaluating message text as a formula.
+          if (/^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+          return `"${cell.replace(/"/g, '""')}"`;
+        })
+        .join(","),
+    )
+    .join("\r\n");
+}
+
+function updateHistoryCount() {
+  chrome.storage.local.get({ correctionHistory: [] }, (items) => {
+    const count = items.correctionHistory.length;
+    document.getElementById("history-count").textContent =
+      `${count} correction${count === 1 ? "" : "s"} stored on this device`;
+  });
+}
+
+document.getElementById("btn-export").addEventListener("click", async () => {
+  const backup = await buildBackup();
+  Downloads.save(
+    `general-bots-backup-${toDayKey(new Date())}.json`,
+    JSON.stringify(backup, null, 2),
+    "application/json",
+  );
+  log.info("Exported backup");
+});
+
+document.getElementById("btn-import").addEventListener("click", () => {
+  document.getElementById("import-file").click();
+});
+
+document
+  .getElementById("import-file")
+  .addEventListener("change", async function () {
+    const file = this.files[0];
+    this.value = "";
+    if (!file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      showNotification("The selected file is not valid JSON", "error");
+      return;
+    }
+
+    const errors = validateBackup(data);
+    if (errors.length > 0) {
+      log.warn("Rejected backup import:", errors.join("; "));
+      showNotification(errors.slice(0, 3).join(". "), "error");
+      return;
+    }
+
+    const mode = document.getElementById("import-mode").value;
+    if (
+      mode === "replace" &&
+      !confirm(
+        "Replace all settings, templates, contacts, statistics and history?",
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await importBackup(data, mode);
+    } catch (error) {
+      log.error("Backup import failed", error);
+      showNotification(`Import failed: ${error.message}`, "error");
+      return;
+    }
+
+    log.info(`Imported backup from ${data.exportedAt} (${mode})`);
+    loadSettings();
+    loadContactProfiles();
+    loadSnippets();
+    loadStats();
+    updateHistoryCount();
+    showNotification("Backup imported");
+  });
+
+document
+  .getElementById("btn-export-history")
+  .addEventListener("click", async () => {
+    const { correctionHistory } = await chrome.storage.local.get({
+      correctionHistory: [],
+    });
+
+    const rows = [
+      ["time", "contact", "chatId", "original", "corrected"],
+      ...correctionHistory.map((entry) => [
+        new Date(entry.time).toISOString(),
+        entry.contact,
+        entry.chatId,
+        entry.original,
+        entry.corrected,
+      ]),
+    ];
+
+    Downloads.save(
+      `general-bots-history-${toDayKey(new Date())}.csv`,
+      // The BOM makes Excel open the file as UTF-8.
+      "\uFEFF" + toCsv(rows),
+      "text/csv",
+    );
+  });
+
+// Keyboard shortcuts
+let shortcutBindings = Shortcuts.getDefaults();
+let browserShortcuts = {};
+
+function loadBrowserShortcuts() {
+  chrome.commands?.getAll((commands) => {
+    browserShortcuts = {};
+    const bound = [];
+
+    for (const command of commands) {
+      const id = Shortcuts.fromManifestName(command.name);
+      if (!id || !command.shortcut) continue;
+
+      browserShortcuts[id] = command.shortcut;
+      bound.push(`${command.shortcut} – ${Shortcuts.COMMANDS[id].label}`);
+    }
+
+    document.getElementById("browser-shortcuts").textContent =
+      bound.length > 0
+        ? `Also work from other tabs: ${bound.join(", ")}`
+        : "No browser-wide shortcuts assigned";
+    renderShortcuts();
+  });
+}
+
+// A browser shortcut only clashes when it runs a different command than
+// the in-page binding that shares its keys.
+function getShortcutConflicts() {
+  const external = {};
+  for (const [id, shortcut] of Object.entries(browserShortcuts)) {
+    if (
+      Shortcuts.normalize(shortcut) !==
+      Shortcuts.normalize(shortcutBindings[id])
+    ) {
+      external[shortcut] =
+        `browser shortcut for ${Shortcuts.COMMANDS[id].label}`;
+    }
+  }
+  return Shortcuts.findConflicts(shortcutBindings, external);
+}
+
+function renderShortcuts() {
+  const conflicts = getShortcutConflicts();
+
+  document.getElementById("shortcut-list").innerHTML = Object.entries(
+    Shortcuts.COMMANDS,
+  )
+    .map(
+      ([id, command]) => `
+      <div class="shortcut-row ${conflicts[id] ? "conflict" : ""}">
+        <div class="setting-info">
+          <div class="setting-label">${command.label}</div>
+          ${conflicts[id] ? `<div class="shortcut-conflict">${escapeHtml(conflicts[id])}</div>` : ""}
+        </div>
+        <input type="text" class="form-input" data-command="${id}"
+          placeholder="Not set" readonly />
+      </div>
+    `,
+    )
+    .join("");
+
+  document
+    .querySelectorAll("#shortcut-list [data-command]")
+    .forEach((input) => {
+      input.value = shortcutBindings[input.dataset.command] || "";
+    });
+}
+
+document.getElementById("shortcut-list").addEventListener("focusin", (e) => {
+  if (e.target.dataset.command) e.target.classList.add("recording");
+});
+
+document.getElementById("shortcut-list").addEventListener("focusout", (e) => {
+  e.target.classList.remove("recording");
+});
+
+document.getElementById("shortcut-list").addEventListener("keydown", (e) => {
+  const id = e.target.dataset.command;
+  if (!id) return;
+  if (e.key === "Tab" && !e.ctrlKey && !e.altKey && !e.metaKey) return;
+
+  e.preventDefault();
+
+  if (e.key === "Escape") {
+    e.target.blur();
+    return;
+  }
+
+  if (e.key === "Backspace" || e.key === "Delete") {
+    shortcutBindings[id] = "";
+  } else {
+    const binding = Shortcuts.fromEvent(e);
+    if (!binding) return;
+    shortcutBindings[id] = binding;
+  }
+
+  renderShortcuts();
+  document.querySelector(`[data-command="${id}"]`).focus();
+});
+
+document
+  .getElementById("btn-browser-shortcuts")
+  .addEventListener("click", () => {
+    chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+  });
+
+// Reset settings
+document.getElementById("btn-reset").addEventListener("click", () => {
+  if (confirm("Are you sure you want to reset all settings to defaults?")) {
+    // Templates share sync storage with settings but aren't settings.
+    chrome.storage.sync.get(null, (items) => {
+      const keys = Object.keys(items).filter((key) => !Snippets.isKey(key));
+      chrome.storage.sync.remove(keys, () => {
+        loadSettings();
+        showNotification("Settings reset to defaults");
+      });
+    });
+  }
+});
+
+// Clear data
+document.getElementById("btn-clear").addEventListener("click", () => {
+  if (confirm("Are you sure you want to clear all stored data?")) {
+    chrome.storage.local.clear(() => {
+      showNotification("All data cleared");
+    });
+  }
+});
+
+// Show notification
+function showNotification(message, type = "success") {
+  const existing = document.querySelector(".notification");
+  if (existing) existing.remove();
+
+  const notification = document.createElement("div");
+  notification.className = `notification ${type}`;
+  notification.textContent = message;
+  document.body.appendChild(notification);
+
+  setTimeout(() => notification.remove(), 3000);
+}
+
+// Cancel button
+document.getElementById("btn-cancel").addEventListener("click", () => {
+  window.close();
+});
+
+// Initialize
+loadSettings();
+loadContactProfiles();
+loadSnippets();
+renderSnippetVariables();
+chrome.storage.local.get({ governorTrip: null }, (items) =>
+  renderGovernorTrip(items.governorTrip),
+);
+setStatsRange(30);
+loadStats();
+loadLogs();
+updateHistoryCount();
+loadBrowserShortcuts();
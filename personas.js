@@ -0,0 +1,136 @@
+/**
+ * Personas bundle how replies are written: tone, language, instructions, a
+ * signature and phrases that must never be used. They are stored in
+ * `settings.personas`; the one in effect for a chat is the contact's own
+ * persona, else the first time-of-day rule in `settings.personaSchedule`
+ * covering the current time, else `settings.defaultPersona`.
+ *
+ * Shared by the service worker (which sends the active persona with every
+ * auto-reply and processing request) and the Options page (editing).
+ */
+const Personas = (function () {
+  "use strict";
+
+  const DEFAULT_ID = "default";
+
+  const STYLES = {
+    professional: "Professional",
+    casual: "Casual",
+    friendly: "Friendly",
+    formal: "Formal",
+  };
+
+  function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  function normalize(persona = {}) {
+    const phrases = Array.isArray(persona.bannedPhrases)
+      ? persona.bannedPhrases
+      : String(persona.bannedPhrases || "").split("\n");
+
+    return {
+      id: String(persona.id || createId()),
+      name: String(persona.name || "").trim() || "Untitled persona",
+      responseStyle: STYLES[persona.responseStyle]
+        ? persona.responseStyle
+        : "professional",
+      language: String(persona.language || ""),
+      customInstructions: String(persona.customInstructions || ""),
+      signature: String(persona.signature || ""),
+      bannedPhrases: phrases.map((phrase) => phrase.trim()).filter(Boolean),
+    };
+  }
+
+  function getDefaults() {
+    return [normalize({ id: DEFAULT_ID, name: "Default" })];
+  }
+
+  function toMinutes(time) {
+    const [hours, minutes] = String(time).split(":").map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Rules are { personaId, start: "HH:MM", end: "HH:MM" }; a rule whose end
+   * is before its start runs past midnight.
+   */
+  function isScheduled(rule, now = new Date()) {
+    const start = toMinutes(rule.start);
+    const end = toMinutes(rule.end);
+    const current = now.getHours() * 60 + now.getMinutes();
+
+    if (Number.isNaN(start) || Number.isNaN(end) || start === end) {
+      return false;
+    }
+    return start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  /**
+   * `profile` is the contact profile (or the reply context carrying its
+   * personaId); missing or deleted personas fall through to the next rule.
+   */
+  function resolve(settings, profile = {}, now = new Date()) {
+    const personas = settings.personas?.length
+      ? settings.personas
+      : getDefaults();
+    const byId = (id) => id && personas.find((persona) => persona.id === id);
+    const rule = (settings.personaSchedule || []).find(
+      (candidate) => byId(candidate.personaId) && isScheduled(candidate, now),
+    );
+
+    return normalize(
+      byId(profile.personaId) ||
+        byId(rule?.personaId) ||
+        byId(settings.defaultPersona) ||
+        personas[0],
+    );
+  }
+
+  /**
+   * Reply context fields for a persona. A contact's own style and language
+   * win over the persona's; instructions from both apply.
+   */
+  function toContext(persona, profile = {}) {
+    return {
+      persona,
+      responseStyle: profile.responseStyle || persona.responseStyle,
+      language: profile.language || persona.language || undefined,
+      customInstructions:
+        [persona.customInstructions, profile.customInstructions]
+          .filter(Boolean)
+          .join("\n") || undefined,
+      bannedPhrases: persona.bannedPhrases,
+    };
+  }
+
+  function findBannedPhrase(text, persona) {
+    const lower = text.toLowerCase();
+    return (
+      persona.bannedPhrases.find((phrase) =>
+        lower.includes(phrase.toLowerCase()),
+      ) || null
+    );
+  }
+
+  function applySignature(text, persona) {
+    const signature = persona.signature.trim();
+    if (!signature || text.trimEnd().endsWith(signature)) return text;
+    return `${text.trimEnd()}\n\n${signature}`;
+  }
+
+  return {
+    DEFAULT_ID,
+    STYLES,
+    createId,
+    normalize,
+    getDefaults,
+    isScheduled,
+    resolve,
+    toContext,
+    findBannedPhrase,
+    applySignature,
+  };
+})();
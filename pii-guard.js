@@ -0,0 +1,357 @@
+/**
+ * Finds sensitive data in text: card numbers (Luhn), CPF and CNPJ (check
+ * digits), e-mail addresses, IBANs (mod 97), API keys, passwords, phone
+ * numbers and whatever the team's own rules match. The content script
+ * checks every message the agent sends and warns or blocks; the service
+ * worker masks the same data before any text reaches an AI provider and
+ * puts it back in the answer, and redacts it for the transform chain.
+ *
+ * `settings.piiGuard` is { mode: "warn" | "block" | "off", types: { id:
+ * true }, rules: [{ name, pattern }] }. The mode only decides what happens
+ * on Enter; masking always applies to the types turned on.
+ */
+const PiiGuard = (function () {
+  "use strict";
+
+  const digitsOf = (text) => text.replace(/\D/g, "");
+
+  const isRepeated = (digits) => /^(\d)\1+$/.test(digits);
+
+  function isLuhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  // The check digit over the first `weights.length` digits, CPF/CNPJ style.
+  function checkDigit(digits, weights) {
+    const sum = weights.reduce(
+      (total, weight, i) => total + Number(digits[i]) * weight,
+      0,
+    );
+    const rest = sum % 11;
+    return rest < 2 ? 0 : 11 - rest;
+  }
+
+  function isCpfValid(value) {
+    const digits = digitsOf(value);
+    if (digits.length !== 11 || isRepeated(digits)) return false;
+
+    const weights = [11, 10, 9, 8, 7, 6, 5, 4, 3, 2];
+    return (
+      checkDigit(digits, weights.slice(1)) === Number(digits[9]) &&
+      checkDigit(digits, weights) === Number(digits[10])
+    );
+  }
+
+  function isCnpjValid(value) {
+    const digits = digitsOf(value);
+    if (digits.length !== 14 || isRepeated(digits)) return false;
+
+    const weights = [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+    return (
+      checkDigit(digits, weights.slice(1)) === Number(digits[12]) &&
+      checkDigit(digits, weights) === Number(digits[13])
+    );
+  }
+
+  function isIbanValid(value) {
+    const iban = value.replace(/\s/g, "").toUpperCase();
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+
+    // Letters count as 10-35; the remainder is taken a digit group at a time.
+    let remainder = 0;
+    for (const char of iban.slice(4) + iban.slice(0, 4)) {
+      remainder = Number(`${remainder}${parseInt(char, 36)}`) % 97;
+    }
+    return remainder === 1;
+  }
+
+  // Checked in this order; a match inside an earlier one is not reported
+  // again, so a CNPJ isn't also a card number and a phone number that
+  // happens to pass the Luhn check isn't one either.
+  const TYPES = [
+    {
+      id: "apiKey",
+      label: "API key",
+      tag: "API_KEY",
+      enabled: true,
+      pattern:
+        /\b(?:sk-(?:proj-)?[\w-]{20,}|sk_(?:live|test)_[A-Za-z0-9]{16,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[\w-]{35}|eyJ[\w-]{10,}\.[\w-]{10,}\.[\w-]{10,})/g,
+    },
+    {
+      id: "password",
+      label: "Password",
+      tag: "PASSWORD",
+      enabled: true,
+      // Only the value after "password:", "senha é" and the like.
+      pattern:
+        /\b(?:password|passwd|pwd|senha|contrase[ñn]a|secret|token)(?:\s*[:=]\s*|\s+(?:is|é|es)\s+)["']?([^\s"']{4,})/giu,
+      group: 1,
+    },
+    {
+      id: "email",
+      label: "E-mail address",
+      tag: "EMAIL",
+      enabled: true,
+      // Not WhatsApp ids such as 5511999999999@c.us.
+      pattern:
+        /[\w.+-]+@(?!(?:c|g|s\.whatsapp)\.(?:us|net)\b)[\w-]+(?:\.[\w-]+)+/g,
+    },
+    {
+      id: "iban",
+      label: "IBAN",
+      tag: "IBAN",
+      enabled: true,
+      pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+      test: isIbanValid,
+    },
+    {
+      id: "cnpj",
+      label: "CNPJ",
+      tag: "CNPJ",
+      enabled: true,
+      pattern: /(?<!\d)\d{2}\.?\d{3}\.?\d{3}\/?\d{4}-?\d{2}(?!\d)/g,
+      test: isCnpjValid,
+    },
+    {
+      id: "cpf",
+      label: "CPF",
+      tag: "CPF",
+      enabled: true,
+      pattern: /(?<!\d)\d{3}\.?\d{3}\.?\d{3}-?\d{2}(?!\d)/g,
+      test: isCpfValid,
+    },
+    {
+      id: "phone",
+      label: "Phone number",
+      tag: "PHONE",
+      // Sharing a phone number is normal in a support chat.
+      enabled: false,
+      pattern:
+        /(?:\+\d{1,3}\s?)?(?<!\d)\(?\d{2}\)?\s?\d{4,5}[-\s]?\d{4}(?!\d)/g,
+    },
+    {
+      id: "card",
+      label: "Card number",
+      tag: "CARD",
+      enabled: true,
+      pattern: /(?<!\d)(?:\d[ -]?){12,18}\d(?!\d)/g,
+      test: (value) => isLuhnValid(digitsOf(value)),
+    },
+  ];
+
+  const PLACEHOLDER = /\[[A-Z_]+_\d+\]/g;
+
+  function getDefaults() {
+    return {
+      mode: "warn",
+      types: Object.fromEntries(TYPES.map((type) => [type.id, type.enabled])),
+      rules: [],
+    };
+  }
+
+  function compileRule(rule) {
+    try {
+      return new RegExp(rule.pattern, "giu");
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * What's wrong with a team rule, or null.
+   */
+  function validateRule(rule) {
+    if (!rule.name) return "needs a name";
+    if (!rule.pattern) return "needs a pattern";
+    if (!compileRule(rule)) return `"${rule.pattern}" is not a valid pattern`;
+    return null;
+  }
+
+  /**
+   * Team rules written one per line as "Name = pattern".
+   */
+  function parseRules(text) {
+    return String(text || "")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const separator = line.indexOf("=");
+        if (separator === -1) return { name: "", pattern: line };
+        return {
+          name: line.slice(0, separator).trim(),
+          pattern: line.slice(separator + 1).trim(),
+        };
+      });
+  }
+
+  function formatRules(rules = []) {
+    return rules.map((rule) => `${rule.name} = ${rule.pattern}`).join("\n");
+  }
+
+  // Team rules come first: they are the most specific.
+  function getDetectors(config = {}) {
+    const rules = (config.rules || [])
+      .map((rule) => ({
+        id: `rule:${rule.name}`,
+        label: rule.name,
+        tag: "RULE",
+        pattern: compileRule(rule),
+      }))
+      .filter((rule) => rule.pattern);
+    return [...rules, ...TYPES];
+  }
+
+  function isEnabled(config, id) {
+    const type = TYPES.find((candidate) => candidate.id === id);
+    return !type || (config.types?.[id] ?? type.enabled);
+  }
+
+  /**
+   * Every finding in `text` as { type, label, tag, value, start, end }, in
+   * text order, for the types turned on in `config`.
+   */
+  function scan(text, config = getDefaults()) {
+    const source = String(text || "");
+    const findings = [];
+
+    for (const detector of getDetectors(config)) {
+      for (const match of source.matchAll(detector.pattern)) {
+        const value = detector.group ? match[detector.group] : match[0];
+        if (!value || (detector.test && !detector.test(value))) continue;
+
+        const start = match.index + match[0].lastIndexOf(value);
+        const end = start + value.length;
+        if (findings.some((found) => start < found.end && end > found.start)) {
+          continue;
+        }
+        findings.push({
+          type: detector.id,
+          label: detector.label,
+          tag: detector.tag,
+          value,
+          start,
+          end,
+        });
+      }
+    }
+
+    return findings
+      .filter((finding) => isEnabled(config, finding.type))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  function replaceFindings(text, findings, replacement) {
+    let result = "";
+    let last = 0;
+    for (const finding of findings) {
+      result += text.slice(last, finding.start) + replacement(finding);
+      last = finding.end;
+    }
+    return result + text.slice(last);
+  }
+
+  /**
+   * Replaces everything found, whatever types are turned on, with its kind,
+   * e.g. "[card number]". Used by the redaction step of the transform chain.
+   */
+  function redact(text, config = {}) {
+    const all = Object.fromEntries(TYPES.map((type) => [type.id, true]));
+    const source = String(text || "");
+    return replaceFindings(
+      source,
+      scan(source, { ...config, types: all }),
+      ({ label }) =>
+        /^[A-Z][^A-Z]/.test(label)
+          ? `[${label[0].toLowerCase()}${label.slice(1)}]`
+          : `[${label}]`,
+    );
+  }
+
+  /**
+   * A masker swaps findings for numbered placeholders such as "[CARD_1]"
+   * and back. The same value always gets the same placeholder, so an
+   * answer can mention it again.
+   */
+  function createMasker(config = getDefaults()) {
+    const values = new Map();
+    const placeholders = new Map();
+    const counts = {};
+
+    function mask(text) {
+      return replaceFindings(text, scan(text, config), (finding) => {
+        if (!placeholders.has(finding.value)) {
+          counts[finding.tag] = (counts[finding.tag] || 0) + 1;
+          const placeholder = `[${finding.tag}_${counts[finding.tag]}]`;
+          placeholders.set(finding.value, placeholder);
+          values.set(placeholder, finding.value);
+        }
+        return placeholders.get(finding.value);
+      });
+    }
+
+    function unmask(text) {
+      if (values.size === 0) return text;
+      return text.replace(PLACEHOLDER, (match) => values.get(match) ?? match);
+    }
+
+    // Applies `fn` to every string in a request payload or a parsed answer,
+    // except ids such as `chatId`, which the server needs as they are.
+    const everywhere = (fn) =>
+      function walk(value) {
+        if (typeof value === "string") return fn(value);
+        if (Array.isArray(value)) return value.map(walk);
+        if (value && typeof value === "object") {
+          return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [
+              key,
+              /(?:^id|Id)$/.test(key) ? item : walk(item),
+            ]),
+          );
+        }
+        return value;
+      };
+
+    return {
+      mask,
+      unmask,
+      maskAll: everywhere(mask),
+      unmaskAll: everywhere(unmask),
+    };
+  }
+
+  /**
+   * A finding as shown to the agent, without giving the value away.
+   */
+  function describe(finding) {
+    const value = finding.value;
+    if (finding.type === "email") {
+      return `${finding.label} ${value[0]}•••${value.slice(value.indexOf("@"))}`;
+    }
+    if (["password", "apiKey"].includes(finding.type)) {
+      return `${finding.label} ${value.slice(0, 2)}•••`;
+    }
+    return `${finding.label} •••${value.slice(-4)}`;
+  }
+
+  return {
+    TYPES,
+    getDefaults,
+    validateRule,
+    parseRules,
+    formatRules,
+    scan,
+    redact,
+    createMasker,
+    describe,
+  };
+})();
@@ -1,4 +1,6 @@
 document.addEventListener("DOMContentLoaded", async function () {
+  const log = Logger.create("popup");
+
   const DEFAULT_SETTINGS = {
     serverUrl: "https://api.generalbots.com",
     gbServerUrl: "https://api.pragmatismo.com.br",
@@ -7,9 +9,8 @@ document.addEventListener("DOMContentLoaded", async function () {
     autoMode: false,
     grammarCorrection: true,
     whatsappNumber: "",
-    authToken: "",
     instanceId: "",
-    authenticated: false,
+    profiles: [],
     stats: {
       messagesProcessed: 0,
       correctionsMade: 0,
@@ -17,15 +18,93 @@ document.addEventListener("DOMContentLoaded", async function () {
     },
   };
 
+  // The profile shown and edited here: the WhatsApp Web tab's when the
+  // popup is opened over one, else the browser's active profile.
+  let profileId = Profiles.DEFAULT_ID;
+  let whatsappTab = null;
+
+  await loadProfiles();
   await loadSettings();
   await checkAuthStatus();
   loadStats();
 
   setupEventListeners();
 
+  async function loadProfiles() {
+    const items = await chrome.storage.sync.get({ profiles: [] });
+    const { activeProfile } = await chrome.storage.local.get({
+      activeProfile: Profiles.DEFAULT_ID,
+    });
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+      url: "https://web.whatsapp.com/*",
+    });
+    whatsappTab = tab || null;
+
+    const tabProfile = whatsappTab
+      ? await chrome.runtime.sendMessage({
+          action: "getTabProfile",
+          tabId: whatsappTab.id,
+        })
+      : null;
+    profileId = Profiles.resolveId(items, [tabProfile?.id, activeProfile]);
+
+    const select = document.getElementById("profile-select");
+    select.innerHTML = Profiles.list(items)
+      .map(
+        (profile) =>
+          `<option value="${profile.id}">${escapeHtml(profile.name)}</option>`,
+      )
+      .join("");
+    select.value = profileId;
+
+    document.getElementById("profile-bar").hidden = items.profiles.length === 0;
+    document.getElementById("bind-tab-option").hidden = !whatsappTab;
+    document.getElementById("bind-tab").checked = Boolean(tabProfile?.bound);
+  }
+
+  /**
+   * Picking a profile binds it to the WhatsApp Web tab when "This tab only"
+   * is on; otherwise it becomes the browser's active profile, used by every
+   * tab without one of its own.
+   */
+  async function switchProfile() {
+    profileId = document.getElementById("profile-select").value;
+    const bindTab = document.getElementById("bind-tab").checked;
+
+    if (whatsappTab && bindTab) {
+      await chrome.runtime.sendMessage({
+        action: "bindTabProfile",
+        tabId: whatsappTab.id,
+        profileId,
+      });
+    } else {
+      if (whatsappTab) {
+        await chrome.runtime.sendMessage({
+          action: "bindTabProfile",
+          tabId: whatsappTab.id,
+          profileId: null,
+        });
+      }
+      await chrome.storage.local.set({ activeProfile: profileId });
+    }
+
+    log.info("Switched profile", profileId);
+    await loadSettings();
+    await checkAuthStatus();
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   async function loadSettings() {
     return new Promise((resolve) => {
-      chrome.storage.sync.get(DEFAULT_SETTINGS, function (items) {
+      chrome.storage.sync.get(DEFAULT_SETTINGS, function (stored) {
+        const items = Profiles.apply(stored, profileId);
         document.getElementById("server-url").value =
           items.serverUrl || DEFAULT_SETTINGS.serverUrl;
         document.getElementById("whatsapp-number").value =
@@ -44,7 +123,8 @@ document.addEventListener("DOMContentLoaded", async function () {
 
   async function checkAuthStatus() {
     return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ action: "getAuthStatus" }, (response) => {
+      const message = { action: "getAuthStatus", profileId };
+      chrome.runtime.sendMessage(message, (response) => {
         const statusBar = document.getElementById("status-bar");
         const authSection = document.getElementById("auth-section");
         const statusDot = statusBar.querySelector(".status-dot");
@@ -90,6 +170,13 @@ document.addEventListener("DOMContentLoaded", async function () {
       .getElementById("auth-btn")
       .addEventListener("click", handleAuthentication);
 
+    document
+      .getElementById("profile-select")
+      .addEventListener("change", switchProfile);
+    document
+      .getElementById("bind-tab")
+      .addEventListener("change", switchProfile);
+
     document.getElementById("open-options").addEventListener("click", () => {
       chrome.runtime.openOptionsPage();
     });
@@ -108,7 +195,7 @@ document.addEventListener("DOMContentLoaded", async function () {
   }
 
   async function saveSettings(silent = false) {
-    const settings = {
+    const values = {
       serverUrl: document.getElementById("server-url").value.trim(),
       grammarCorrection: document.getElementById("grammar-correction").checked,
       enableProcessing: document.getElementById("enable-processing").checked,
@@ -117,6 +204,14 @@ document.addEventListener("DOMContentLoaded", async function () {
       whatsappNumber: document.getElementById("whatsapp-number").value.trim(),
     };
 
+    // The server URL and number belong to the profile; tabs on other
+    // profiles only get the shared settings.
+    const stored = await chrome.storage.sync.get({ profiles: [] });
+    const settings = Profiles.toStorage(stored, profileId, values);
+    const shared = Object.fromEntries(
+      Object.entries(values).filter(([key]) => !Profiles.KEYS.includes(key)),
+    );
+
     return new Promise((resolve) => {
       chrome.storage.sync.set(settings, function () {
         chrome.tabs.query(
@@ -125,7 +220,7 @@ document.addEventListener("DOMContentLoaded", async function () {
             tabs.forEach((tab) => {
               chrome.tabs.sendMessage(tab.id, {
                 action: "settingsUpdated",
-                settings: settings,
+                settings: shared,
               });
             });
           },
@@ -164,6 +259,7 @@ document.addEventListener("DOMContentLoaded", async function () {
       {
         action: "authenticate",
         whatsappNumber: cleanNumber,
+        profileId,
       },
       (response) => {
         if (response && response.success) {
@@ -178,6 +274,7 @@ document.addEventListener("DOMContentLoaded", async function () {
             '<span class="btn-icon">🤖</span> Authenticate via WhatsApp';
 
           const errorMsg = response?.error || "Authentication failed";
+          log.error("Authentication request failed:", errorMsg);
           showNotification(errorMsg, "error");
         }
       },
@@ -186,6 +283,7 @@ document.addEventListener("DOMContentLoaded", async function () {
 
   function pollAuthStatus(attempts = 0) {
     if (attempts > 60) {
+      log.warn("Gave up waiting for authentication");
       showNotification("Authentication timed out. Please try again.", "error");
       resetAuthButton();
       return;
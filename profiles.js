@@ -0,0 +1,146 @@
+/**
+ * Profiles let one browser work for several General Bots accounts, e.g. an
+ * agency answering for a few client bots. A profile has its own server
+ * URLs, instance, WhatsApp number, AI provider and agent name (`KEYS`);
+ * everything else is shared. The Default profile is the top-level
+ * settings; the others are stored in `settings.profiles` as
+ * { id, name, settings } with their own values for `KEYS`.
+ *
+ * A WhatsApp Web tab uses the profile bound to it, else the browser's
+ * active profile (picked in the popup), else Default. Credentials are kept
+ * per profile under `storageKey(key, profileId)`.
+ *
+ * Shared by the service worker, the content script, the popup and the
+ * Options page.
+ */
+const Profiles = (function () {
+  "use strict";
+
+  const DEFAULT_ID = "default";
+  const DEFAULT_NAME = "Default";
+
+  const KEYS = [
+    "serverUrl",
+    "gbServerUrl",
+    "instanceId",
+    "whatsappNumber",
+    "provider",
+    "providerUrl",
+    "providerModel",
+    "agentName",
+  ];
+
+  function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  function pick(values = {}) {
+    return Object.fromEntries(
+      KEYS.filter((key) => values[key] !== undefined).map((key) => [
+        key,
+        values[key],
+      ]),
+    );
+  }
+
+  /**
+   * A new profile starts as a copy of `settings` (usually the profile it is
+   * created from), so only what differs has to be changed.
+   */
+  function create(name, settings = {}) {
+    return normalize({ id: createId(), name, settings: pick(settings) });
+  }
+
+  function normalize(profile = {}) {
+    return {
+      id: String(profile.id || createId()),
+      name: String(profile.name || "").trim() || "Untitled profile",
+      settings: pick(profile.settings),
+    };
+  }
+
+  /**
+   * Every profile as { id, name }, Default first.
+   */
+  function list(settings) {
+    return [
+      { id: DEFAULT_ID, name: DEFAULT_NAME },
+      ...(settings.profiles || []).map(({ id, name }) => ({ id, name })),
+    ];
+  }
+
+  function find(settings, profileId) {
+    return (
+      (settings.profiles || []).find((profile) => profile.id === profileId) ||
+      null
+    );
+  }
+
+  /**
+   * The first of `candidates` that still exists, else Default.
+   */
+  function resolveId(settings, candidates) {
+    return (
+      candidates.find(
+        (id) => id === DEFAULT_ID || (id && find(settings, id)),
+      ) || DEFAULT_ID
+    );
+  }
+
+  /**
+   * `settings` as seen by `profileId`, with `profileId` and `profileName`
+   * set. A deleted profile falls back to Default.
+   */
+  function apply(settings, profileId) {
+    const profile = find(settings, profileId);
+    return {
+      ...settings,
+      ...profile?.settings,
+      profileId: profile ? profile.id : DEFAULT_ID,
+      profileName: profile ? profile.name : DEFAULT_NAME,
+    };
+  }
+
+  /**
+   * The sync items that save `values` for `profileId`: the profile's own
+   * keys go into the profile, everything else is shared.
+   */
+  function toStorage(settings, profileId, values) {
+    const profile = find(settings, profileId);
+    if (!profile) return { ...values };
+
+    const shared = Object.fromEntries(
+      Object.entries(values).filter(([key]) => !KEYS.includes(key)),
+    );
+    return {
+      ...shared,
+      profiles: settings.profiles.map((candidate) =>
+        candidate === profile
+          ? {
+              ...candidate,
+              settings: { ...candidate.settings, ...pick(values) },
+            }
+          : candidate,
+      ),
+    };
+  }
+
+  // Default keeps the plain key, so existing credentials stay where they are.
+  function storageKey(key, profileId) {
+    return !profileId || profileId === DEFAULT_ID ? key : `${key}:${profileId}`;
+  }
+
+  return {
+    DEFAULT_ID,
+    DEFAULT_NAME,
+    KEYS,
+    create,
+    normalize,
+    list,
+    find,
+    resolveId,
+    apply,
+    toStorage,
+    storageKey,
+  };
+})();
@@ -0,0 +1,548 @@
+/**
+ * LLM provider adapters. Each adapter turns a task ("grammar", "process",
+ * "translate", "autoReply", "suggestReplies", "summarize") into an HTTP
+ * request for its backend and parses the response back into the shape the
+ * extension uses everywhere:
+ *
+ *   grammar / process / translate -> { processedText, corrections, language }
+ *   autoReply                     -> { reply, confidence, autoSend, handoff }
+ *   suggestReplies                -> { suggestions: [text, ...] }
+ *   summarize                     -> { summary, actionItems: [text, ...] }
+ *
+ * where every correction is { type, original, replacement, message }.
+ *
+ * Adapters with `parseStreamEvent` can also stream: buildRequest is called
+ * with { stream: true } and every parsed SSE/NDJSON event is mapped to
+ * { delta } for new text or { result } for a final structured payload.
+ */
+const LLMProviders = (function () {
+  "use strict";
+
+  const LANGUAGE_NAMES = {
+    pt: "Portuguese",
+    es: "Spanish",
+    en: "English",
+    fr: "French",
+    de: "German",
+  };
+
+  // The rewrites the outbound transform chain asks for; other options are
+  // passed on by name.
+  const REWRITES = {
+    tone: (tone) => `use a ${tone} tone`,
+    shorten: () => "make it shorter without losing information",
+    expand: () => "make it fuller and more courteous without adding facts",
+  };
+
+  function describeOptions(options = {}) {
+    const enabled = Object.entries(options)
+      .filter(([, value]) => value && value !== "false")
+      .map(([key, value]) => {
+        if (REWRITES[key]) return REWRITES[key](value);
+        return value === true ? key : `${key}: ${value}`;
+      });
+    return enabled.length > 0 ? enabled.join(", ") : "grammarCorrection";
+  }
+
+  function toChatHistory(lastMessages = []) {
+    return lastMessages.map((message) => ({
+      role: message.type === "sent" ? "assistant" : "user",
+      content: message.text,
+    }));
+  }
+
+  function describeBannedPhrases(phrases = []) {
+    return phrases.length > 0
+      ? `Never use these phrases: ${phrases.map((phrase) => `"${phrase}"`).join(", ")}.`
+      : "";
+  }
+
+  // How a rewrite should sound when a persona is active.
+  function describePersona(persona) {
+    if (!persona) return "";
+    return [
+      `Write in a ${persona.responseStyle} tone.`,
+      persona.customInstructions,
+      describeBannedPhrases(persona.bannedPhrases),
+    ]
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  function cleanCompletion(text) {
+    return (text || "")
+      .trim()
+      .replace(/^["“](.*)["”]$/s, "$1")
+      .trim();
+  }
+
+  // Up to `count` distinct, non-empty replies; entries may be strings or
+  // { text } objects.
+  function toSuggestions(candidates, count) {
+    const suggestions = (Array.isArray(candidates) ? candidates : [])
+      .map((candidate) => cleanCompletion(candidate?.text ?? candidate))
+      .filter(Boolean);
+    return [...new Set(suggestions)].slice(0, count);
+  }
+
+  // One line per message, e.g. "[10:32, 19/10/2024] Maria Silva (replying
+  // to You: "Open today?"): Yes".
+  function toTranscript(messages = []) {
+    return messages
+      .map((message) => {
+        const time = message.timestamp ? `[${message.timestamp}] ` : "";
+        const quote = message.quoted
+          ? ` (replying to ${message.quoted.sender || "a message"}: "${message.quoted.text}")`
+          : "";
+        return `${time}${message.sender}${quote}: ${message.text}`;
+      })
+      .join("\n");
+  }
+
+  function toActionItems(items) {
+    return (Array.isArray(items) ? items : [])
+      .map((item) => String(item?.text ?? item ?? "").trim())
+      .filter(Boolean);
+  }
+
+  // Models are asked for JSON; one that answers in prose still gets its
+  // answer shown as the summary.
+  function parseSummary(content) {
+    try {
+      const data = JSON.parse(content.replace(/^```(?:json)?\s*|\s*```$/g, ""));
+      return {
+        summary: String(data.summary || "").trim(),
+        actionItems: toActionItems(data.actionItems ?? data.action_items),
+      };
+    } catch (error) {
+      return { summary: content, actionItems: [] };
+    }
+  }
+
+  const SUMMARY_FORMAT =
+    'Reply with JSON only: {"summary": "...", "actionItems": ["..."]}.';
+
+  // Servers have used "corrected", "suggestion(s)" and "explanation" for the
+  // same fields over time; map them all onto one shape for the diff view.
+  function normalizeCorrections(corrections) {
+    if (!Array.isArray(corrections)) return [];
+
+    return corrections
+      .filter((correction) => correction && typeof correction === "object")
+      .map((correction) => ({
+        type: correction.type || correction.category || "grammar",
+        original: correction.original ?? correction.text ?? "",
+        replacement:
+          correction.replacement ??
+          correction.corrected ??
+          correction.suggestion ??
+          correction.suggestions?.[0] ??
+          "",
+        message:
+          correction.message ||
+          correction.explanation ||
+          correction.reason ||
+          "",
+      }));
+  }
+
+  const generalbots = {
+    id: "generalbots",
+    label: "General Bots API",
+    tasks: [
+      "grammar",
+      "process",
+      "translate",
+      "autoReply",
+      "suggestReplies",
+      "summarize",
+    ],
+
+    buildRequest(task, payload, settings, { stream = false } = {}) {
+      const request = this.buildTaskRequest(task, payload, settings);
+      if (stream) request.body.stream = true;
+      return request;
+    },
+
+    buildTaskRequest(task, payload, settings) {
+      const base = `${settings.serverUrl}/api/v1/llm`;
+      const headers = { Authorization: `Bearer ${settings.authToken}` };
+      const instanceId = settings.instanceId;
+
+      switch (task) {
+        case "grammar":
+          return {
+            url: `${base}/grammar`,
+            headers,
+            body: { text: payload.text, instanceId, language: "auto" },
+          };
+        case "process":
+          return {
+            url: `${base}/process`,
+            headers,
+            body: {
+              text: payload.text,
+              instanceId,
+              options: payload.options,
+              persona: payload.persona,
+            },
+          };
+        case "translate":
+          return {
+            url: `${base}/translate`,
+            headers,
+            body: {
+              text: payload.text,
+              instanceId,
+              sourceLanguage: "auto",
+              targetLanguage: payload.targetLang,
+            },
+          };
+        case "autoReply":
+          return {
+            url: `${base}/auto-reply`,
+            headers,
+            body: {
+              context: payload.context,
+              lastMessages: payload.lastMessages,
+              instanceId,
+              whatsappNumber: settings.whatsappNumber,
+            },
+          };
+        case "suggestReplies":
+          return {
+            url: `${base}/auto-reply`,
+            headers,
+            body: {
+              context: payload.context,
+              lastMessages: payload.lastMessages,
+              instanceId,
+              whatsappNumber: settings.whatsappNumber,
+              candidates: payload.count,
+            },
+          };
+        case "summarize":
+          return {
+            url: `${base}/summarize`,
+            headers,
+            body: {
+              chatId: payload.chatId,
+              contact: payload.contact,
+              messages: payload.messages,
+              instanceId,
+            },
+          };
+      }
+    },
+
+    parseResponse(task, data, payload) {
+      switch (task) {
+        case "grammar":
+          return {
+            processedText: data.correctedText || payload.text,
+            corrections: normalizeCorrections(data.corrections),
+            language: data.detectedLanguage,
+          };
+        case "process":
+          return {
+            processedText: data.processedText || payload.text,
+            corrections: normalizeCorrections(data.corrections),
+          };
+        case "translate":
+          return {
+            processedText: data.translatedText || payload.text,
+            language: data.detectedLanguage,
+          };
+        case "autoReply":
+          return {
+            reply: data.suggestedReply,
+            confidence: data.confidence,
+            autoSend: data.autoSend,
+            handoff: Boolean(data.handoff),
+          };
+        case "suggestReplies":
+          return {
+            suggestions: toSuggestions(
+              data.suggestions || [data.suggestedReply],
+              payload.count,
+            ),
+          };
+        case "summarize":
+          return {
+            summary: data.summary || "",
+            actionItems: toActionItems(data.actionItems),
+          };
+      }
+    },
+
+    parseStreamEvent(task, event, payload) {
+      if (event.done || event.correctedText || event.processedText) {
+        return { result: this.parseResponse(task, event, payload) };
+      }
+      return { delta: event.delta ?? event.token ?? "" };
+    },
+  };
+
+  // The original contract documented in the README:
+  // { text, timestamp } -> { processedText }
+  const legacy = {
+    id: "legacy",
+    label: "Legacy processing server",
+    tasks: ["grammar", "process"],
+
+    buildRequest(task, payload, settings) {
+      return {
+        url: settings.providerUrl || settings.serverUrl,
+        headers: {},
+        body: { text: payload.text, timestamp: Date.now() },
+      };
+    },
+
+    parseResponse(task, data, payload) {
+      return {
+        processedText: data.processedText || payload.text,
+        corrections: [],
+      };
+    },
+  };
+
+  const openai = {
+    id: "openai",
+    label: "OpenAI-compatible",
+    tasks: [
+      "grammar",
+      "process",
+      "translate",
+      "autoReply",
+      "suggestReplies",
+      "summarize",
+    ],
+    defaultUrl: "https://api.openai.com/v1",
+    defaultModel: "gpt-4o-mini",
+
+    prompts: {
+      grammar: () =>
+        "You are a meticulous proofreader. Correct spelling, grammar and " +
+        "punctuation in the user's message. Keep its language, meaning, tone " +
+        "and formatting. Reply with the corrected message only.",
+      process: (payload) =>
+        [
+          "Rewrite the user's message applying the following options: " +
+            `${describeOptions(payload.options)}. Keep its language unless ` +
+            "told otherwise.",
+          describePersona(payload.persona),
+          "Reply with the rewritten message only.",
+        ]
+          .filter(Boolean)
+          .join(" "),
+      translate: (payload) =>
+        `Translate the user's message to ${LANGUAGE_NAMES[payload.targetLang] || payload.targetLang}. ` +
+        "Preserve names, numbers, emoji and formatting. Reply with the " +
+        "translation only.",
+      autoReply: (payload) => {
+        const context = payload.context || {};
+        return [
+          `You are replying on WhatsApp on behalf of a support agent to ${context.contact || "a customer"}.`,
+          `Write in a ${context.responseStyle || "professional"} tone.`,
+          context.language
+            ? `Reply in ${LANGUAGE_NAMES[context.language] || context.language}.`
+            : "Reply in the customer's language.",
+          context.customInstructions || "",
+          describeBannedPhrases(context.bannedPhrases),
+          "Reply with the message to send only, without quotes.",
+        ]
+          .filter(Boolean)
+          .join(" ");
+      },
+      suggestReplies: (payload) =>
+        `${openai.prompts.autoReply(payload)} Keep it short.`,
+      summarize: (payload) =>
+        `Summarize this WhatsApp conversation between a support agent and ${payload.contact || "a customer"} ` +
+        "as a note for the team's CRM: what the customer wanted, what was " +
+        "agreed and what is still open. List the follow-ups the agent " +
+        "promised or still owes as action items. Write in the conversation's " +
+        `language. ${SUMMARY_FORMAT}`,
+    },
+
+    buildRequest(task, payload, settings, { stream = false } = {}) {
+      const base = (settings.providerUrl || this.defaultUrl).replace(/\/$/, "");
+      const messages = [
+        { role: "system", content: this.prompts[task](payload) },
+      ];
+
+      if (task === "autoReply" || task === "suggestReplies") {
+        messages.push(...toChatHistory(payload.lastMessages));
+      } else if (task === "summarize") {
+        messages.push({
+          role: "user",
+          content: toTranscript(payload.messages),
+        });
+      } else {
+        messages.push({ role: "user", content: payload.text });
+      }
+
+      const body = {
+        model: settings.providerModel || this.defaultModel,
+        messages,
+        temperature: { autoReply: 0.7, suggestReplies: 0.9 }[task] ?? 0.2,
+        stream,
+      };
+      // One choice per suggestion; servers without `n` return just one.
+      if (task === "suggestReplies") body.n = payload.count;
+      if (task === "summarize") body.response_format = { type: "json_object" };
+
+      return {
+        url: `${base}/chat/completions`,
+        headers: settings.providerApiKey
+          ? { Authorization: `Bearer ${settings.providerApiKey}` }
+          : {},
+        body,
+      };
+    },
+
+    parseResponse(task, data, payload) {
+      if (task === "suggestReplies") {
+        return {
+          suggestions: toSuggestions(
+            data.choices?.map((choice) => choice.message?.content),
+            payload.count,
+          ),
+        };
+      }
+
+      const content = cleanCompletion(data.choices?.[0]?.message?.content);
+      if (task === "summarize") return parseSummary(content);
+      if (task === "autoReply") {
+        return { reply: content || null, autoSend: Boolean(content) };
+      }
+      return { processedText: content || payload.text, corrections: [] };
+    },
+
+    parseStreamEvent(task, event) {
+      return { delta: event.choices?.[0]?.delta?.content || "" };
+    },
+  };
+
+  const ollama = {
+    id: "ollama",
+    label: "Ollama (local server)",
+    tasks: [
+      "grammar",
+      "process",
+      "translate",
+      "autoReply",
+      "suggestReplies",
+      "summarize",
+    ],
+    defaultUrl: "http://localhost:11434",
+    defaultModel: "llama3.1",
+
+    // Smaller local models follow short, explicit instructions better.
+    prompts: {
+      grammar: () =>
+        "Fix the spelling and grammar of the message. Do not translate it. " +
+        "Do not explain. Output only the fixed message.",
+      process: (payload) =>
+        [
+          `Rewrite the message (${describeOptions(payload.options)}).`,
+          describePersona(payload.persona),
+          "Do not explain. Output only the rewritten message.",
+        ]
+          .filter(Boolean)
+          .join(" "),
+      translate: (payload) =>
+        `Translate the message to ${LANGUAGE_NAMES[payload.targetLang] || payload.targetLang}. ` +
+        "Do not explain. Output only the translation.",
+      autoReply: (payload) =>
+        `${ollama.replyRules(payload.context)} Output only the reply text.`,
+      // Ollama has no `n`, so all suggestions come back as one numbered list.
+      suggestReplies: (payload) =>
+        `${ollama.replyRules(payload.context)} Write ${payload.count} ` +
+        "different short replies, one per line, numbered 1., 2. and so on. " +
+        "Output only the list.",
+      summarize: () =>
+        "Summarize the WhatsApp support conversation for a CRM note: what " +
+        "the customer wanted, what was agreed and what is still open. List " +
+        "the agent's follow-ups as action items. Use the conversation's " +
+        `language. ${SUMMARY_FORMAT}`,
+    },
+
+    replyRules(context = {}) {
+      return [
+        "You answer WhatsApp messages for a support team.",
+        `Tone: ${context.responseStyle || "professional"}.`,
+        context.language
+          ? `Language: ${LANGUAGE_NAMES[context.language] || context.language}.`
+          : "Use the same language as the customer.",
+        context.customInstructions || "",
+        describeBannedPhrases(context.bannedPhrases),
+      ]
+        .filter(Boolean)
+        .join(" ");
+    },
+
+    buildRequest(task, payload, settings, { stream = false } = {}) {
+      const base = (settings.providerUrl || this.defaultUrl).replace(/\/$/, "");
+      const messages = [
+        { role: "system", content: this.prompts[task](payload) },
+      ];
+
+      if (task === "autoReply" || task === "suggestReplies") {
+        messages.push(...toChatHistory(payload.lastMessages));
+      } else if (task === "summarize") {
+        messages.push({
+          role: "user",
+          content: toTranscript(payload.messages),
+        });
+      } else {
+        messages.push({ role: "user", content: payload.text });
+      }
+
+      return {
+        url: `${base}/api/chat`,
+        headers: {},
+        body: {
+          model: settings.providerModel || this.defaultModel,
+          messages,
+          stream,
+          ...(task === "summarize" && { format: "json" }),
+        },
+      };
+    },
+
+    parseResponse(task, data, payload) {
+      const content = cleanCompletion(data.message?.content);
+      if (task === "summarize") return parseSummary(content);
+      if (task === "suggestReplies") {
+        const lines = content
+          .split("\n")
+          .map((line) => line.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, ""));
+        return { suggestions: toSuggestions(lines, payload.count) };
+      }
+      if (task === "autoReply") {
+        return { reply: content || null, autoSend: Boolean(content) };
+      }
+      return { processedText: content || payload.text, corrections: [] };
+    },
+
+    parseStreamEvent(task, event) {
+      return { delta: event.message?.content || "" };
+    },
+  };
+
+  const PROVIDERS = { generalbots, legacy, openai, ollama };
+
+  function get(id) {
+    return PROVIDERS[id] || generalbots;
+  }
+
+  function list() {
+    return Object.values(PROVIDERS).map(({ id, label, tasks }) => ({
+      id,
+      label,
+      tasks,
+    }));
+  }
+
+  return { get, list, normalizeCorrections };
+})();
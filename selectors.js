@@ -0,0 +1,413 @@
+/**
+ * Resolves WhatsApp Web elements through several strategies per target
+ * instead of one hard-coded selector. WhatsApp renames its obfuscated
+ * classes with every build, so each target lists data-testid, ARIA and
+ * structural fallbacks after the legacy selector, and a remote selector
+ * pack (fetched and cached by the service worker) can put fresher
+ * strategies in front of the built-in ones.
+ *
+ * A strategy is { via, selector } or { via, heuristic }, where heuristic
+ * names one of the functions in HEURISTICS. Packs are plain JSON and can
+ * only reference those names, never ship code:
+ *
+ *   { format: 1, version: "2024.11.02", targets: { messageInput: [...] } }
+ */
+const Selectors = (function () {
+  "use strict";
+
+  const PACK_FORMAT = 1;
+
+  // scope "app": present as soon as WhatsApp Web has loaded.
+  // scope "chat": present whenever a conversation is open.
+  // scope null: legitimately absent at times (empty chat, empty draft).
+  const TARGETS = {
+    contactList: {
+      label: "chat list",
+      scope: "app",
+      strategies: [
+        { via: "id", selector: "#pane-side" },
+        { via: "testid", selector: '[data-testid="chat-list"]' },
+        { via: "structure", heuristic: "chatListPane" },
+      ],
+    },
+    searchBox: {
+      label: "search box",
+      scope: null,
+      strategies: [
+        { via: "legacy", selector: 'div[data-tab="3"]' },
+        { via: "testid", selector: '[data-testid="chat-list-search"]' },
+        {
+          via: "aria",
+          selector: '#side [contenteditable="true"][role="textbox"]',
+        },
+        { via: "structure", selector: '#side input[type="text"]' },
+      ],
+    },
+    conversationPanel: {
+      label: "conversation",
+      scope: "chat",
+      strategies: [
+        { via: "id", selector: "#main" },
+        {
+          via: "testid",
+          selector: '[data-testid="conversation-panel-wrapper"]',
+        },
+        { via: "structure", heuristic: "conversationPanel" },
+      ],
+    },
+    chatContainer: {
+      label: "message list",
+      scope: "chat",
+      strategies: [
+        { via: "legacy", selector: "#main .copyable-area" },
+        {
+          via: "testid",
+          selector: '[data-testid="conversation-panel-messages"]',
+        },
+        { via: "aria", selector: '#main [role="application"]' },
+        { via: "structure", heuristic: "conversationPanel" },
+      ],
+    },
+    chatHeader: {
+      label: "chat header",
+      scope: "chat",
+      strategies: [
+        { via: "legacy", selector: "header._amid" },
+        { via: "testid", selector: '[data-testid="conversation-header"]' },
+        { via: "structure", selector: "#main header" },
+      ],
+    },
+    contactName: {
+      label: "chat name",
+      scope: "chat",
+      strategies: [
+        { via: "legacy", selector: "header ._amig span" },
+        {
+          via: "testid",
+          selector: '[data-testid="conversation-info-header-chat-title"]',
+        },
+        { via: "structure", heuristic: "chatTitle" },
+      ],
+    },
+    messageInput: {
+      label: "message box",
+      scope: "chat",
+      strategies: [
+        {
+          via: "legacy",
+          selector: 'div[contenteditable="true"][data-tab="10"]',
+        },
+        {
+          via: "testid",
+          selector: '[data-testid="conversation-compose-box-input"]',
+        },
+        {
+          via: "aria",
+          selector: 'footer [contenteditable="true"][role="textbox"]',
+        },
+        { via: "structure", heuristic: "composeBox" },
+      ],
+    },
+    sendButton: {
+      label: "send button",
+      scope: null,
+      strategies: [
+        { via: "legacy", selector: 'button[data-tab="11"]' },
+        { via: "testid", selector: '[data-testid="compose-btn-send"]' },
+        { via: "aria", selector: 'footer button[aria-label="Send"]' },
+        { via: "structure", heuristic: "sendButton" },
+      ],
+    },
+    messageIn: {
+      label: "received messages",
+      scope: null,
+      strategies: [
+        { via: "legacy", selector: ".message-in" },
+        { via: "structure", selector: '#main [data-id^="false_"]' },
+      ],
+    },
+    messageOut: {
+      label: "sent messages",
+      scope: null,
+      strategies: [
+        { via: "legacy", selector: ".message-out" },
+        { via: "structure", selector: '#main [data-id^="true_"]' },
+      ],
+    },
+    messageText: {
+      label: "message text",
+      scope: null,
+      strategies: [
+        { via: "legacy", selector: ".selectable-text" },
+        { via: "testid", selector: '[data-testid="msg-text"]' },
+        { via: "structure", selector: ".copyable-text [dir]" },
+      ],
+    },
+    // Carries "[10:32, 19/10/2024] Maria Silva: " in data-pre-plain-text.
+    messageMeta: {
+      label: "message details",
+      scope: null,
+      strategies: [
+        { via: "legacy", selector: ".copyable-text[data-pre-plain-text]" },
+        { via: "structure", selector: "[data-pre-plain-text]" },
+      ],
+    },
+    quotedMessage: {
+      label: "quoted reply",
+      scope: null,
+      strategies: [
+        { via: "testid", selector: '[data-testid="quoted-message"]' },
+        { via: "aria", selector: '[aria-label="Quoted message"]' },
+        { via: "legacy", selector: ".quoted-mention" },
+      ],
+    },
+  };
+
+  const HEURISTICS = {
+    // The scrollable pane around the chat list grid, outside the open chat.
+    chatListPane(root) {
+      return [...root.querySelectorAll('[role="grid"]')]
+        .filter((grid) => !grid.closest("#main"))
+        .map((grid) => grid.parentElement)
+        .filter(Boolean);
+    },
+
+    // The element that holds both the message list and the compose footer.
+    conversationPanel(root) {
+      return [...root.querySelectorAll("footer")]
+        .filter((footer) => footer.querySelector('[contenteditable="true"]'))
+        .map((footer) => footer.parentElement)
+        .filter(Boolean);
+    },
+
+    // The first line of text in the open chat's header is the chat name.
+    chatTitle(root) {
+      const panel =
+        root.querySelector("#main") || HEURISTICS.conversationPanel(root)[0];
+      const header = panel?.querySelector("header");
+      if (!header) return [];
+
+      const title = [...header.querySelectorAll("span[dir], span[title]")].find(
+        (span) => !span.closest("button") && span.textContent.trim(),
+      );
+      return title ? [title] : [];
+    },
+
+    // The last editable box inside the open chat is the message draft.
+    composeBox(root) {
+      const boxes = [
+        ...root.querySelectorAll('#main [contenteditable="true"]'),
+      ];
+      return boxes.length > 0 ? [boxes[boxes.length - 1]] : [];
+    },
+
+    sendButton(root) {
+      return [
+        ...root.querySelectorAll(
+          'footer span[data-icon="send"], footer span[data-icon^="wds-ic-send"]',
+        ),
+      ]
+        .map((icon) => icon.closest("button, [role='button']"))
+        .filter(Boolean);
+    },
+  };
+
+  let strategies = builtInStrategies();
+  let pack = null;
+
+  // Index of the strategy that last resolved each target, tried first.
+  const lastMatch = {};
+  const brokenSelectors = new Set();
+
+  function builtInStrategies() {
+    return Object.fromEntries(
+      Object.entries(TARGETS).map(([name, target]) => [
+        name,
+        target.strategies,
+      ]),
+    );
+  }
+
+  function isValidStrategy(strategy) {
+    if (!strategy || typeof strategy !== "object") return false;
+    if (typeof strategy.selector === "string") {
+      return strategy.selector.trim().length > 0;
+    }
+    return Object.hasOwn(HEURISTICS, strategy.heuristic);
+  }
+
+  /**
+   * Throws an Error describing the first problem with a selector pack.
+   * Targets this version doesn't know are ignored so newer packs still load.
+   */
+  function validatePack(candidate) {
+    if (!candidate || typeof candidate !== "object") {
+      throw new Error("Selector pack is not an object");
+    }
+    if (candidate.format !== PACK_FORMAT) {
+      throw new Error(`Unsupported selector pack format: ${candidate.format}`);
+    }
+    if (!candidate.targets || typeof candidate.targets !== "object") {
+      throw new Error("Selector pack has no targets");
+    }
+
+    for (const [name, list] of Object.entries(candidate.targets)) {
+      if (!TARGETS[name]) continue;
+      if (!Array.isArray(list) || !list.every(isValidStrategy)) {
+        throw new Error(`Invalid strategies for "${name}"`);
+      }
+    }
+
+    return candidate;
+  }
+
+  /**
+   * Puts the pack's strategies in front of the built-in ones. Passing null
+   * goes back to the built-in strategies only.
+   */
+  function usePack(candidate) {
+    strategies = builtInStrategies();
+    pack = null;
+
+    if (candidate) {
+      validatePack(candidate);
+      pack = candidate;
+
+      for (const [name, list] of Object.entries(candidate.targets)) {
+        if (!TARGETS[name]) continue;
+        strategies[name] = [
+          ...list.map((strategy) => ({ via: "pack", ...strategy })),
+          ...TARGETS[name].strategies,
+        ];
+      }
+    }
+
+    for (const name of Object.keys(lastMatch)) delete lastMatch[name];
+    brokenSelectors.clear();
+  }
+
+  function run(strategy, root) {
+    if (strategy.heuristic) {
+      return HEURISTICS[strategy.heuristic](root);
+    }
+    if (brokenSelectors.has(strategy.selector)) return [];
+
+    try {
+      return [...root.querySelectorAll(strategy.selector)];
+    } catch (error) {
+      // A pack selector this browser can't parse; skip it from now on.
+      brokenSelectors.add(strategy.selector);
+      return [];
+    }
+  }
+
+  function resolve(name, root) {
+    const list = strategies[name];
+    if (!list) throw new Error(`Unknown selector target: ${name}`);
+
+    const order = [...list.keys()];
+    if (lastMatch[name] !== undefined) {
+      order.splice(order.indexOf(lastMatch[name]), 1);
+      order.unshift(lastMatch[name]);
+    }
+
+    for (const index of order) {
+      const elements = run(list[index], root);
+      if (elements.length > 0) {
+        lastMatch[name] = index;
+        return { elements, strategy: list[index] };
+      }
+    }
+
+    return { elements: [], strategy: null };
+  }
+
+  function query(name, root = document) {
+    return resolve(name, root).elements[0] || null;
+  }
+
+  /**
+   * Returns every element for one target, or for several targets merged
+   * in document order (e.g. ["messageIn", "messageOut"]).
+   */
+  function queryAll(names, root = document) {
+    if (!Array.isArray(names)) return resolve(names, root).elements;
+
+    const elements = new Set(
+      names.flatMap((name) => resolve(name, root).elements),
+    );
+    return [...elements].sort((a, b) =>
+      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1,
+    );
+  }
+
+  /**
+   * Whether `element` itself is an instance of the target. Only selector
+   * strategies can answer this; heuristics only search downwards.
+   */
+  function matches(element, name) {
+    return (strategies[name] || []).some((strategy) => {
+      if (!strategy.selector || brokenSelectors.has(strategy.selector)) {
+        return false;
+      }
+      try {
+        return element.matches(strategy.selector);
+      } catch (error) {
+        brokenSelectors.add(strategy.selector);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Resolves every target and reports which strategy found it. `missing`
+   * only lists targets that should exist right now: app-wide ones once any
+   * part of WhatsApp Web rendered, and chat ones while a chat is open, so
+   * the loading and QR code screens don't count as breakage.
+   */
+  function selfTest(root = document) {
+    const results = {};
+
+    for (const [name, target] of Object.entries(TARGETS)) {
+      const { elements, strategy } = resolve(name, root);
+      results[name] = {
+        label: target.label,
+        scope: target.scope,
+        found: elements.length > 0,
+        via: strategy ? strategy.via : null,
+        fallback: Boolean(strategy) && strategy !== strategies[name][0],
+      };
+    }
+
+    const found = (scope) =>
+      Object.values(results).some(
+        (result) => result.scope === scope && result.found,
+      );
+    const chatOpen = results.conversationPanel.found;
+    const appLoaded = found("app") || found("chat");
+
+    const missing = Object.keys(results).filter((name) => {
+      const { scope, found: ok } = results[name];
+      if (ok) return false;
+      return (scope === "app" && appLoaded) || (scope === "chat" && chatOpen);
+    });
+
+    return {
+      packVersion: pack ? pack.version || null : null,
+      appLoaded,
+      chatOpen,
+      missing,
+      results,
+    };
+  }
+
+  return {
+    PACK_FORMAT,
+    validatePack,
+    usePack,
+    query,
+    queryAll,
+    matches,
+    selfTest,
+  };
+})();
@@ -0,0 +1,184 @@
+/**
+ * Keyboard commands shared by the service worker (browser-level commands
+ * declared in manifest.json), the content script (in-page hotkeys) and the
+ * Options page (rebinding). Bindings are stored in `settings.shortcuts` as
+ * strings such as "Ctrl+Shift+G", keyed by command id.
+ */
+const Shortcuts = (function () {
+  "use strict";
+
+  const COMMANDS = {
+    correctDraft: {
+      label: "Correct the current draft without sending",
+      manifest: "correct-draft",
+      binding: "Ctrl+Shift+G",
+    },
+    toggleAutoMode: {
+      label: "Toggle auto mode for the current chat",
+      manifest: "toggle-auto-mode",
+      binding: "Alt+Shift+M",
+    },
+    openPanel: {
+      label: "Open the control panel",
+      manifest: "open-panel",
+      binding: "Alt+Shift+P",
+    },
+    translateDraft: {
+      label: "Translate the current draft",
+      manifest: "translate-draft",
+      binding: "Alt+Shift+T",
+    },
+    approveNext: {
+      label: "Approve the next pending reply",
+      manifest: "approve-next",
+      binding: "Alt+Shift+A",
+    },
+  };
+
+  // Keys the extension or the browser already uses; binding a command to
+  // one of these would either never fire or break something else.
+  const RESERVED = {
+    "Alt+Shift+E": "Edit the next pending reply",
+    "Alt+Shift+D": "Discard the next pending reply",
+    "Ctrl+Enter": "Send an edited pending reply",
+    "Ctrl+T": "Browser: new tab",
+    "Ctrl+W": "Browser: close tab",
+    "Ctrl+N": "Browser: new window",
+    "Ctrl+Shift+N": "Browser: new incognito window",
+    "Ctrl+Shift+T": "Browser: reopen closed tab",
+    "Ctrl+Shift+W": "Browser: close window",
+    "Ctrl+Tab": "Browser: next tab",
+    "Ctrl+L": "Browser: address bar",
+    "Ctrl+R": "Browser: reload",
+    "Ctrl+F": "Browser: find",
+  };
+
+  const MODIFIERS = ["Ctrl", "Alt", "Shift", "Meta"];
+
+  function getDefaults() {
+    return Object.fromEntries(
+      Object.entries(COMMANDS).map(([id, command]) => [id, command.binding]),
+    );
+  }
+
+  function keyName(event) {
+    if (/^Key[A-Z]$/.test(event.code)) return event.code.slice(3);
+    if (/^Digit\d$/.test(event.code)) return event.code.slice(5);
+    if (/^F\d{1,2}$/.test(event.key)) return event.key;
+
+    const names = {
+      Enter: "Enter",
+      Space: "Space",
+      Comma: "Comma",
+      Period: "Period",
+      Slash: "Slash",
+      Tab: "Tab",
+    };
+    return names[event.code] || null;
+  }
+
+  /**
+   * Turns a keydown event into a binding string, or null for a bare
+   * modifier or a key we don't bind. Uses `code` so bindings keep working
+   * across keyboard layouts and with Alt producing special characters.
+   */
+  function fromEvent(event) {
+    const key = keyName(event);
+    if (!key) return null;
+
+    const parts = [];
+    if (event.ctrlKey) parts.push("Ctrl");
+    if (event.altKey) parts.push("Alt");
+    if (event.shiftKey) parts.push("Shift");
+    if (event.metaKey) parts.push("Meta");
+    parts.push(key);
+
+    return parts.join("+");
+  }
+
+  function normalize(binding) {
+    if (!binding) return "";
+
+    const parts = binding.split("+").map((part) => part.trim());
+    const key = parts.pop();
+    const modifiers = MODIFIERS.filter((modifier) =>
+      parts.some((part) => part.toLowerCase() === modifier.toLowerCase()),
+    );
+
+    return [...modifiers, key.length === 1 ? key.toUpperCase() : key].join("+");
+  }
+
+  /**
+   * A command needs at least Ctrl, Alt or Meta; Shift alone would swallow
+   * normal typing in the message box.
+   */
+  function isValid(binding) {
+    const parts = normalize(binding).split("+");
+    return (
+      parts.length > 1 &&
+      parts.slice(0, -1).some((modifier) => modifier !== "Shift")
+    );
+  }
+
+  /**
+   * Returns { commandId: reason } for every binding that is invalid,
+   * reserved, or shared with another command. `external` maps bindings the
+   * browser already assigned elsewhere to a description.
+   */
+  function findConflicts(bindings, external = {}) {
+    const conflicts = {};
+    const owners = {};
+    const taken = { ...RESERVED };
+
+    for (const [binding, owner] of Object.entries(external)) {
+      taken[normalize(binding)] = owner;
+    }
+
+    for (const [id, binding] of Object.entries(bindings)) {
+      const normalized = normalize(binding);
+      if (!normalized) continue;
+
+      if (!isValid(normalized)) {
+        conflicts[id] = "Use Ctrl, Alt or Meta with another key";
+      } else if (taken[normalized]) {
+        conflicts[id] = `Already used by "${taken[normalized]}"`;
+      } else if (owners[normalized]) {
+        const other = owners[normalized];
+        conflicts[id] = `Same as "${COMMANDS[other].label}"`;
+        conflicts[other] = `Same as "${COMMANDS[id].label}"`;
+      } else {
+        owners[normalized] = id;
+      }
+    }
+
+    return conflicts;
+  }
+
+  function match(event, bindings) {
+    const pressed = fromEvent(event);
+    if (!pressed) return null;
+
+    return (
+      Object.keys(COMMANDS).find(
+        (id) => bindings[id] && normalize(bindings[id]) === pressed,
+      ) || null
+    );
+  }
+
+  function fromManifestName(name) {
+    return (
+      Object.keys(COMMANDS).find((id) => COMMANDS[id].manifest === name) || null
+    );
+  }
+
+  return {
+    COMMANDS,
+    getDefaults,
+    fromEvent,
+    normalize,
+    isValid,
+    findConflicts,
+    match,
+    fromManifestName,
+  };
+})();
@@ -0,0 +1,174 @@
+/**
+ * Quick-reply templates shared by the content script (the "/" palette in
+ * the message box), the Options page (editing) and the service worker (team
+ * libraries). Personal templates are stored in chrome.storage.sync under
+ * one key each, "snippet:<id>", so a long library never runs into the
+ * per-item sync quota; a team library is cached in local storage as
+ * { instanceId, snippets, fetchedAt }.
+ *
+ * A template body may reference {{contact}}, {{firstName}}, {{date}},
+ * {{time}} and {{agent}}; anything else is left as typed.
+ */
+const Snippets = (function () {
+  "use strict";
+
+  const KEY_PREFIX = "snippet:";
+
+  // chrome.storage.sync allows 8 KB per item, key and JSON included.
+  const MAX_BODY_LENGTH = 4000;
+
+  const VARIABLES = {
+    contact: "Name of the open chat",
+    firstName: "First name of the open chat",
+    date: "Today's date",
+    time: "Current time",
+    agent: "Your name, from Options",
+  };
+
+  function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  function normalizeShortcut(shortcut) {
+    return String(shortcut || "")
+      .trim()
+      .replace(/^\/+/, "")
+      .replace(/\s+/g, "-")
+      .toLowerCase();
+  }
+
+  function normalize(snippet, source = "personal") {
+    return {
+      id: String(snippet.id || createId()),
+      shortcut: normalizeShortcut(snippet.shortcut),
+      title: String(snippet.title || "").trim(),
+      body: String(snippet.body || ""),
+      updatedAt: Number(snippet.updatedAt) || 0,
+      source,
+    };
+  }
+
+  function isKey(key) {
+    return key.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Personal templates out of a chrome.storage.sync.get(null) result.
+   */
+  function fromStorage(items) {
+    return Object.entries(items)
+      .filter(([key, value]) => isKey(key) && value && value.body)
+      .map(([key, value]) =>
+        normalize({ ...value, id: key.slice(KEY_PREFIX.length) }),
+      )
+      .sort(byShortcut);
+  }
+
+  function toStorage(snippet) {
+    const { id, shortcut, title, body, updatedAt } = normalize(snippet);
+    return { [KEY_PREFIX + id]: { shortcut, title, body, updatedAt } };
+  }
+
+  function byShortcut(a, b) {
+    return (a.shortcut || a.title).localeCompare(b.shortcut || b.title);
+  }
+
+  /**
+   * Returns { id: reason } for templates that can't be saved.
+   */
+  function validate(snippets) {
+    const problems = {};
+    const owners = {};
+
+    for (const snippet of snippets) {
+      const shortcut = normalizeShortcut(snippet.shortcut);
+
+      if (!snippet.body.trim()) {
+        problems[snippet.id] = "The template is empty";
+      } else if (snippet.body.length > MAX_BODY_LENGTH) {
+        problems[snippet.id] =
+          `Keep templates under ${MAX_BODY_LENGTH} characters`;
+      } else if (shortcut && owners[shortcut]) {
+        problems[snippet.id] = `/${shortcut} is used twice`;
+        problems[owners[shortcut]] = `/${shortcut} is used twice`;
+      } else if (shortcut) {
+        owners[shortcut] = snippet.id;
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Personal templates first; a personal template hides the team template
+   * with the same shortcut.
+   */
+  function combine(personal, team = []) {
+    const taken = new Set(
+      personal.map((snippet) => snippet.shortcut).filter(Boolean),
+    );
+    return [
+      ...personal,
+      ...team.filter((snippet) => !taken.has(snippet.shortcut)),
+    ];
+  }
+
+  /**
+   * Ranks shortcut prefix matches above title matches above body matches.
+   */
+  function search(snippets, query, limit = 8) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return snippets.slice(0, limit);
+
+    const rank = (snippet) => {
+      if (snippet.shortcut.startsWith(needle)) return 0;
+      if (snippet.shortcut.includes(needle)) return 1;
+      if (snippet.title.toLowerCase().includes(needle)) return 2;
+      if (snippet.body.toLowerCase().includes(needle)) return 3;
+      return -1;
+    };
+
+    return snippets
+      .map((snippet) => ({ snippet, rank: rank(snippet) }))
+      .filter((entry) => entry.rank >= 0)
+      .sort((a, b) => a.rank - b.rank)
+      .slice(0, limit)
+      .map((entry) => entry.snippet);
+  }
+
+  function variables({ contact, agent, now = new Date() } = {}) {
+    return {
+      contact: contact || null,
+      firstName: contact ? contact.split(/\s+/)[0] : null,
+      date: now.toLocaleDateString(),
+      time: now.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
+      agent: agent || null,
+    };
+  }
+
+  /**
+   * Fills {{name}} placeholders. A variable without a value stays in the
+   * text so the gap is visible before sending.
+   */
+  function expand(body, values) {
+    return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+      values[name] != null ? values[name] : match,
+    );
+  }
+
+  return {
+    KEY_PREFIX,
+    MAX_BODY_LENGTH,
+    VARIABLES,
+    createId,
+    normalize,
+    isKey,
+    fromStorage,
+    toStorage,
+    validate,
+    combine,
+    search,
+    variables,
+    expand,
+  };
+})();
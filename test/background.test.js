@@ -0,0 +1,1506 @@
+"use strict";
+
+const { describe, test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createExtension } = require("./helpers/extension");
+const { loadBackground, holdLongTimers } = require("./helpers/background");
+const { startMockServer, reply } = require("./helpers/mock-server");
+const { sleep, waitFor } = require("./helpers/wait");
+
+describe("WhatsApp authentication", () => {
+  let server;
+  let extension;
+  let timers;
+  let worker;
+  let tabMessages;
+
+  beforeEach(async () => {
+    server = await startMockServer();
+    extension = createExtension({
+      sync: { gbServerUrl: server.url, authPending: true },
+    });
+    timers = holdLongTimers();
+    worker = loadBackground(extension, { timers });
+
+    tabMessages = [];
+    extension
+      .openTab("https://web.whatsapp.com/")
+      .runtime.onMessage.addListener((message) => tabMessages.push(message));
+  });
+
+  afterEach(() => server.close());
+
+  const sync = () => extension.storage.sync.data;
+  const local = () => extension.storage.local.data;
+  const notificationTitles = () =>
+    extension.notifications.map((notification) => notification.title);
+
+  test("requests a code and starts polling", async () => {
+    const result = await worker.handleAuthentication("+5511999999999");
+
+    assert.deepEqual({ ...result }, { success: true, requestId: "req-1" });
+    assert.equal(sync().authRequestId, "req-1");
+    assert.equal(sync().whatsappNumber, "+5511999999999");
+
+    const [request] = server.requestsTo("/api/v1/auth/whatsapp/request");
+    assert.equal(request.body.whatsappNumber, "+5511999999999");
+    assert.equal(request.body.extensionId, extension.worker.runtime.id);
+
+    await waitFor(() =>
+      server.requestsTo("/api/v1/auth/whatsapp/status/req-1"),
+    );
+  });
+
+  test("stores the token once the request is completed", async () => {
+    server.route("GET /api/v1/auth/whatsapp/status/:requestId", () => ({
+      status: "completed",
+      token: "new-token",
+      refreshToken: "refresh-1",
+      expiresIn: 3600,
+      instanceId: "instance-1",
+    }));
+
+    await worker.pollAuthCompletion("req-1");
+
+    assert.equal(extension.storage.session.data.authToken, "new-token");
+    assert.equal(extension.storage.session.data.refreshToken, "refresh-1");
+    assert.equal(local().refreshToken, undefined);
+    assert.equal(local().authenticated, true);
+    assert.equal(sync().authToken, undefined);
+    assert.equal(sync().refreshToken, undefined);
+    assert.equal(sync().instanceId, "instance-1");
+    assert.equal(sync().authPending, false);
+    assert.deepEqual(notificationTitles(), [
+      "General Bots - Authentication Complete",
+    ]);
+    assert.deepEqual(timers.pending(), []);
+
+    await waitFor(() => tabMessages.length);
+    assert.deepEqual(tabMessages, [
+      { action: "settingsUpdated", settings: { authenticated: true } },
+    ]);
+  });
+
+  test("polls again every five seconds while pending", async () => {
+    await worker.pollAuthCompletion("req-1");
+
+    assert.deepEqual(timers.pending(), [5000]);
+    assert.equal(local().authenticated, undefined);
+
+    server.route("GET /api/v1/auth/whatsapp/status/:requestId", () => ({
+      status: "completed",
+      token: "new-token",
+    }));
+    timers.runAll();
+
+    await waitFor(() => local().authenticated);
+    assert.equal(server.requestsTo("/api/v1/auth/whatsapp/status").length, 2);
+  });
+
+  test("stops polling when the request failed", async () => {
+    server.route("GET /api/v1/auth/whatsapp/status/:requestId", () => ({
+      status: "failed",
+      message: "Code expired",
+    }));
+
+    await worker.pollAuthCompletion("req-1");
+
+    assert.equal(sync().authPending, false);
+    assert.equal(local().authenticated, undefined);
+    assert.deepEqual(extension.notifications.at(-1).message, "Code expired");
+    assert.deepEqual(timers.pending(), []);
+  });
+
+  test("keeps polling through server errors", async () => {
+    server.route("GET /api/v1/auth/whatsapp/status/:requestId", () =>
+      reply(500),
+    );
+
+    await worker.pollAuthCompletion("req-1");
+
+    assert.equal(sync().authPending, true);
+    assert.deepEqual(timers.pending(), [5000]);
+  });
+
+  test("gives up after 60 attempts", async () => {
+    await worker.pollAuthCompletion("req-1", 61);
+
+    assert.equal(server.requests.length, 0);
+    assert.equal(sync().authPending, false);
+    assert.deepEqual(notificationTitles(), [
+      "General Bots - Authentication Timeout",
+    ]);
+  });
+});
+
+describe("Sessions", () => {
+  let server;
+  let extension;
+  let worker;
+
+  const MINUTE = 60 * 1000;
+
+  async function start({ expiresAt = Date.now() + 60 * MINUTE, sync } = {}) {
+    server = await startMockServer();
+    extension = createExtension({
+      sync: {
+        serverUrl: server.url,
+        gbServerUrl: server.url,
+        whatsappNumber: "+5511999999999",
+        ...sync,
+      },
+      local: { authenticated: true },
+      session: {
+        authToken: "old-token",
+        authTokenExpiresAt: expiresAt,
+        refreshToken: "refresh-1",
+      },
+    });
+    worker = loadBackground(extension);
+  }
+
+  afterEach(() => server.close());
+
+  const session = () => extension.storage.session.data;
+  const local = () => extension.storage.local.data;
+
+  test("checks the token with the configured server", async () => {
+    await start();
+
+    const status = await worker.getAuthStatus();
+
+    assert.equal(status.authenticated, true);
+    assert.equal(status.whatsappNumber, "+5511999999999");
+    const [request] = server.requestsTo("/api/v1/auth/verify");
+    assert.equal(request.headers.authorization, "Bearer old-token");
+    assert.equal(server.requestsTo("/api/v1/auth/refresh").length, 0);
+  });
+
+  test("renews a token that expires before the next check", async () => {
+    await start({ expiresAt: Date.now() + 10 * MINUTE });
+
+    const status = await worker.getAuthStatus();
+
+    assert.equal(status.authenticated, true);
+    const [refresh] = server.requestsTo("/api/v1/auth/refresh");
+    assert.equal(refresh.body.refreshToken, "refresh-1");
+    assert.equal(session().authToken, "renewed-token");
+    assert.ok(session().authTokenExpiresAt > Date.now() + 59 * MINUTE);
+    const [verify] = server.requestsTo("/api/v1/auth/verify");
+    assert.equal(verify.headers.authorization, "Bearer renewed-token");
+  });
+
+  test("renews a missing access token", async () => {
+    await start();
+    delete session().authToken;
+    delete session().authTokenExpiresAt;
+
+    await worker.handleProcessText("Hello", {});
+
+    const [request] = server.requestsTo("/api/v1/llm/process");
+    assert.equal(request.headers.authorization, "Bearer renewed-token");
+  });
+
+  test("asks to sign in again after the browser restarts", async () => {
+    await start();
+    for (const key of Object.keys(session())) delete session()[key];
+
+    extension.worker.runtime.onStartup.dispatch();
+
+    await waitFor(() => local().authenticated === false);
+    assert.equal(server.requestsTo("/api/v1/auth/refresh").length, 0);
+  });
+
+  test("stays signed in while the server can't be reached", async () => {
+    await start();
+    server.route("GET /api/v1/auth/verify", () => reply(503));
+
+    const status = await worker.getAuthStatus();
+
+    assert.equal(status.authenticated, true);
+    assert.equal(status.offline, true);
+    assert.equal(session().authToken, "old-token");
+    assert.equal(local().authenticated, true);
+  });
+
+  test("keeps an expired session to renew once the server is back", async () => {
+    await start({ expiresAt: Date.now() - MINUTE });
+    server.route("POST /api/v1/auth/refresh", () => reply(502));
+
+    const status = await worker.getAuthStatus();
+
+    assert.equal(status.offline, true);
+    assert.equal(session().refreshToken, "refresh-1");
+    assert.equal(local().authenticated, true);
+  });
+
+  test("renews once when the server rejects the token", async () => {
+    await start();
+    let verified = 0;
+    server.route("GET /api/v1/auth/verify", () =>
+      ++verified === 1 ? reply(401) : { valid: true },
+    );
+
+    const status = await worker.getAuthStatus();
+
+    assert.equal(status.authenticated, true);
+    assert.equal(session().authToken, "renewed-token");
+  });
+
+  test("signs out when the refresh token is rejected", async () => {
+    await start({ expiresAt: Date.now() - MINUTE });
+    server.route("POST /api/v1/auth/refresh", () => reply(401));
+
+    const status = await worker.getAuthStatus();
+
+    assert.equal(status.authenticated, false);
+    assert.equal(session().authToken, undefined);
+    assert.equal(session().refreshToken, undefined);
+    assert.equal(local().authenticated, false);
+  });
+
+  test("revokes the tokens on logout", async () => {
+    await start();
+
+    const result = await worker.handleLogout();
+
+    assert.equal(result.revoked, true);
+    const [request] = server.requestsTo("/api/v1/auth/logout");
+    assert.equal(request.headers.authorization, "Bearer old-token");
+    assert.equal(request.body.refreshToken, "refresh-1");
+    assert.equal(session().authToken, undefined);
+    assert.equal(session().refreshToken, undefined);
+    assert.equal(local().authenticated, false);
+  });
+
+  test("signs out locally when the server can't revoke", async () => {
+    await start();
+    server.route("POST /api/v1/auth/logout", () => reply(503));
+
+    const result = await worker.handleLogout();
+
+    assert.equal(result.revoked, false);
+    assert.equal(session().authToken, undefined);
+    assert.equal(local().authenticated, false);
+  });
+
+  test("moves a synced token out of sync storage", async () => {
+    await start({ sync: { authToken: "synced-token", authenticated: true } });
+    delete extension.storage.session.data.authToken;
+
+    await worker.migrateAuthToken();
+
+    assert.equal(extension.storage.sync.data.authToken, undefined);
+    assert.equal(extension.storage.sync.data.authenticated, undefined);
+    assert.equal(session().authToken, "synced-token");
+    assert.equal(local().authenticated, true);
+  });
+
+  test("moves refresh tokens off the disk", async () => {
+    await start();
+    delete session().refreshToken;
+    local().refreshToken = "stored-refresh";
+    local()["refreshToken:client"] = "client-refresh";
+
+    await worker.migrateRefreshTokens();
+
+    assert.equal(session().refreshToken, "stored-refresh");
+    assert.equal(session()["refreshToken:client"], "client-refresh");
+    assert.equal(local().refreshToken, undefined);
+    assert.equal(local()["refreshToken:client"], undefined);
+    assert.equal(local().authenticated, true);
+  });
+});
+
+describe("Local grammar", () => {
+  let worker;
+
+  beforeEach(() => {
+    worker = loadBackground(createExtension({ sync: { localOnly: true } }));
+  });
+
+  const correct = async (text) =>
+    (await worker.handleGrammarCorrection(text)).processedText;
+
+  test("tells Portuguese and Spanish from English", async () => {
+    assert.equal(await correct("voy a estar en casa"), "Voy a estar en casa");
+    assert.equal(await correct("eu vi a ave"), "Eu vi a ave");
+    assert.equal(await correct("i have a apple"), "I have an apple");
+  });
+
+  test("only fixes punctuation when the language is unknown", async () => {
+    const result = await worker.handleGrammarCorrection("ciao a amici ,ok");
+
+    assert.equal(result.processedText, "Ciao a amici, ok");
+    assert.equal(result.language, null);
+  });
+
+  test("leaves winks alone", async () => {
+    assert.equal(await correct("ok ;)"), "Ok ;)");
+    assert.equal(await correct("thanks ;D see you"), "Thanks ;D see you");
+    assert.equal(await correct("nice one ;P"), "Nice one ;P");
+    assert.equal(await correct("see you ;-)"), "See you ;-)");
+  });
+
+  test("leaves links and e-mail addresses alone", async () => {
+    assert.equal(await correct("http://x.com/a,b"), "http://x.com/a,b");
+    assert.equal(
+      await correct("see www.x.com/a,b. write to ana@x.com.br ,thanks"),
+      "See www.x.com/a,b. Write to ana@x.com.br, thanks",
+    );
+  });
+});
+
+describe("Selector packs", () => {
+  test("keeps the refresh schedule when the worker restarts", async () => {
+    const extension = createExtension();
+    loadBackground(extension);
+    const scheduled = await waitFor(() =>
+      extension.alarms.get("refreshSelectorPack"),
+    );
+    // As if the worker had been running for a minute.
+    scheduled.scheduledTime -= 60 * 1000;
+    const { scheduledTime } = scheduled;
+
+    // The restarted worker is done once it has put back a missing alarm.
+    extension.alarms.delete("refreshTeamSnippets");
+    loadBackground(extension);
+    await waitFor(() => extension.alarms.get("refreshTeamSnippets"));
+
+    const alarm = extension.alarms.get("refreshSelectorPack");
+    assert.equal(alarm.periodInMinutes, 360);
+    assert.equal(alarm.scheduledTime, scheduledTime);
+  });
+});
+
+describe("Team templates", () => {
+  let server;
+  let extension;
+  let worker;
+
+  async function start(sync = {}) {
+    server = await startMockServer();
+    extension = createExtension({
+      sync: {
+        gbServerUrl: server.url,
+        instanceId: "instance-1",
+        teamSnippets: true,
+        ...sync,
+      },
+      local: { authenticated: true },
+      session: { authToken: "test-token" },
+    });
+    worker = loadBackground(extension);
+  }
+
+  afterEach(() => server.close());
+
+  const cached = () => extension.storage.local.data.teamSnippets;
+
+  test("fetches the library of the account's instance", async () => {
+    await start();
+    server.route("GET /api/v1/snippets", () => ({
+      snippets: [
+        { id: "t1", shortcut: "/Refund", title: "Refunds", body: "Sure!" },
+        { id: "t2", title: "No body" },
+      ],
+    }));
+
+    const result = await worker.refreshTeamSnippets();
+
+    assert.equal(result.count, 1);
+    assert.equal(cached().instanceId, "instance-1");
+    assert.deepEqual(
+      cached().snippets.map((snippet) => [snippet.shortcut, snippet.source]),
+      [["refund", "team"]],
+    );
+
+    const [request] = server.requestsTo("/api/v1/snippets");
+    assert.equal(request.headers.authorization, "Bearer test-token");
+  });
+
+  test("keeps the cached library when the server is down", async () => {
+    await start();
+    await worker.refreshTeamSnippets();
+    server.route("GET /api/v1/snippets", () => reply(503));
+
+    const result = await worker.refreshTeamSnippets();
+
+    assert.ok(result.error);
+    assert.equal(cached().snippets.length, 1);
+  });
+
+  test("drops the library when it is turned off", async () => {
+    await start();
+    await worker.refreshTeamSnippets();
+
+    await extension.storage.sync.set({ teamSnippets: false });
+
+    await waitFor(() => cached() === undefined);
+    assert.equal(server.requestsTo("/api/v1/snippets").length, 1);
+  });
+});
+
+describe("Reply suggestions", () => {
+  let server;
+  let worker;
+
+  async function start(sync = {}) {
+    server = await startMockServer();
+    worker = loadBackground(
+      createExtension({
+        sync: {
+          provider: "openai",
+          providerUrl: `${server.url}/v1`,
+          replySuggestions: true,
+          ...sync,
+        },
+      }),
+    );
+  }
+
+  afterEach(() => server.close());
+
+  const context = { contact: "Maria Silva", lastMessage: "Do you deliver?" };
+
+  test("asks an OpenAI-compatible server for one choice per suggestion", async () => {
+    await start();
+    server.route("POST /v1/chat/completions", () => ({
+      choices: [
+        { message: { content: '"Yes, we do!"' } },
+        { message: { content: "Yes, we do!" } },
+        { message: { content: "Where should we deliver?" } },
+      ],
+    }));
+
+    const result = await worker.handleReplySuggestions(context, [
+      { type: "received", text: "Do you deliver?" },
+    ]);
+
+    assert.deepEqual(
+      [...result.suggestions],
+      ["Yes, we do!", "Where should we deliver?"],
+    );
+
+    const [request] = server.requestsTo("/v1/chat/completions");
+    assert.equal(request.body.n, 3);
+    assert.deepEqual(request.body.messages.at(-1), {
+      role: "user",
+      content: "Do you deliver?",
+    });
+  });
+
+  test("does nothing while turned off", async () => {
+    await start({ replySuggestions: false });
+
+    const result = await worker.handleReplySuggestions(context);
+
+    assert.deepEqual([...result.suggestions], []);
+    assert.equal(server.requests.length, 0);
+  });
+});
+
+describe("Personas", () => {
+  let server;
+  let extension;
+  let worker;
+
+  const SUPPORT = {
+    id: "support",
+    name: "Support",
+    responseStyle: "friendly",
+    language: "pt",
+    customInstructions: "Mention the order number.",
+    signature: "— Ana, Support",
+    bannedPhrases: ["no problem"],
+  };
+  const NIGHT = { id: "night", name: "Night shift", responseStyle: "formal" };
+
+  // A rule covering the current time, whatever time the tests run.
+  function ruleForNow(personaId) {
+    const format = (date) => date.toTimeString().slice(0, 5);
+    const now = Date.now();
+    return {
+      personaId,
+      start: format(new Date(now - 60 * 60 * 1000)),
+      end: format(new Date(now + 60 * 60 * 1000)),
+    };
+  }
+
+  async function start(sync = {}) {
+    server = await startMockServer();
+    extension = createExtension({
+      sync: {
+        serverUrl: server.url,
+        autoMode: true,
+        autoApproval: false,
+        personas: [SUPPORT, NIGHT],
+        defaultPersona: "support",
+        ...sync,
+      },
+      session: { authToken: "test-token" },
+    });
+    worker = loadBackground(extension);
+  }
+
+  afterEach(() => server.close());
+
+  const lastContext = () =>
+    server.requestsTo("/api/v1/llm/auto-reply").at(-1).body.context;
+
+  test("sends the default persona and signs the reply", async () => {
+    await start();
+
+    const result = await worker.handleAutoReply({
+      contact: "Maria Silva",
+      lastMessage: "Do you deliver?",
+    });
+
+    assert.equal(result.reply, "Thanks for your message!\n\n— Ana, Support");
+    assert.equal(result.autoSend, true);
+
+    const context = lastContext();
+    assert.equal(context.persona.name, "Support");
+    assert.equal(context.responseStyle, "friendly");
+    assert.equal(context.language, "pt");
+    assert.equal(context.customInstructions, "Mention the order number.");
+  });
+
+  test("lets the contact's own settings refine the persona", async () => {
+    await start();
+
+    await worker.handleAutoReply({
+      contact: "Maria Silva",
+      responseStyle: "casual",
+      customInstructions: "She prefers short answers.",
+    });
+
+    const context = lastContext();
+    assert.equal(context.responseStyle, "casual");
+    assert.equal(
+      context.customInstructions,
+      "Mention the order number.\nShe prefers short answers.",
+    );
+  });
+
+  test("uses the scheduled persona, unless the contact has one", async () => {
+    await start({ personaSchedule: [ruleForNow("night")] });
+
+    await worker.handleAutoReply({ contact: "Maria Silva" });
+    assert.equal(lastContext().persona.name, "Night shift");
+
+    await worker.handleAutoReply({ contact: "Maria", personaId: "support" });
+    assert.equal(lastContext().persona.name, "Support");
+  });
+
+  test("holds replies with a banned phrase for approval", async () => {
+    await start();
+    server.route("POST /api/v1/llm/auto-reply", () => ({
+      suggestedReply: "No problem, we deliver!",
+      autoSend: true,
+    }));
+
+    const result = await worker.handleAutoReply({ contact: "Maria Silva" });
+
+    assert.equal(result.autoSend, false);
+    assert.equal(result.bannedPhrase, "no problem");
+  });
+
+  test("sends the persona with processing requests", async () => {
+    await start();
+
+    await worker.handleProcessText("hello there");
+
+    const [request] = server.requestsTo("/api/v1/llm/process");
+    assert.equal(request.body.persona.name, "Support");
+  });
+
+  test("turns the old response style into the default persona", async () => {
+    await start({
+      personas: undefined,
+      responseStyle: "casual",
+      customInstructions: "Be brief.",
+    });
+    delete extension.storage.sync.data.personas;
+
+    await worker.migratePersonaSettings();
+
+    const sync = extension.storage.sync.data;
+    assert.equal(sync.responseStyle, undefined);
+    assert.equal(sync.customInstructions, undefined);
+    assert.deepEqual(
+      sync.personas.map(({ id, responseStyle, customInstructions }) => ({
+        id,
+        responseStyle,
+        customInstructions,
+      })),
+      [
+        {
+          id: "default",
+          responseStyle: "casual",
+          customInstructions: "Be brief.",
+        },
+      ],
+    );
+  });
+});
+
+describe("Business hours", () => {
+  let extension;
+  let worker;
+
+  // The default days, Monday to Friday from 9:00 to 18:00, in UTC.
+  const HOURS = { enabled: true, timeZone: "UTC", awayMessage: "Closed!" };
+  const MONDAY_NOON = new Date("2026-10-19T12:00:00Z");
+  const MONDAY_NIGHT = new Date("2026-10-19T22:00:00Z");
+  const TUESDAY_MORNING = new Date("2026-10-20T09:30:00Z");
+
+  function start(sync = {}) {
+    extension = createExtension({
+      sync: { businessHours: HOURS, ...sync },
+    });
+    worker = loadBackground(extension);
+  }
+
+  test("turns auto mode on after hours and off again in the morning", async () => {
+    start();
+
+    await worker.checkBusinessHours(MONDAY_NOON);
+    assert.equal(extension.storage.sync.data.autoMode, undefined);
+
+    const state = await worker.checkBusinessHours(MONDAY_NIGHT);
+    assert.equal(extension.storage.sync.data.autoMode, true);
+    assert.equal(state.open, false);
+    assert.equal(state.nextChange.time, "09:00");
+    assert.equal(
+      extension.storage.local.data.scheduleState.since,
+      MONDAY_NIGHT.getTime(),
+    );
+
+    await worker.checkBusinessHours(TUESDAY_MORNING);
+    assert.equal(extension.storage.sync.data.autoMode, false);
+  });
+
+  test("leaves auto mode on when it was on before closing", async () => {
+    start({ autoMode: true });
+
+    await worker.checkBusinessHours(MONDAY_NOON);
+    await worker.checkBusinessHours(MONDAY_NIGHT);
+    await worker.checkBusinessHours(TUESDAY_MORNING);
+
+    assert.equal(extension.storage.sync.data.autoMode, true);
+  });
+
+  test("treats holidays as after hours", async () => {
+    start({
+      businessHours: {
+        ...HOURS,
+        holidays: [{ date: "10-19", name: "Founders' Day" }],
+      },
+    });
+
+    const state = await worker.checkBusinessHours(MONDAY_NOON);
+
+    assert.equal(state.open, false);
+    assert.equal(state.holiday, "Founders' Day");
+  });
+
+  test("hands out the away message once per contact per night", async () => {
+    start();
+    await worker.checkBusinessHours(MONDAY_NIGHT);
+
+    const [first, second, other] = await Promise.all([
+      worker.claimAwayMessage("a@c.us"),
+      worker.claimAwayMessage("a@c.us"),
+      worker.claimAwayMessage("b@c.us"),
+    ]);
+    assert.equal(first.message, "Closed!");
+    assert.equal(second.message, null);
+    assert.equal(other.message, "Closed!");
+
+    await worker.checkBusinessHours(TUESDAY_MORNING);
+    assert.equal((await worker.claimAwayMessage("a@c.us")).message, null);
+
+    await worker.checkBusinessHours(new Date("2026-10-20T20:00:00Z"));
+    assert.equal((await worker.claimAwayMessage("a@c.us")).message, "Closed!");
+  });
+});
+
+describe("Auto-reply safety", () => {
+  let server;
+  let extension;
+  let worker;
+
+  async function start({ sync = {}, local = {} } = {}) {
+    server = await startMockServer();
+    extension = createExtension({
+      sync: {
+        serverUrl: server.url,
+        autoMode: true,
+        autoApproval: false,
+        ...sync,
+      },
+      local,
+      session: { authToken: "test-token" },
+    });
+    worker = loadBackground(extension);
+  }
+
+  afterEach(() => server.close());
+
+  let nextId = 0;
+  function receive(text, { chatId = "a@c.us", sentAt } = {}) {
+    return worker.handleAutoReply(
+      { contact: "Maria", chatId, lastMessage: text },
+      [],
+      1,
+      { id: `false_${chatId}_${++nextId}`, sentAt },
+    );
+  }
+
+  test("answers each WhatsApp message once", async () => {
+    await start();
+
+    const incoming = { id: "false_a@c.us_1" };
+    const context = { contact: "Maria", chatId: "a@c.us", lastMessage: "Hi" };
+    const first = await worker.handleAutoReply(context, [], 1, incoming);
+    const again = await worker.handleAutoReply(context, [], 1, incoming);
+
+    assert.equal(first.reply, "Thanks for your message!");
+    assert.equal(again.reply, null);
+    assert.equal(again.blocked, "duplicate");
+    assert.equal(server.requestsTo("/api/v1/llm/auto-reply").length, 1);
+  });
+
+  test("ignores messages sent before auto mode was turned on", async () => {
+    const now = Date.now();
+    await start({ local: { autoModeSince: now } });
+
+    const old = await receive("Hi", { sentAt: now - 10 * 60 * 1000 });
+    const recent = await receive("Hello", { sentAt: now });
+
+    assert.equal(old.blocked, "stale");
+    assert.equal(recent.reply, "Thanks for your message!");
+  });
+
+  test("remembers when auto mode is turned on", async () => {
+    await start({ sync: { autoMode: false } });
+
+    await extension.worker.storage.sync.set({ autoMode: true });
+
+    assert.equal(typeof extension.storage.local.data.autoModeSince, "number");
+  });
+
+  test("stops replying to a contact over the limit", async () => {
+    await start({ sync: { autoReplyContactLimit: 2 } });
+
+    await receive("Do you deliver?");
+    await receive("To Pinheiros?");
+    const third = await receive("And on Sundays?");
+    const other = await receive("Hello", { chatId: "b@c.us" });
+
+    assert.equal(third.blocked, "contactLimit");
+    assert.equal(other.reply, "Thanks for your message!");
+    assert.equal(extension.storage.sync.data.autoMode, true);
+  });
+
+  test("holds the limit when messages arrive at once", async () => {
+    await start({ sync: { autoReplyContactLimit: 2 } });
+
+    const results = await Promise.all([
+      receive("Hi"),
+      receive("Are you there?"),
+      receive("Hello?"),
+      receive("Anyone?"),
+    ]);
+
+    assert.equal(results.filter((result) => result.reply).length, 2);
+    assert.equal(
+      results.filter((result) => result.blocked === "contactLimit").length,
+      2,
+    );
+    assert.equal(server.requestsTo("/api/v1/llm/auto-reply").length, 2);
+  });
+
+  test("frees the slot when no reply is generated", async () => {
+    await start({ sync: { autoReplyContactLimit: 1 } });
+    server.route("POST /api/v1/llm/auto-reply", () => ({
+      suggestedReply: "",
+      confidence: 0.2,
+    }));
+
+    const empty = await receive("Hi");
+    server.route("POST /api/v1/llm/auto-reply", () => ({
+      suggestedReply: "Hello!",
+      confidence: 0.9,
+      autoSend: true,
+    }));
+    const next = await receive("Hello?");
+
+    assert.equal(empty.reply, null);
+    assert.equal(next.reply, "Hello!");
+  });
+
+  test("holds the limits when replies queued offline go out", async () => {
+    const autoReplyQueue = ["a", "b", "c", "d"].map((name) => ({
+      context: {
+        contact: name,
+        chatId: `${name}@c.us`,
+        lastMessage: `Hi, this is ${name}`,
+      },
+      lastMessages: [],
+      tabId: 1,
+      queuedAt: Date.now(),
+    }));
+    const contactProfiles = Object.fromEntries(
+      autoReplyQueue.map(({ context }) => [context.chatId, { autoMode: true }]),
+    );
+    await start({
+      sync: { autoReplyHourlyLimit: 2 },
+      local: { autoReplyQueue, contactProfiles },
+    });
+
+    await worker.drainAutoReplyQueue();
+
+    assert.equal(server.requestsTo("/api/v1/llm/auto-reply").length, 2);
+    assert.equal(extension.storage.sync.data.autoMode, false);
+    assert.equal(
+      extension.storage.local.data.governorTrip.reason,
+      "globalLimit",
+    );
+  });
+
+  test("turns auto mode off when a chat loops", async () => {
+    await start();
+
+    await receive("Thanks for your message!");
+    await receive("Thanks for your message!");
+    const result = await receive("Thanks for your message!");
+
+    assert.equal(result.blocked, "loop");
+    assert.equal(extension.storage.sync.data.autoMode, false);
+    assert.equal(extension.storage.local.data.governorTrip.reason, "loop");
+    assert.equal(extension.storage.local.data.governorTrip.contact, "Maria");
+    assert.match(extension.notifications[0].title, /Auto Mode Stopped/);
+  });
+
+  test("turns auto mode off at the hourly limit", async () => {
+    await start({ sync: { autoReplyHourlyLimit: 2 } });
+
+    await receive("One", { chatId: "a@c.us" });
+    await receive("Two", { chatId: "b@c.us" });
+    const result = await receive("Three", { chatId: "c@c.us" });
+
+    assert.equal(result.blocked, "globalLimit");
+    assert.equal(extension.storage.sync.data.autoMode, false);
+  });
+});
+
+describe("Human handoff", () => {
+  let server;
+  let extension;
+  let worker;
+
+  async function start(sync = {}) {
+    server = await startMockServer();
+    extension = createExtension({
+      sync: {
+        serverUrl: server.url,
+        autoMode: true,
+        autoApproval: false,
+        ...sync,
+      },
+      local: {
+        contactProfiles: { "a@c.us": { name: "Maria", autoMode: true } },
+      },
+      session: { authToken: "test-token" },
+    });
+    worker = loadBackground(extension);
+  }
+
+  afterEach(() => server.close());
+
+  const receive = (text) =>
+    worker.handleAutoReply({
+      contact: "Maria",
+      chatId: "a@c.us",
+      lastMessage: text,
+    });
+  const profile = () => extension.storage.local.data.contactProfiles["a@c.us"];
+
+  test("hands over a contact asking for a person", async () => {
+    await start();
+
+    const result = await receive("Quero falar com um atendente, por favor");
+
+    assert.equal(result.reply, null);
+    assert.equal(result.handoff.reason, "keyword");
+    assert.equal(result.handoff.detail, "atendente");
+    assert.equal(server.requestsTo("/api/v1/llm/auto-reply").length, 0);
+    assert.equal(profile().autoMode, false);
+    assert.equal(profile().handoff.reason, "keyword");
+    assert.match(extension.notifications[0].title, /Needs a Human/);
+  });
+
+  test("matches added phrases without accents or capitals", async () => {
+    await start({ handoffKeywords: ["reembolso"] });
+
+    const result = await receive("Cadê meu REEMBOLSO?");
+
+    assert.equal(result.handoff.detail, "reembolso");
+  });
+
+  test("keeps replies the AI isn't sure about as drafts", async () => {
+    await start();
+    server.route("POST /api/v1/llm/auto-reply", () => ({
+      suggestedReply: "Maybe on Sundays?",
+      confidence: 0.2,
+      autoSend: true,
+    }));
+
+    const result = await receive("Do you open on holidays?");
+
+    assert.equal(result.reply, "Maybe on Sundays?");
+    assert.equal(result.autoSend, false);
+    assert.equal(result.handoff.reason, "lowConfidence");
+    assert.equal(profile().handoff.detail, "20% sure");
+  });
+
+  test("follows the server asking for a person", async () => {
+    await start();
+    server.route("POST /api/v1/llm/auto-reply", () => ({
+      suggestedReply: "Let me get someone for you.",
+      confidence: 0.9,
+      autoSend: true,
+      handoff: true,
+    }));
+
+    const result = await receive("My order arrived broken");
+
+    assert.equal(result.autoSend, false);
+    assert.equal(result.handoff.reason, "server");
+    assert.equal(profile().autoMode, false);
+  });
+
+  test("does nothing while turned off", async () => {
+    await start({ handoff: false });
+
+    const result = await receive("I want to talk to a real person");
+
+    assert.equal(result.reply, "Thanks for your message!");
+    assert.equal(result.handoff, null);
+    assert.equal(profile().autoMode, true);
+  });
+
+  test("checks replies queued offline again before sending", async () => {
+    await start();
+    const local = extension.storage.local.data;
+    Object.assign(local.contactProfiles, {
+      "b@c.us": { name: "Ana", autoMode: true, handoff: { reason: "manual" } },
+      "c@c.us": { name: "João", autoMode: false },
+      "d@c.us": { name: "Rita", autoMode: true },
+    });
+    local.autoReplyQueue = [
+      ["Maria", "a@c.us", "I want to talk to a real person"],
+      ["Ana", "b@c.us", "Hello?"],
+      ["João", "c@c.us", "Hello?"],
+      ["Rita", "d@c.us", "Hello?"],
+    ].map(([contact, chatId, lastMessage]) => ({
+      context: { contact, chatId, lastMessage },
+      lastMessages: [],
+      tabId: 1,
+      queuedAt: Date.now(),
+    }));
+
+    await worker.drainAutoReplyQueue();
+
+    const requests = server.requestsTo("/api/v1/llm/auto-reply");
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].body.context.chatId, "d@c.us");
+    assert.equal(profile().handoff.reason, "keyword");
+    assert.equal(local.autoReplyQueue.length, 0);
+  });
+});
+
+describe("Profiles", () => {
+  let defaultServer;
+  let clientServer;
+  let extension;
+  let worker;
+
+  const HOUR = 60 * 60 * 1000;
+
+  beforeEach(async () => {
+    defaultServer = await startMockServer();
+    clientServer = await startMockServer();
+    extension = createExtension({
+      sync: {
+        serverUrl: defaultServer.url,
+        gbServerUrl: defaultServer.url,
+        whatsappNumber: "+5511999999999",
+        profiles: [
+          {
+            id: "client",
+            name: "Client",
+            settings: {
+              serverUrl: clientServer.url,
+              gbServerUrl: clientServer.url,
+              whatsappNumber: "+5521888888888",
+            },
+          },
+        ],
+      },
+      local: {
+        authenticated: true,
+        "authenticated:client": true,
+      },
+      session: {
+        refreshToken: "default-refresh",
+        "refreshToken:client": "client-refresh",
+        authToken: "default-token",
+        authTokenExpiresAt: Date.now() + HOUR,
+        "authToken:client": "client-token",
+        "authTokenExpiresAt:client": Date.now() + HOUR,
+      },
+    });
+    // Holds the sign-in status polling.
+    worker = loadBackground(extension, { timers: holdLongTimers() });
+  });
+
+  afterEach(() => {
+    defaultServer.close();
+    clientServer.close();
+  });
+
+  const session = () => extension.storage.session.data;
+  const local = () => extension.storage.local.data;
+
+  test("sends a bound tab's requests to its profile's server", async () => {
+    const bound = extension.openTab();
+    const other = extension.openTab();
+    await worker.bindTabProfile(1, "client");
+
+    await bound.runtime.sendMessage({ action: "processText", text: "Hello" });
+    await other.runtime.sendMessage({ action: "processText", text: "Hi" });
+
+    const [clientRequest] = clientServer.requestsTo("/api/v1/llm/process");
+    assert.equal(clientRequest.headers.authorization, "Bearer client-token");
+    const [defaultRequest] = defaultServer.requestsTo("/api/v1/llm/process");
+    assert.equal(defaultRequest.headers.authorization, "Bearer default-token");
+  });
+
+  test("uses the browser's active profile for tabs without one", async () => {
+    local().activeProfile = "client";
+    const tab = extension.openTab();
+
+    const profile = await tab.runtime.sendMessage({ action: "getTabProfile" });
+    await tab.runtime.sendMessage({ action: "processText", text: "Hello" });
+
+    assert.equal(profile.id, "client");
+    assert.equal(profile.bound, false);
+    assert.equal(clientServer.requestsTo("/api/v1/llm/process").length, 1);
+    assert.equal(defaultServer.requestsTo("/api/v1/llm/process").length, 0);
+  });
+
+  test("only tells the profile's tabs about its changes", async () => {
+    const received = [[], []];
+    extension
+      .openTab()
+      .runtime.onMessage.addListener((message) => received[0].push(message));
+    extension
+      .openTab()
+      .runtime.onMessage.addListener((message) => received[1].push(message));
+    await worker.bindTabProfile(1, "client");
+
+    await worker.broadcastSettingsUpdate({ authenticated: false }, "client");
+
+    const updates = (messages) =>
+      messages.filter((message) => message.action === "settingsUpdated");
+    await waitFor(() => updates(received[0]).length > 0);
+    assert.equal(updates(received[1]).length, 0);
+  });
+
+  test("keeps each profile's team templates apart", async () => {
+    const sync = extension.storage.sync.data;
+    Object.assign(sync, { teamSnippets: true, instanceId: "instance-1" });
+    sync.profiles[0].settings.instanceId = "instance-2";
+    clientServer.route("GET /api/v1/snippets", () => ({
+      snippets: [{ id: "c1", shortcut: "bye", title: "Bye", body: "Bye!" }],
+    }));
+
+    await worker.refreshTeamSnippets();
+    await worker.refreshTeamSnippets("client");
+
+    assert.equal(local().teamSnippets.instanceId, "instance-1");
+    assert.equal(local().teamSnippets.snippets[0].shortcut, "hi");
+    assert.equal(local()["teamSnippets:client"].instanceId, "instance-2");
+    assert.equal(local()["teamSnippets:client"].snippets[0].shortcut, "bye");
+  });
+
+  test("only tells tabs whose profile changed to look it up again", async () => {
+    const received = [[], []];
+    extension
+      .openTab()
+      .runtime.onMessage.addListener((message) => received[0].push(message));
+    extension
+      .openTab()
+      .runtime.onMessage.addListener((message) => received[1].push(message));
+
+    await worker.bindTabProfile(1, "client");
+
+    const changed = (messages) =>
+      messages.filter((message) => message.action === "profileChanged");
+    await waitFor(() => changed(received[0]).length > 0);
+    await sleep(20);
+    assert.equal(changed(received[0]).length, 1);
+    assert.equal(changed(received[1]).length, 0);
+  });
+
+  test("signs one profile out and leaves the others signed in", async () => {
+    const result = await worker.handleLogout("client");
+
+    assert.equal(result.revoked, true);
+    const [request] = clientServer.requestsTo("/api/v1/auth/logout");
+    assert.equal(request.headers.authorization, "Bearer client-token");
+    assert.equal(request.body.refreshToken, "client-refresh");
+    assert.equal(defaultServer.requestsTo("/api/v1/auth/logout").length, 0);
+    assert.equal(session()["authToken:client"], undefined);
+    assert.equal(local()["authenticated:client"], false);
+    assert.equal(session().authToken, "default-token");
+    assert.equal(session().refreshToken, "default-refresh");
+  });
+
+  test("forgets a deleted profile's credentials", async () => {
+    local()["providerApiKey:client"] = "sk-client";
+
+    await extension.storage.sync.set({ profiles: [] });
+
+    await waitFor(() => local()["providerApiKey:client"] === undefined);
+    assert.equal(session()["refreshToken:client"], undefined);
+    assert.equal(session()["authToken:client"], undefined);
+    assert.equal(session().refreshToken, "default-refresh");
+  });
+
+  test("forgets a tab's profile when the tab closes", async () => {
+    extension.openTab();
+    await worker.bindTabProfile(1, "client");
+
+    extension.worker.tabs.onRemoved.dispatch(1);
+
+    await waitFor(() => Object.keys(session().tabProfiles).length === 0);
+    assert.equal((await worker.getTabProfile(1)).id, "default");
+  });
+
+  test("signs a profile in with its own server and number", async () => {
+    await worker.handleAuthentication("+5521777777777", "client");
+
+    const [request] = clientServer.requestsTo("/api/v1/auth/whatsapp/request");
+    assert.equal(request.body.whatsappNumber, "+5521777777777");
+    const stored = extension.storage.sync.data;
+    assert.equal(stored.whatsappNumber, "+5511999999999");
+    assert.equal(stored.profiles[0].settings.whatsappNumber, "+5521777777777");
+    assert.equal(stored.profiles[0].settings.serverUrl, clientServer.url);
+  });
+});
+
+describe("Outbound transforms", () => {
+  let server;
+  let extension;
+  let worker;
+
+  const CHAT_ID = "5511988887777@c.us";
+
+  async function start({ sync, contact = {} } = {}) {
+    server = await startMockServer();
+    extension = createExtension({
+      sync: { serverUrl: server.url, gbServerUrl: server.url, ...sync },
+      local: {
+        authenticated: true,
+        contactProfiles: { [CHAT_ID]: { name: "Maria Silva", ...contact } },
+      },
+      session: { authToken: "test-token" },
+    });
+    worker = loadBackground(extension);
+  }
+
+  afterEach(() => server.close());
+
+  test("runs each step on the previous step's output", async () => {
+    await start({ sync: { transforms: { redact: true, shorten: true } } });
+    server.route("POST /api/v1/llm/grammar", ({ body }) => ({
+      correctedText: body.text.replace("i has", "I have"),
+    }));
+    server.route("POST /api/v1/llm/process", () => ({
+      processedText: "Card [card number] on file.",
+    }));
+
+    const result = await worker.runTransformChain(
+      "i has a card 4111 1111 1111 1111 for the order",
+      CHAT_ID,
+    );
+
+    const [grammar] = server.requestsTo("/api/v1/llm/grammar");
+    assert.equal(grammar.body.text, "i has a card [card number] for the order");
+    const [process] = server.requestsTo("/api/v1/llm/process");
+    assert.equal(
+      process.body.text,
+      "I have a card [card number] for the order",
+    );
+    assert.equal(process.body.options.shorten, true);
+    assert.equal(process.body.options.grammarCorrection, false);
+    assert.equal(result.processedText, "Card [card number] on file.");
+    assert.equal(
+      result.steps.map((step) => `${step.id}:${step.changed}`).join(" "),
+      "redact:true grammar:true shorten:true",
+    );
+  });
+
+  test("lets a contact turn steps on and off", async () => {
+    await start({
+      contact: {
+        language: "es",
+        transforms: { grammar: false, translate: true },
+      },
+    });
+    server.route("POST /api/v1/llm/translate", () => ({
+      translatedText: "¡Hola!",
+    }));
+
+    const result = await worker.runTransformChain("Hello!", CHAT_ID);
+
+    assert.equal(server.requestsTo("/api/v1/llm/grammar").length, 0);
+    const [request] = server.requestsTo("/api/v1/llm/translate");
+    assert.equal(request.body.targetLanguage, "es");
+    assert.equal(result.processedText, "¡Hola!");
+  });
+
+  test("skips translation for contacts without a language", async () => {
+    await start({
+      sync: { grammarCorrection: false, transforms: { translate: true } },
+    });
+
+    const result = await worker.runTransformChain("Hello!", CHAT_ID);
+
+    assert.equal(server.requestsTo("/api/v1/llm/translate").length, 0);
+    assert.equal(result.steps[0].skipped, "noLanguage");
+    assert.equal(result.processedText, "Hello!");
+  });
+
+  test("rewrites the tone in the contact's style", async () => {
+    await start({
+      sync: { grammarCorrection: false, transforms: { tone: true } },
+      contact: { responseStyle: "casual" },
+    });
+
+    await worker.runTransformChain("Dear customer, noted.", CHAT_ID);
+
+    const [request] = server.requestsTo("/api/v1/llm/process");
+    assert.equal(request.body.options.tone, "casual");
+  });
+
+  test("keeps AI steps out of local-only mode", async () => {
+    await start({
+      sync: { localOnly: true, transforms: { redact: true, shorten: true } },
+    });
+
+    const result = await worker.runTransformChain(
+      "Write to ana@example.com",
+      CHAT_ID,
+    );
+
+    assert.equal(server.requests.length, 0);
+    assert.equal(result.processedText, "Write to [e-mail address]");
+    assert.equal(result.steps.at(-1).skipped, "localOnly");
+  });
+});
+
+describe("Sensitive data", () => {
+  let server;
+  let worker;
+
+  const CHAT_ID = "5511988887777@c.us";
+
+  async function start(sync = {}) {
+    server = await startMockServer();
+    worker = loadBackground(
+      createExtension({
+        sync: { serverUrl: server.url, gbServerUrl: server.url, ...sync },
+        local: { authenticated: true },
+        session: { authToken: "test-token" },
+      }),
+    );
+  }
+
+  afterEach(() => server.close());
+
+  test("sends placeholders to the AI and restores the answer", async () => {
+    await start();
+    server.route("POST /api/v1/llm/process", ({ body }) => ({
+      processedText: body.text.replace("pls charge", "Please charge"),
+    }));
+
+    const result = await worker.handleProcessText(
+      "pls charge 4111 1111 1111 1111 and mail ana@example.com, not 4111 1111 1111 1111 twice",
+      {},
+      CHAT_ID,
+    );
+
+    const [request] = server.requestsTo("/api/v1/llm/process");
+    assert.equal(
+      request.body.text,
+      "pls charge [CARD_1] and mail [EMAIL_1], not [CARD_1] twice",
+    );
+    assert.equal(
+      result.processedText,
+      "Please charge 4111 1111 1111 1111 and mail ana@example.com, not 4111 1111 1111 1111 twice",
+    );
+  });
+
+  test("masks team rules and leaves turned-off types alone", async () => {
+    await start({
+      piiGuard: {
+        mode: "warn",
+        types: { email: false },
+        rules: [{ name: "Order", pattern: "ORD-\\d{6}" }],
+      },
+    });
+    server.route("POST /api/v1/llm/process", ({ body }) => ({
+      processedText: body.text,
+    }));
+
+    await worker.handleProcessText(
+      "Order ord-123456 for ana@example.com",
+      {},
+      CHAT_ID,
+    );
+
+    const [request] = server.requestsTo("/api/v1/llm/process");
+    assert.equal(request.body.text, "Order [RULE_1] for ana@example.com");
+  });
+
+  test("redacts only values that pass their checks", async () => {
+    await start({
+      grammarCorrection: false,
+      transforms: { redact: true },
+    });
+
+    const result = await worker.runTransformChain(
+      [
+        "card 4111 1111 1111 1111, ref 4111 1111 1111 1112",
+        "CPF 529.982.247-25, not 111.111.111-11",
+        "CNPJ 11.222.333/0001-81",
+        "IBAN DE89 3704 0044 0532 0130 00",
+        "key sk_live_abcdefghijklmnop1234",
+        "senha: hunter22",
+      ].join("\n"),
+      CHAT_ID,
+    );
+
+    assert.equal(
+      result.processedText,
+      [
+        "card [card number], ref 4111 1111 1111 1112",
+        "CPF [CPF], not 111.111.111-11",
+        "CNPJ [CNPJ]",
+        "IBAN [IBAN]",
+        "key [API key]",
+        "senha: [password]",
+      ].join("\n"),
+    );
+  });
+});
+
+describe("Chat summaries", () => {
+  let server;
+  let worker;
+
+  async function start(sync = {}) {
+    server = await startMockServer();
+    worker = loadBackground(
+      createExtension({
+        sync: {
+          serverUrl: server.url,
+          gbServerUrl: server.url,
+          providerUrl: `${server.url}/v1`,
+          ...sync,
+        },
+        local: { authenticated: true },
+        session: { authToken: "test-token" },
+      }),
+    );
+  }
+
+  afterEach(() => server.close());
+
+  const conversation = {
+    chatId: "5511988887777@c.us",
+    contact: "Maria Silva",
+    messages: [
+      {
+        id: "false_5511988887777@c.us_1",
+        type: "received",
+        sender: "Maria Silva",
+        timestamp: "10:32, 19/10/2024",
+        text: "Charge it to 4111 1111 1111 1111 please",
+        quoted: { sender: "You", text: "How would you like to pay?" },
+      },
+    ],
+  };
+
+  test("sends the structured messages and returns the notes", async () => {
+    await start();
+    server.route("POST /api/v1/llm/summarize", ({ body }) => ({
+      summary: `Paid with ${body.messages[0].text.match(/\[CARD_1\]/)[0]}.`,
+      actionItems: ["Send the receipt", ""],
+    }));
+
+    const result = await worker.handleChatSummary(conversation);
+
+    const [request] = server.requestsTo("/api/v1/llm/summarize");
+    assert.equal(request.body.chatId, "5511988887777@c.us");
+    assert.equal(request.body.contact, "Maria Silva");
+    assert.equal(request.body.messages[0].id, "false_5511988887777@c.us_1");
+    assert.equal(request.body.messages[0].text, "Charge it to [CARD_1] please");
+    assert.equal(
+      request.body.messages[0].quoted.text,
+      "How would you like to pay?",
+    );
+    assert.equal(result.summary, "Paid with 4111 1111 1111 1111.");
+    assert.equal(result.actionItems.join("|"), "Send the receipt");
+  });
+
+  test("asks an OpenAI-compatible server for JSON notes", async () => {
+    await start({ provider: "openai" });
+    server.route("POST /v1/chat/completions", () => ({
+      choices: [
+        {
+          message: {
+            content:
+              '```json\n{"summary": "Wants to pay by card.", "action_items": ["Charge the card"]}\n```',
+          },
+        },
+      ],
+    }));
+
+    const result = await worker.handleChatSummary(conversation);
+
+    const [request] = server.requestsTo("/v1/chat/completions");
+    assert.equal(request.body.response_format.type, "json_object");
+    assert.equal(
+      request.body.messages.at(-1).content,
+      '[10:32, 19/10/2024] Maria Silva (replying to You: "How would you like to pay?"): Charge it to [CARD_1] please',
+    );
+    assert.equal(result.summary, "Wants to pay by card.");
+    assert.equal(result.actionItems.join("|"), "Charge the card");
+  });
+
+  test("is unavailable in local-only mode", async () => {
+    await start({ localOnly: true });
+
+    const result = await worker.handleChatSummary(conversation);
+
+    assert.match(result.error, /local-only/);
+    assert.equal(server.requests.length, 0);
+  });
+});
@@ -0,0 +1,951 @@
+"use strict";
+
+const { describe, test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createExtension } = require("./helpers/extension");
+const { loadBackground } = require("./helpers/background");
+const { startMockServer, reply } = require("./helpers/mock-server");
+const { openWhatsApp } = require("./helpers/whatsapp");
+const { sleep, waitFor } = require("./helpers/wait");
+
+const CHAT_ID = "5511999999999@c.us";
+
+async function setup({ sync = {}, local = {} } = {}) {
+  const server = await startMockServer();
+  const extension = createExtension({
+    sync: {
+      serverUrl: server.url,
+      gbServerUrl: server.url,
+      ...sync,
+    },
+    local: { authenticated: true, ...local },
+    session: { authToken: "test-token" },
+  });
+  loadBackground(extension);
+  const whatsapp = await openWhatsApp(extension);
+
+  return { server, extension, whatsapp };
+}
+
+describe("Enter interception", () => {
+  let server;
+  let whatsapp;
+
+  async function start(options) {
+    ({ server, whatsapp } = await setup(options));
+  }
+
+  afterEach(async () => {
+    const errors = [...(whatsapp?.errors || [])];
+    whatsapp?.close();
+    await server?.close();
+    assert.deepEqual(errors, []);
+  });
+
+  test("holds the message until the correction is applied", async () => {
+    await start();
+    server.route("POST /api/v1/llm/grammar", () => ({
+      correctedText: "I have an apple.",
+      corrections: [
+        { type: "grammar", original: "has", replacement: "have" },
+        { type: "grammar", original: "a", replacement: "an" },
+      ],
+    }));
+
+    whatsapp.type("i has a apple");
+    const event = whatsapp.pressEnter();
+
+    assert.equal(event.defaultPrevented, true);
+    assert.deepEqual(whatsapp.sent, []);
+
+    const accept = await waitFor(() => {
+      const button = whatsapp.document.getElementById("gb-accept");
+      return button && !button.disabled && button;
+    });
+    accept.click();
+
+    await waitFor(() => whatsapp.sent.length === 1);
+    assert.deepEqual(whatsapp.sent, ["I have an apple."]);
+
+    const [request] = server.requestsTo("/api/v1/llm/grammar");
+    assert.equal(request.body.text, "i has a apple");
+    assert.equal(request.headers.authorization, "Bearer test-token");
+  });
+
+  test("runs the transform chain and shows which steps changed", async () => {
+    await start({ sync: { transforms: { shorten: true } } });
+    server.route("POST /api/v1/llm/process", () => ({
+      processedText: "Arriving tomorrow.",
+    }));
+
+    whatsapp.type("Your order will be arriving at your address tomorrow");
+    whatsapp.pressEnter();
+
+    const accept = await waitFor(() => {
+      const button = whatsapp.document.getElementById("gb-accept");
+      return button && !button.disabled && button;
+    });
+    const steps = whatsapp.document.getElementById("gb-transform-steps");
+    assert.match(steps.textContent, /Grammar: no change/);
+    assert.match(steps.textContent, /Shortened/);
+    accept.click();
+
+    await waitFor(() => whatsapp.sent.length === 1);
+    assert.deepEqual(whatsapp.sent, ["Arriving tomorrow."]);
+  });
+
+  test("warns about sensitive data before sending", async () => {
+    await start({ sync: { grammarCorrection: false } });
+
+    whatsapp.type("My card is 4111 1111 1111 1111");
+    const event = whatsapp.pressEnter();
+
+    assert.equal(event.defaultPrevented, true);
+    const send = await waitFor(() =>
+      whatsapp.document.getElementById("gb-sensitive-send"),
+    );
+    assert.match(
+      whatsapp.document.querySelector(".gb-sensitive-list").textContent,
+      /Card number •••1111/,
+    );
+    assert.deepEqual(whatsapp.sent, []);
+    send.click();
+
+    await waitFor(() => whatsapp.sent.length === 1);
+    assert.deepEqual(whatsapp.sent, ["My card is 4111 1111 1111 1111"]);
+  });
+
+  test("only lets the agent edit a message when sensitive data is blocked", async () => {
+    await start({
+      sync: {
+        grammarCorrection: false,
+        piiGuard: { mode: "block", types: {}, rules: [] },
+      },
+    });
+
+    whatsapp.type("Your password: hunter22");
+    whatsapp.pressEnter();
+
+    const edit = await waitFor(() =>
+      whatsapp.document.getElementById("gb-sensitive-edit"),
+    );
+    assert.equal(whatsapp.document.getElementById("gb-sensitive-send"), null);
+    edit.click();
+
+    await sleep(100);
+    assert.equal(whatsapp.document.querySelector(".gb-correction-modal"), null);
+    assert.deepEqual(whatsapp.sent, []);
+  });
+
+  test("sends the original when the correction is rejected", async () => {
+    await start();
+    server.route("POST /api/v1/llm/grammar", () => ({
+      correctedText: "I have an apple.",
+    }));
+
+    whatsapp.type("i has a apple");
+    whatsapp.pressEnter();
+
+    const reject = await waitFor(() => {
+      const button = whatsapp.document.getElementById("gb-reject");
+      return button && !button.hidden && button;
+    });
+    reject.click();
+
+    await waitFor(() => whatsapp.sent.length === 1);
+    assert.deepEqual(whatsapp.sent, ["i has a apple"]);
+  });
+
+  test("sends right away when nothing needs correcting", async () => {
+    await start();
+
+    whatsapp.type("All good here");
+    whatsapp.pressEnter();
+
+    await waitFor(() => whatsapp.sent.length === 1);
+    assert.deepEqual(whatsapp.sent, ["All good here"]);
+    assert.equal(whatsapp.document.querySelector(".gb-correction-modal"), null);
+  });
+
+  test("sends the original when the server rejects the request", async () => {
+    await start();
+    server.route("POST /api/v1/llm/grammar", () =>
+      reply(400, { error: "Bad request" }),
+    );
+
+    whatsapp.type("i has a apple");
+    whatsapp.pressEnter();
+
+    await waitFor(() => whatsapp.sent.length === 1);
+    assert.deepEqual(whatsapp.sent, ["i has a apple"]);
+  });
+
+  test("lets Shift+Enter through for a new line", async () => {
+    await start();
+
+    whatsapp.type("first line");
+    const event = whatsapp.pressEnter({ shiftKey: true });
+
+    assert.equal(event.defaultPrevented, false);
+    await sleep(50);
+    assert.equal(server.requests.length, 0);
+  });
+
+  test("ignores empty drafts", async () => {
+    await start();
+
+    whatsapp.type("   ");
+    const event = whatsapp.pressEnter();
+
+    assert.equal(event.defaultPrevented, false);
+    await sleep(50);
+    assert.equal(server.requests.length, 0);
+  });
+
+  test("does nothing when processing is disabled", async () => {
+    await start({ sync: { enableProcessing: false } });
+
+    whatsapp.type("i has a apple");
+    const event = whatsapp.pressEnter();
+
+    assert.equal(event.defaultPrevented, false);
+    assert.deepEqual(whatsapp.sent, ["i has a apple"]);
+    await sleep(50);
+    assert.equal(server.requests.length, 0);
+  });
+});
+
+describe("Auto-reply to incoming messages", () => {
+  let server;
+  let extension;
+  let whatsapp;
+
+  const AUTO_CONTACT = { [CHAT_ID]: { name: "Maria Silva", autoMode: true } };
+
+  async function start(options) {
+    ({ server, extension, whatsapp } = await setup(options));
+    // The message observer attaches on its first one-second check.
+    await sleep(1100);
+  }
+
+  afterEach(async () => {
+    const errors = [...(whatsapp?.errors || [])];
+    whatsapp?.close();
+    await server?.close();
+    assert.deepEqual(errors, []);
+  });
+
+  test("sends the suggested reply when approval is off", async () => {
+    await start({
+      sync: { autoMode: true, autoApproval: false },
+      local: { contactProfiles: AUTO_CONTACT },
+    });
+
+    whatsapp.receiveMessage("Do you deliver?");
+
+    await waitFor(() => whatsapp.sent.length === 1);
+    assert.deepEqual(whatsapp.sent, ["Thanks for your message!"]);
+
+    const [request] = server.requestsTo("/api/v1/llm/auto-reply");
+    assert.equal(request.body.context.contact, "Maria Silva");
+    assert.equal(request.body.context.chatId, CHAT_ID);
+    assert.equal(request.body.context.lastMessage, "Do you deliver?");
+    assert.deepEqual(request.body.lastMessages.at(-1), {
+      type: "received",
+      text: "Do you deliver?",
+    });
+    assert.equal(request.body.lastMessages[1].type, "sent");
+  });
+
+  test("queues the reply for approval by default", async () => {
+    await start({
+      sync: { autoMode: true },
+      local: { contactProfiles: AUTO_CONTACT },
+    });
+
+    whatsapp.receiveMessage("Do you deliver?");
+
+    const drawer = await waitFor(() =>
+      whatsapp.document.getElementById("gb-approval-drawer"),
+    );
+    assert.match(drawer.textContent, /Thanks for your message!/);
+    assert.deepEqual(whatsapp.sent, []);
+  });
+
+  test("shows the approve shortcut the user bound", async () => {
+    await start({
+      sync: {
+        autoMode: true,
+        shortcuts: { approveNext: "Alt+Shift+Y" },
+      },
+      local: { contactProfiles: AUTO_CONTACT },
+    });
+
+    whatsapp.receiveMessage("Do you deliver?");
+
+    const footer = await waitFor(() =>
+      whatsapp.document.querySelector(".gb-approval-footer"),
+    );
+    assert.match(footer.textContent, /^Alt\+Shift\+Y approve · /);
+
+    await extension.storage.sync.set({
+      shortcuts: { approveNext: "Alt+Shift+U" },
+    });
+
+    await waitFor(() =>
+      whatsapp.document
+        .querySelector(".gb-approval-footer")
+        .textContent.startsWith("Alt+Shift+U approve"),
+    );
+  });
+
+  test("passes the contact profile to the server", async () => {
+    await start({
+      sync: { autoMode: true },
+      local: {
+        contactProfiles: {
+          [CHAT_ID]: {
+            ...AUTO_CONTACT[CHAT_ID],
+            responseStyle: "friendly",
+            language: "pt",
+            customInstructions: "Always offer delivery.",
+          },
+        },
+      },
+    });
+
+    whatsapp.receiveMessage("Vocês entregam?");
+
+    await waitFor(() => server.requestsTo("/api/v1/llm/auto-reply").length);
+    const [request] = server.requestsTo("/api/v1/llm/auto-reply");
+    assert.equal(request.body.context.responseStyle, "friendly");
+    assert.equal(request.body.context.language, "pt");
+    assert.equal(
+      request.body.context.customInstructions,
+      "Always offer delivery.",
+    );
+
+    // Let the reply land before the page is closed.
+    await waitFor(() => whatsapp.document.getElementById("gb-approval-drawer"));
+  });
+
+  test("answers only the newest of messages rendered together", async () => {
+    await start({
+      sync: { autoMode: true },
+      local: { contactProfiles: AUTO_CONTACT },
+    });
+
+    // Rows added in one go, as when a chat's history renders.
+    whatsapp.receiveMessage("Earlier question");
+    whatsapp.receiveMessage("Latest question");
+
+    await waitFor(() => server.requestsTo("/api/v1/llm/auto-reply").length);
+    await sleep(200);
+
+    const requests = server.requestsTo("/api/v1/llm/auto-reply");
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].body.context.lastMessage, "Latest question");
+  });
+
+  test("ignores messages loaded above the latest one", async () => {
+    await start({
+      sync: { autoMode: true },
+      local: { contactProfiles: AUTO_CONTACT },
+    });
+
+    const list = whatsapp.document.querySelector('#main [role="application"]');
+    const older = whatsapp.receiveMessage("From last week");
+    list.prepend(older);
+
+    await sleep(300);
+    assert.equal(server.requestsTo("/api/v1/llm/auto-reply").length, 0);
+  });
+
+  test("ignores contacts without auto mode", async () => {
+    await start({ sync: { autoMode: true } });
+
+    whatsapp.receiveMessage("Do you deliver?");
+
+    await sleep(200);
+    assert.equal(server.requestsTo("/api/v1/llm/auto-reply").length, 0);
+  });
+
+  test("ignores messages until the account is authenticated", async () => {
+    await start({
+      sync: { autoMode: true },
+      local: { contactProfiles: AUTO_CONTACT, authenticated: false },
+    });
+
+    whatsapp.receiveMessage("Do you deliver?");
+
+    await sleep(200);
+    assert.equal(server.requestsTo("/api/v1/llm/auto-reply").length, 0);
+  });
+});
+
+describe("After hours", () => {
+  let server;
+  let whatsapp;
+
+  // Closed every day, so it's after hours whenever the tests run.
+  const CLOSED = {
+    enabled: true,
+    days: Array.from({ length: 7 }, () => ({ open: false })),
+    awayMessage: "Hi {{firstName}}, we're closed.",
+  };
+  const AFTER_HOURS = {
+    open: false,
+    holiday: null,
+    nextChange: { dayOffset: 1, day: 2, time: "09:00" },
+    since: Date.now(),
+  };
+  const CONTACT = { [CHAT_ID]: { name: "Maria Silva" } };
+
+  async function start(sync = {}) {
+    ({ server, whatsapp } = await setup({
+      sync: { businessHours: CLOSED, autoApproval: false, ...sync },
+      local: { scheduleState: AFTER_HOURS, contactProfiles: CONTACT },
+    }));
+    await sleep(1100);
+  }
+
+  afterEach(async () => {
+    const errors = [...(whatsapp?.errors || [])];
+    whatsapp?.close();
+    await server?.close();
+    assert.deepEqual(errors, []);
+  });
+
+  test("sends the away message once per contact", async () => {
+    await start();
+
+    whatsapp.receiveMessage("Are you open?");
+    await waitFor(() => whatsapp.sent.length === 1);
+    whatsapp.receiveMessage("Hello?");
+    await sleep(800);
+
+    assert.deepEqual(whatsapp.sent, ["Hi Maria, we're closed."]);
+    assert.equal(server.requestsTo("/api/v1/llm/auto-reply").length, 0);
+  });
+
+  test("auto-replies to every contact once the away message is out", async () => {
+    await start({ autoMode: true });
+
+    whatsapp.receiveMessage("Are you open?");
+    await waitFor(() => whatsapp.sent.length === 1);
+    whatsapp.receiveMessage("Do you deliver?");
+    await waitFor(() => whatsapp.sent.length === 2);
+
+    assert.deepEqual(whatsapp.sent, [
+      "Hi Maria, we're closed.",
+      "Thanks for your message!",
+    ]);
+  });
+
+  test("shows the schedule in the auto mode indicator", async () => {
+    await start({ autoMode: true });
+
+    const indicator = whatsapp.document.getElementById(
+      "gb-auto-mode-indicator",
+    );
+    assert.equal(
+      indicator.textContent.trim(),
+      "Auto Mode Active · After hours until tomorrow 09:00",
+    );
+  });
+});
+
+describe("Human handoff", () => {
+  let server;
+  let extension;
+  let whatsapp;
+
+  const AUTO_CONTACT = { [CHAT_ID]: { name: "Maria Silva", autoMode: true } };
+
+  async function start(options) {
+    ({ server, extension, whatsapp } = await setup(options));
+    // The message observer attaches on its first one-second check.
+    await sleep(1100);
+  }
+
+  afterEach(async () => {
+    const errors = [...(whatsapp?.errors || [])];
+    whatsapp?.close();
+    await server?.close();
+    assert.deepEqual(errors, []);
+  });
+
+  const badge = () => whatsapp.document.getElementById("gb-handoff-badge");
+  const profile = () => extension.storage.local.data.contactProfiles[CHAT_ID];
+
+  test("flags the chat when a contact asks for a person", async () => {
+    await start({
+      sync: { autoMode: true },
+      local: { contactProfiles: AUTO_CONTACT },
+    });
+
+    whatsapp.receiveMessage("Can I talk to a real person?");
+
+    await waitFor(badge);
+    assert.match(badge().title, /Asked for a person/);
+    assert.match(
+      whatsapp.document.getElementById("gb-toggle-auto").textContent,
+      /Auto OFF/,
+    );
+    assert.deepEqual(whatsapp.sent, []);
+  });
+
+  test("clears the badge when the agent takes over", async () => {
+    await start({
+      local: {
+        contactProfiles: {
+          [CHAT_ID]: {
+            name: "Maria Silva",
+            autoMode: false,
+            handoff: { reason: "shouting", detail: null, at: Date.now() },
+          },
+        },
+      },
+    });
+    whatsapp.receiveMessage("HELLO???");
+
+    (await waitFor(badge)).click();
+
+    await waitFor(() => !badge());
+    await waitFor(() => profile().handoff === null);
+    assert.equal(profile().autoMode, false);
+  });
+
+  test("holds a queued reply for a contact waiting for a person", async () => {
+    await start({
+      sync: { autoMode: true, autoApproval: false },
+      local: {
+        contactProfiles: {
+          [CHAT_ID]: {
+            name: "Maria Silva",
+            autoMode: false,
+            handoff: { reason: "keyword", detail: "human", at: Date.now() },
+          },
+        },
+      },
+    });
+    const [tab] = await extension.worker.tabs.query({});
+
+    await extension.worker.tabs.sendMessage(tab.id, {
+      action: "queuedAutoReply",
+      context: { chatId: CHAT_ID, contact: "Maria Silva", lastMessage: "Hi" },
+      reply: "Thanks for your message!",
+      autoSend: true,
+    });
+
+    const drawer = await waitFor(() =>
+      whatsapp.document.getElementById("gb-approval-drawer"),
+    );
+    assert.match(drawer.textContent, /Thanks for your message!/);
+    assert.deepEqual(whatsapp.sent, []);
+  });
+});
+
+describe("Profiles", () => {
+  let server;
+  let extension;
+  let whatsapp;
+
+  afterEach(async () => {
+    const errors = [...(whatsapp?.errors || [])];
+    whatsapp?.close();
+    await server?.close();
+    assert.deepEqual(errors, []);
+  });
+
+  const profileName = () => whatsapp.document.getElementById("gb-profile-name");
+
+  test("shows the tab's profile in the control panel", async () => {
+    ({ server, extension, whatsapp } = await setup({
+      sync: {
+        profiles: [{ id: "client", name: "Client", settings: {} }],
+      },
+      local: { activeProfile: "client" },
+    }));
+
+    assert.equal((await waitFor(profileName)).textContent, "Client");
+    assert.match(
+      whatsapp.document.querySelector(".gb-status").textContent,
+      /Not Connected/,
+    );
+
+    await extension.storage.local.set({ activeProfile: "default" });
+
+    await waitFor(() => !profileName());
+    assert.doesNotMatch(
+      whatsapp.document.querySelector(".gb-status").textContent,
+      /Not Connected/,
+    );
+  });
+});
+
+describe("Template palette", () => {
+  let server;
+  let whatsapp;
+
+  const SNIPPETS = {
+    "snippet:hello": {
+      shortcut: "hello",
+      title: "Greeting",
+      body: "Hi {{firstName}}, this is {{agent}}.",
+    },
+    "snippet:hours": {
+      shortcut: "hours",
+      title: "Opening hours",
+      body: "We're open 9-18, {{contact}}.",
+    },
+  };
+
+  async function start({ sync = {}, local = {} } = {}) {
+    ({ server, whatsapp } = await setup({
+      sync: { agentName: "Ana", ...SNIPPETS, ...sync },
+      local,
+    }));
+  }
+
+  function press(key) {
+    const event = new whatsapp.window.KeyboardEvent("keydown", {
+      key,
+      bubbles: true,
+      cancelable: true,
+    });
+    whatsapp.input.dispatchEvent(event);
+    return event;
+  }
+
+  const palette = () => whatsapp.document.getElementById("gb-snippet-palette");
+  const shortcuts = () =>
+    [...palette().querySelectorAll(".gb-snippet-shortcut")].map(
+      (element) => element.textContent,
+    );
+
+  afterEach(async () => {
+    const errors = [...(whatsapp?.errors || [])];
+    whatsapp?.close();
+    await server?.close();
+    assert.deepEqual(errors, []);
+  });
+
+  test("opens on / and filters as you type", async () => {
+    await start();
+
+    whatsapp.type("/");
+    assert.deepEqual(shortcuts(), ["/hello", "/hours"]);
+
+    whatsapp.type("/ho");
+    assert.deepEqual(shortcuts(), ["/hours"]);
+
+    whatsapp.type("/ho there");
+    assert.equal(palette(), null);
+  });
+
+  test("inserts the selected template with variables filled in", async () => {
+    await start();
+
+    whatsapp.type("/");
+    press("ArrowDown");
+    press("ArrowUp");
+    const event = press("Enter");
+
+    assert.equal(event.defaultPrevented, true);
+    assert.equal(whatsapp.input.textContent, "Hi Maria, this is Ana.");
+    assert.equal(palette(), null);
+    assert.deepEqual(whatsapp.sent, []);
+    await sleep(50);
+    assert.equal(server.requests.length, 0);
+  });
+
+  test("leaves variables without a value in place", async () => {
+    await start({ sync: { agentName: "" } });
+
+    whatsapp.type("/hello");
+    press("Tab");
+
+    assert.equal(whatsapp.input.textContent, "Hi Maria, this is {{agent}}.");
+  });
+
+  test("offers team templates unless a personal one has the shortcut", async () => {
+    await start({
+      local: {
+        teamSnippets: {
+          instanceId: "instance-1",
+          fetchedAt: Date.now(),
+          snippets: [
+            { id: "t1", shortcut: "hello", title: "Team hello", body: "Hey" },
+            { id: "t2", shortcut: "refund", title: "Refunds", body: "…" },
+          ],
+        },
+      },
+    });
+
+    whatsapp.type("/");
+    assert.deepEqual(shortcuts(), ["/hello", "/hours", "/refund"]);
+    assert.match(palette().textContent, /Greeting/);
+    assert.doesNotMatch(palette().textContent, /Team hello/);
+  });
+
+  test("Escape closes the palette and keeps the draft", async () => {
+    await start();
+
+    whatsapp.type("/he");
+    const event = press("Escape");
+
+    assert.equal(event.defaultPrevented, true);
+    assert.equal(palette(), null);
+    assert.equal(whatsapp.input.textContent, "/he");
+  });
+
+  test("stays closed without templates", async () => {
+    await start({ sync: { "snippet:hello": null, "snippet:hours": null } });
+
+    whatsapp.type("/");
+    assert.equal(palette(), null);
+  });
+});
+
+describe("Reply suggestions", () => {
+  let server;
+  let whatsapp;
+
+  async function start({ sync = {}, local = {} } = {}) {
+    ({ server, whatsapp } = await setup({
+      sync: { replySuggestions: true, ...sync },
+      local,
+    }));
+    await sleep(1100);
+  }
+
+  afterEach(async () => {
+    const errors = [...(whatsapp?.errors || [])];
+    whatsapp?.close();
+    await server?.close();
+    assert.deepEqual(errors, []);
+  });
+
+  const chips = () =>
+    [...whatsapp.document.querySelectorAll(".gb-suggestion-chip")].map(
+      (chip) => chip.textContent,
+    );
+  const bar = () => whatsapp.document.getElementById("gb-suggestion-bar");
+
+  test("shows candidate replies and inserts one without sending", async () => {
+    await start();
+
+    whatsapp.receiveMessage("Do you deliver?");
+
+    await waitFor(() => chips().length);
+    assert.deepEqual(chips(), [
+      "Yes, we deliver!",
+      "Where are you?",
+      "Let me check.",
+    ]);
+
+    const [request] = server.requestsTo("/api/v1/llm/auto-reply");
+    assert.equal(request.body.candidates, 3);
+    assert.equal(request.body.context.lastMessage, "Do you deliver?");
+
+    whatsapp.document.querySelectorAll(".gb-suggestion-chip")[1].click();
+
+    assert.equal(whatsapp.input.textContent, "Where are you?");
+    assert.equal(bar(), null);
+    await sleep(50);
+    assert.deepEqual(whatsapp.sent, []);
+  });
+
+  test("asks once for messages arriving together", async () => {
+    await start();
+
+    whatsapp.receiveMessage("Hello");
+    whatsapp.receiveMessage("Do you deliver?");
+
+    await waitFor(() => chips().length);
+    const requests = server.requestsTo("/api/v1/llm/auto-reply");
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].body.context.lastMessage, "Do you deliver?");
+  });
+
+  test("refreshes the suggestions when another message arrives", async () => {
+    await start();
+    whatsapp.receiveMessage("Hello");
+    await waitFor(() => chips().length);
+
+    server.route("POST /api/v1/llm/auto-reply", ({ body }) => ({
+      suggestions: [`About "${body.context.lastMessage}"...`],
+    }));
+    whatsapp.receiveMessage("What time do you close?");
+
+    await waitFor(() => chips().length === 1);
+    assert.deepEqual(chips(), ['About "What time do you close?"...']);
+  });
+
+  test("can be dismissed", async () => {
+    await start();
+    whatsapp.receiveMessage("Do you deliver?");
+    await waitFor(() => chips().length);
+
+    whatsapp.document.querySelector(".gb-suggestion-close").click();
+
+    assert.equal(bar(), null);
+    assert.equal(whatsapp.input.textContent, "");
+  });
+
+  test("leaves contacts in auto mode to the auto-reply", async () => {
+    await start({
+      sync: { autoMode: true },
+      local: {
+        contactProfiles: { [CHAT_ID]: { name: "Maria Silva", autoMode: true } },
+      },
+    });
+
+    whatsapp.receiveMessage("Do you deliver?");
+
+    await waitFor(() => whatsapp.document.getElementById("gb-approval-drawer"));
+    const [request] = server.requestsTo("/api/v1/llm/auto-reply");
+    assert.equal(request.body.candidates, undefined);
+    assert.equal(bar(), null);
+  });
+
+  test("shows nothing when the server has no suggestions", async () => {
+    await start();
+    server.route("POST /api/v1/llm/auto-reply", () => reply(503));
+
+    whatsapp.receiveMessage("Do you deliver?");
+
+    await waitFor(() => server.requestsTo("/api/v1/llm/auto-reply").length);
+    await waitFor(() => bar() === null);
+    assert.deepEqual(whatsapp.sent, []);
+  });
+});
+
+describe("Chat summaries", () => {
+  let server;
+  let whatsapp;
+
+  afterEach(async () => {
+    const errors = [...(whatsapp?.errors || [])];
+    whatsapp?.close();
+    await server?.close();
+    assert.deepEqual(errors, []);
+  });
+
+  // What WhatsApp adds to the top of the list once it is scrolled up.
+  function loadOlderMessage() {
+    const row = whatsapp.document.createElement("div");
+    row.className = "message-out";
+    row.dataset.id = `true_${CHAT_ID}_3EB0A0`;
+    row.innerHTML = `
+      <div class="copyable-text" data-pre-plain-text="[09:58, 19/10/2024] Ana Costa: ">
+        <div data-testid="quoted-message">
+          <span dir="auto">Maria Silva</span>
+          <span dir="auto">Do you have it in blue?</span>
+        </div>
+        <span class="selectable-text" dir="ltr">Yes, size M too.</span>
+      </div>
+    `;
+    whatsapp.document.querySelector('#main [role="application"]').prepend(row);
+  }
+
+  async function start() {
+    ({ server, whatsapp } = await setup());
+    server.route("POST /api/v1/llm/summarize", () => ({
+      summary: "Maria asked about a blue shirt and opening hours.",
+      actionItems: ["Reserve the blue shirt in size M"],
+    }));
+  }
+
+  test("loads older messages and shows the notes", async () => {
+    await start();
+    const list = whatsapp.document.querySelector('#main [role="application"]');
+    Object.defineProperties(list, {
+      scrollHeight: { value: 2000 },
+      clientHeight: { value: 600 },
+      scrollTop: { value: 1400, writable: true },
+    });
+
+    whatsapp.document.getElementById("gb-summarize-btn").click();
+    await sleep(100);
+    loadOlderMessage();
+
+    const modal = await waitFor(
+      () => whatsapp.document.getElementById("gb-summary-modal"),
+      { timeout: 5000 },
+    );
+    assert.match(modal.textContent, /Maria asked about a blue shirt/);
+    assert.match(modal.textContent, /Reserve the blue shirt in size M/);
+    assert.match(modal.textContent, /3 messages, 09:58, 19\/10\/2024 to/);
+
+    const [request] = server.requestsTo("/api/v1/llm/summarize");
+    assert.equal(request.body.chatId, CHAT_ID);
+    assert.equal(request.body.contact, "Maria Silva");
+    const [older, incoming] = request.body.messages;
+    assert.equal(older.type, "sent");
+    assert.equal(older.sender, "Ana Costa");
+    assert.equal(older.text, "Yes, size M too.");
+    assert.equal(older.quoted.sender, "Maria Silva");
+    assert.equal(older.quoted.text, "Do you have it in blue?");
+    assert.equal(incoming.timestamp, "10:30, 19/10/2024");
+    assert.equal(incoming.text, "Hi! Is the store open today?");
+    assert.equal(list.scrollTop, 2000);
+
+    whatsapp.document.getElementById("gb-summary-close").click();
+    assert.equal(whatsapp.document.getElementById("gb-summary-modal"), null);
+  });
+
+  test("says so when the notes can't be copied", async () => {
+    await start();
+
+    whatsapp.document.getElementById("gb-summarize-btn").click();
+    const copy = await waitFor(
+      () => whatsapp.document.getElementById("gb-summary-copy"),
+      { timeout: 5000 },
+    );
+    copy.click();
+
+    const toast = await waitFor(() =>
+      whatsapp.document.querySelector(".gb-toast.error"),
+    );
+    assert.match(toast.textContent, /Could not copy the notes/);
+    assert.equal(copy.textContent, "Copy");
+  });
+});
+
+describe("Context menu results", () => {
+  let server;
+  let extension;
+  let whatsapp;
+
+  afterEach(async () => {
+    const errors = [...(whatsapp?.errors || [])];
+    whatsapp?.close();
+    await server?.close();
+    assert.deepEqual(errors, []);
+  });
+
+  test("says so when the result can't be copied", async () => {
+    ({ server, extension, whatsapp } = await setup());
+    whatsapp.window.getSelection().removeAllRanges();
+    const [tab] = await extension.worker.tabs.query({});
+
+    await extension.worker.tabs.sendMessage(tab.id, {
+      action: "replaceSelection",
+      text: "Olá, tudo bem?",
+      title: "Translation",
+    });
+    const copy = await waitFor(() =>
+      whatsapp.document.getElementById("gb-result-copy"),
+    );
+    copy.click();
+
+    const toast = await waitFor(() =>
+      whatsapp.document.querySelector(".gb-toast.error"),
+    );
+    assert.match(toast.textContent, /Could not copy the text/);
+    assert.equal(copy.textContent, "Copy");
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Runs background.js in its own vm context, the way Chrome runs the service
+ * worker, with `chrome` bound to the worker side of a test extension.
+ * Top-level functions of the worker are properties of the returned context.
+ */
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+const quietConsole = {
+  log() {},
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+};
+
+function runFile(context, file) {
+  vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, {
+    filename: file,
+  });
+}
+
+/**
+ * `timers` replaces setTimeout/clearTimeout inside the worker, e.g. with
+ * holdLongTimers() to step through auth polling without waiting.
+ */
+function loadBackground(extension, { timers = {} } = {}) {
+  const context = {
+    chrome: extension.worker,
+    fetch,
+    Response,
+    Headers,
+    AbortController,
+    TextDecoder,
+    TextEncoder,
+    URL,
+    setTimeout: timers.setTimeout || setTimeout,
+    clearTimeout: timers.clearTimeout || clearTimeout,
+    setInterval,
+    clearInterval,
+    console: quietConsole,
+    crypto,
+    structuredClone,
+  };
+
+  context.self = context;
+  context.addEventListener = () => {};
+  context.importScripts = (...files) =>
+    files.forEach((file) => runFile(context, file));
+
+  vm.createContext(context);
+  runFile(context, "background.js");
+  return context;
+}
+
+/**
+ * Timers of `threshold` ms or longer are held instead of scheduled until the
+ * test calls runAll(); shorter ones (log flushes, retries) run normally.
+ */
+function holdLongTimers(threshold = 5000) {
+  const held = new Map();
+  let nextId = 1;
+
+  return {
+    setTimeout(callback, delay = 0, ...args) {
+      if (delay < threshold) return setTimeout(callback, delay, ...args);
+
+      const id = `held-${nextId++}`;
+      held.set(id, { callback, args, delay });
+      return id;
+    },
+
+    clearTimeout(id) {
+      if (!held.delete(id)) clearTimeout(id);
+    },
+
+    pending() {
+      return [...held.values()].map((timer) => timer.delay);
+    },
+
+    runAll() {
+      const timers = [...held.values()];
+      held.clear();
+      timers.forEach((timer) => timer.callback(...timer.args));
+    },
+  };
+}
+
+module.exports = { loadBackground, holdLongTimers };
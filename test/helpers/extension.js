@@ -0,0 +1,330 @@
+/**
+ * In-memory stand-in for the chrome.* APIs the extension uses. One
+ * extension holds the shared storage and wires the service worker and the
+ * WhatsApp tabs together the way Chrome does: runtime.sendMessage from a
+ * tab reaches the worker's onMessage listeners, tabs.sendMessage from the
+ * worker reaches the tab, and runtime.connect ports are paired across both.
+ * Everything is delivered asynchronously, like real extension messaging.
+ */
+"use strict";
+
+const manifest = require("../../manifest.json");
+
+const EXTENSION_ID = "gbtestextensionid";
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: (listener) => listeners.includes(listener),
+    dispatch: (...args) => listeners.map((listener) => listener(...args)),
+  };
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function later(callback) {
+  return new Promise((resolve) => setTimeout(() => resolve(callback())));
+}
+
+function createStorageArea(name, data, onChanged) {
+  function pick(keys) {
+    if (keys === null || keys === undefined) return clone(data);
+    if (typeof keys === "string") keys = [keys];
+
+    if (Array.isArray(keys)) {
+      return Object.fromEntries(
+        keys.filter((key) => key in data).map((key) => [key, clone(data[key])]),
+      );
+    }
+
+    return Object.fromEntries(
+      Object.entries(keys).map(([key, fallback]) => [
+        key,
+        clone(key in data ? data[key] : fallback),
+      ]),
+    );
+  }
+
+  function commit(changes, callback) {
+    return later(() => {
+      if (Object.keys(changes).length > 0) {
+        onChanged.dispatch(clone(changes), name);
+      }
+      callback?.();
+    });
+  }
+
+  return {
+    data,
+
+    get(keys, callback) {
+      const result = pick(keys);
+      return later(() => {
+        callback?.(result);
+        return result;
+      });
+    },
+
+    set(items, callback) {
+      const changes = {};
+      for (const [key, value] of Object.entries(items)) {
+        changes[key] = { oldValue: clone(data[key]), newValue: clone(value) };
+        data[key] = clone(value);
+      }
+      return commit(changes, callback);
+    },
+
+    remove(keys, callback) {
+      const changes = {};
+      for (const key of [].concat(keys)) {
+        if (!(key in data)) continue;
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      }
+      return commit(changes, callback);
+    },
+
+    clear(callback) {
+      return this.remove(Object.keys(data), callback);
+    },
+  };
+}
+
+// Delivers a message to onMessage listeners and resolves with the first
+// sendResponse, or undefined when no listener kept the channel open.
+function deliver(listeners, message, sender) {
+  return later(
+    () =>
+      new Promise((resolve) => {
+        let keepOpen = false;
+        const sendResponse = (response) => resolve(clone(response));
+
+        for (const listener of [...listeners]) {
+          if (listener(clone(message), sender, sendResponse) === true) {
+            keepOpen = true;
+          }
+        }
+        if (!keepOpen) resolve(undefined);
+      }),
+  );
+}
+
+function createPort(name, sender) {
+  const port = {
+    name,
+    sender,
+    peer: null,
+    connected: true,
+    onMessage: createEvent(),
+    onDisconnect: createEvent(),
+
+    postMessage(message) {
+      if (!port.connected) {
+        throw new Error("Attempting to use a disconnected port object");
+      }
+      const { peer } = port;
+      setTimeout(() => {
+        if (peer.connected) peer.onMessage.dispatch(clone(message), peer);
+      });
+    },
+
+    // Like Chrome, only the other end hears about the disconnect.
+    disconnect() {
+      if (!port.connected) return;
+      port.connected = false;
+
+      const { peer } = port;
+      setTimeout(() => {
+        if (!peer.connected) return;
+        peer.connected = false;
+        peer.onDisconnect.dispatch(peer);
+      });
+    },
+  };
+  return port;
+}
+
+function urlMatches(url, patterns) {
+  return [].concat(patterns).some((pattern) => {
+    const regex = pattern
+      .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*");
+    return new RegExp(`^${regex}$`).test(url);
+  });
+}
+
+/**
+ * Returns { worker, openTab, storage, tabs, notifications, createdTabs },
+ * where `worker` is the chrome object for background.js and `openTab(url)`
+ * registers a tab and returns the chrome object for its content scripts.
+ */
+function createExtension({ sync = {}, local = {}, session = {} } = {}) {
+  const onChanged = createEvent();
+  const storage = {
+    sync: createStorageArea("sync", clone(sync), onChanged),
+    local: createStorageArea("local", clone(local), onChanged),
+    session: createStorageArea("session", clone(session), onChanged),
+    onChanged,
+  };
+
+  const tabs = new Map();
+  const notifications = [];
+  const createdTabs = [];
+  const alarms = new Map();
+
+  const runtimeBase = {
+    id: EXTENSION_ID,
+    lastError: undefined,
+    getURL: (path) => `chrome-extension://${EXTENSION_ID}/${path}`,
+    getManifest: () => clone(manifest),
+  };
+
+  const onMessage = createEvent();
+  const onConnect = createEvent();
+
+  const worker = {
+    runtime: {
+      ...runtimeBase,
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      onMessage,
+      onConnect,
+      // No extension pages are open in tests.
+      sendMessage: () => Promise.resolve(undefined),
+    },
+
+    tabs: {
+      onUpdated: createEvent(),
+      onActivated: createEvent(),
+      onRemoved: createEvent(),
+
+      query: async (queryInfo = {}) =>
+        [...tabs.values()]
+          .filter((tab) => !queryInfo.url || urlMatches(tab.url, queryInfo.url))
+          .map(({ id, url, windowId, active }) => ({
+            id,
+            url,
+            windowId,
+            active,
+          })),
+
+      sendMessage: (tabId, message) => {
+        const tab = tabs.get(tabId);
+        if (!tab) {
+          return Promise.reject(
+            new Error(
+              "Could not establish connection. Receiving end does not exist.",
+            ),
+          );
+        }
+        return deliver(tab.onMessage.listeners, message, {
+          id: EXTENSION_ID,
+        });
+      },
+
+      update: async (tabId, properties) => {
+        Object.assign(tabs.get(tabId) || {}, properties);
+      },
+
+      create: async (properties) => {
+        createdTabs.push(properties);
+        return { id: 1000 + createdTabs.length, ...properties };
+      },
+    },
+
+    windows: { update: async () => {} },
+
+    storage,
+
+    alarms: {
+      create: async (name, info) => {
+        const delay = info.delayInMinutes ?? info.periodInMinutes;
+        alarms.set(name, {
+          name,
+          scheduledTime: info.when ?? Date.now() + delay * 60 * 1000,
+          ...info,
+        });
+      },
+      get: async (name) => alarms.get(name),
+      clear: async (name) => alarms.delete(name),
+      onAlarm: createEvent(),
+    },
+
+    contextMenus: {
+      create: () => {},
+      removeAll: (callback) => callback?.(),
+      onClicked: createEvent(),
+    },
+
+    notifications: {
+      create: (id, options) => {
+        notifications.push(typeof id === "object" ? id : options);
+      },
+    },
+
+    commands: {
+      getAll: (callback) => callback([]),
+      onCommand: createEvent(),
+    },
+
+    permissions: {
+      request: async () => true,
+      contains: async () => true,
+    },
+  };
+
+  function openTab(url = "https://web.whatsapp.com/") {
+    const id = tabs.size + 1;
+    const tab = {
+      id,
+      url,
+      windowId: 1,
+      active: true,
+      onMessage: createEvent(),
+    };
+    tabs.set(id, tab);
+
+    const sender = {
+      id: EXTENSION_ID,
+      tab: { id, url, windowId: 1 },
+      url,
+    };
+
+    return {
+      runtime: {
+        ...runtimeBase,
+        onMessage: tab.onMessage,
+
+        sendMessage(message, callback) {
+          const response = deliver(onMessage.listeners, message, sender);
+          if (callback) response.then(callback);
+          return response;
+        },
+
+        connect({ name } = {}) {
+          const local = createPort(name);
+          const remote = createPort(name, sender);
+          local.peer = remote;
+          remote.peer = local;
+
+          setTimeout(() => onConnect.dispatch(remote));
+          return local;
+        },
+      },
+
+      storage,
+    };
+  }
+
+  return { worker, openTab, storage, tabs, notifications, createdTabs, alarms };
+}
+
+module.exports = { createExtension };
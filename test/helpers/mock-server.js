@@ -0,0 +1,150 @@
+/**
+ * Local HTTP server standing in for the General Bots API. Every route has a
+ * default answer that a test can replace with `server.route()`, and every
+ * request is recorded with its parsed JSON body for assertions.
+ */
+"use strict";
+
+const http = require("node:http");
+
+const REPLY = Symbol("reply");
+
+const DEFAULT_ROUTES = {
+  "POST /api/v1/llm/grammar": ({ body }) => ({
+    correctedText: body.text,
+    corrections: [],
+    detectedLanguage: "en",
+  }),
+  "POST /api/v1/llm/process": ({ body }) => ({ processedText: body.text }),
+  "POST /api/v1/llm/translate": ({ body }) => ({ translatedText: body.text }),
+  "POST /api/v1/llm/auto-reply": ({ body }) => ({
+    suggestedReply: "Thanks for your message!",
+    confidence: 0.9,
+    autoSend: true,
+    ...(body.candidates && {
+      suggestions: ["Yes, we deliver!", "Where are you?", "Let me check."],
+    }),
+  }),
+  "POST /api/v1/auth/whatsapp/request": () => ({ requestId: "req-1" }),
+  "GET /api/v1/auth/whatsapp/status/:requestId": () => ({ status: "pending" }),
+  "GET /api/v1/auth/verify": () => ({ valid: true }),
+  "POST /api/v1/auth/refresh": () => ({
+    token: "renewed-token",
+    expiresIn: 3600,
+  }),
+  "POST /api/v1/auth/logout": () => ({ success: true }),
+  "GET /api/v1/snippets": () => ({
+    snippets: [{ id: "team-1", shortcut: "hi", title: "Hi", body: "Hi!" }],
+  }),
+};
+
+function matchRoute(routes, method, path) {
+  for (const [key, handler] of Object.entries(routes)) {
+    const [routeMethod, routePath] = key.split(" ");
+    if (routeMethod !== method) continue;
+
+    const names = [];
+    const pattern = routePath.replace(/:(\w+)/g, (match, name) => {
+      names.push(name);
+      return "([^/]+)";
+    });
+    const match = path.match(new RegExp(`^${pattern}$`));
+    if (match) {
+      const params = Object.fromEntries(
+        names.map((name, index) => [
+          name,
+          decodeURIComponent(match[index + 1]),
+        ]),
+      );
+      return { handler, params };
+    }
+  }
+  return null;
+}
+
+function readBody(request) {
+  return new Promise((resolve) => {
+    let data = "";
+    request.on("data", (chunk) => (data += chunk));
+    request.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : null);
+      } catch (error) {
+        resolve(data);
+      }
+    });
+  });
+}
+
+/**
+ * Wraps a JSON body for a status other than 200, e.g. reply(503).
+ */
+function reply(status, json = {}) {
+  return { [REPLY]: true, status, json };
+}
+
+/**
+ * Handlers receive { method, path, params, body, headers } and return the
+ * JSON body to send, or reply(status, json) for anything other than a 200.
+ */
+async function startMockServer() {
+  let routes = { ...DEFAULT_ROUTES };
+  const requests = [];
+
+  const server = http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    const entry = {
+      method: request.method,
+      path: pathname,
+      headers: request.headers,
+      body: await readBody(request),
+    };
+    requests.push(entry);
+
+    const route = matchRoute(routes, request.method, pathname);
+    let status = 404;
+    let json = { error: "Not found" };
+
+    if (route) {
+      try {
+        const result = await route.handler({ ...entry, params: route.params });
+        ({ status, json } = result?.[REPLY]
+          ? result
+          : { status: 200, json: result });
+      } catch (error) {
+        status = 500;
+        json = { error: error.message };
+      }
+    }
+
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(json));
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+
+    route(key, handler) {
+      routes[key] = handler;
+    },
+
+    requestsTo(path) {
+      return requests.filter((request) => request.path.startsWith(path));
+    },
+
+    reset() {
+      routes = { ...DEFAULT_ROUTES };
+      requests.length = 0;
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { startMockServer, reply };
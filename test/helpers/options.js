@@ -0,0 +1,94 @@
+/**
+ * Opens options.html in jsdom with its scripts inlined in order, talking to
+ * the extension as an extension page. Object URLs are tracked instead of
+ * created, and downloads are recorded instead of followed.
+ */
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const { waitFor } = require("./wait");
+
+const ROOT = path.join(__dirname, "..", "..");
+const SCRIPT_TAG = /<script src="([^"]+)"><\/script>/g;
+
+async function openOptions(extension) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("jsdomError", (error) => errors.push(error));
+
+  const html = fs.readFileSync(path.join(ROOT, "options.html"), "utf8");
+  const scripts = [...html.matchAll(SCRIPT_TAG)].map((match) => match[1]);
+
+  const objectUrls = new Map();
+  const downloads = [];
+  let nextUrl = 1;
+
+  const url = `chrome-extension://${extension.worker.runtime.id}/options.html`;
+  const dom = new JSDOM(html.replace(SCRIPT_TAG, ""), {
+    url,
+    runScripts: "dangerously",
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      window.chrome = {
+        ...extension.openTab(url),
+        tabs: { create: extension.worker.tabs.create },
+      };
+      window.URL.createObjectURL = (blob) => {
+        const objectUrl = `blob:${url}/${nextUrl++}`;
+        objectUrls.set(objectUrl, blob);
+        return objectUrl;
+      };
+      window.URL.revokeObjectURL = (objectUrl) => objectUrls.delete(objectUrl);
+      // jsdom can't navigate, so a download link's click is only recorded.
+      window.HTMLAnchorElement.prototype.click = function () {
+        if (this.hasAttribute("download")) {
+          downloads.push({ filename: this.download, url: this.href });
+        }
+      };
+    },
+  });
+
+  const { window } = dom;
+  const { document } = window;
+
+  const { onChanged } = extension.storage;
+  const workerListeners = [...onChanged.listeners];
+
+  for (const file of scripts) {
+    const script = document.createElement("script");
+    script.textContent = `${fs.readFileSync(path.join(ROOT, file), "utf8")}\n//# sourceURL=${file}`;
+    document.body.appendChild(script);
+  }
+
+  // Wait for the worker to answer for the auth status, too.
+  await waitFor(
+    () =>
+      document.getElementById("server-url").value &&
+      !document.getElementById("auth-status").textContent.includes("Checking"),
+    { message: "Options page did not load its settings" },
+  );
+
+  return {
+    window,
+    document,
+    errors,
+    objectUrls,
+    downloads,
+
+    close() {
+      // A closed page stops hearing about storage changes.
+      for (const listener of [...onChanged.listeners]) {
+        if (!workerListeners.includes(listener)) {
+          onChanged.removeListener(listener);
+        }
+      }
+      window.close();
+    },
+  };
+}
+
+module.exports = { openOptions };
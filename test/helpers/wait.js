@@ -0,0 +1,23 @@
+"use strict";
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Polls until `predicate` returns a truthy value and resolves with it, or
+ * rejects after `timeout` ms with `message`.
+ */
+async function waitFor(predicate, { timeout = 3000, message } = {}) {
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    const result = await predicate();
+    if (result) return result;
+    await sleep(10);
+  }
+
+  throw new Error(message || `Condition not met within ${timeout}ms`);
+}
+
+module.exports = { sleep, waitFor };
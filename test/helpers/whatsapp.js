@@ -0,0 +1,103 @@
+/**
+ * Opens a WhatsApp Web fixture in jsdom and injects the content scripts
+ * from manifest.json, in order, as <script> elements so they share one
+ * global scope as they do in Chrome. A stand-in for WhatsApp's own Enter
+ * handler records every message that would have been sent.
+ */
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const manifest = require("../../manifest.json");
+const { waitFor } = require("./wait");
+
+const ROOT = path.join(__dirname, "..", "..");
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+
+async function openWhatsApp(
+  extension,
+  { fixture = "whatsapp-chat.html" } = {},
+) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("jsdomError", (error) => errors.push(error));
+
+  const dom = new JSDOM(fs.readFileSync(path.join(FIXTURES, fixture), "utf8"), {
+    url: "https://web.whatsapp.com/",
+    runScripts: "dangerously",
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      window.chrome = extension.openTab(window.location.href);
+    },
+  });
+
+  const { window } = dom;
+  const { document } = window;
+  const input = document.querySelector('footer [contenteditable="true"]');
+  const sent = [];
+
+  // WhatsApp sends on Enter; whatever the content script lets through
+  // reaches the document and is "sent".
+  document.addEventListener("keydown", (event) => {
+    if (event.key !== "Enter" || event.shiftKey || event.defaultPrevented) {
+      return;
+    }
+    sent.push(input.textContent);
+    input.textContent = "";
+  });
+
+  for (const file of manifest.content_scripts[0].js) {
+    const script = document.createElement("script");
+    script.textContent = `${fs.readFileSync(path.join(ROOT, file), "utf8")}\n//# sourceURL=${file}`;
+    document.head.appendChild(script);
+  }
+
+  await waitFor(() => document.getElementById("gb-control-panel"), {
+    message: "Content script did not initialize",
+  });
+
+  return {
+    window,
+    document,
+    input,
+    sent,
+    errors,
+
+    type(text) {
+      input.textContent = text;
+      input.dispatchEvent(new window.InputEvent("input", { bubbles: true }));
+    },
+
+    pressEnter({ shiftKey = false } = {}) {
+      const event = new window.KeyboardEvent("keydown", {
+        key: "Enter",
+        code: "Enter",
+        shiftKey,
+        bubbles: true,
+        cancelable: true,
+      });
+      input.dispatchEvent(event);
+      return event;
+    },
+
+    receiveMessage(text, chatId = "5511999999999@c.us") {
+      const row = document.createElement("div");
+      row.className = "message-in";
+      row.dataset.id = `false_${chatId}_${Date.now().toString(16)}`;
+      row.innerHTML = `<div class="copyable-text"><span class="selectable-text" dir="ltr"></span></div>`;
+      row.querySelector(".selectable-text").textContent = text;
+
+      document.querySelector('#main [role="application"]').appendChild(row);
+      return row;
+    },
+
+    close() {
+      window.close();
+    },
+  };
+}
+
+module.exports = { openWhatsApp };
@@ -0,0 +1,36 @@
+"use strict";
+
+const { describe, test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createExtension } = require("./helpers/extension");
+const { loadBackground } = require("./helpers/background");
+const { openOptions } = require("./helpers/options");
+const { waitFor } = require("./helpers/wait");
+
+describe("Options page", () => {
+  let page;
+
+  afterEach(() => page?.close());
+
+  test("keeps the log export's download URL alive after the click", async () => {
+    const extension = createExtension();
+    loadBackground(extension);
+    page = await openOptions(extension);
+
+    page.document.getElementById("btn-export-logs").click();
+
+    const [download] = await waitFor(
+      () => page.downloads.length && page.downloads,
+    );
+    assert.match(
+      download.filename,
+      /^general-bots-logs-\d{4}-\d{2}-\d{2}\.json$/,
+    );
+    assert.ok(
+      page.objectUrls.has(download.url),
+      "the object URL was revoked before the browser could read it",
+    );
+    assert.deepEqual(page.errors, []);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * The outbound transform chain: the steps a message goes through when the
+ * agent presses Enter, each one working on the previous step's output.
+ * Grammar is the `grammarCorrection` setting; the other steps are turned on
+ * in `settings.transforms`, and a contact profile can turn any step on or
+ * off for that contact with its own `transforms`.
+ *
+ * Used by the service worker (running the chain), the content script
+ * (deciding whether to hold the message) and the Options page (editing).
+ */
+const Transforms = (function () {
+  "use strict";
+
+  // Redaction comes first so personal data never reaches the AI; it is
+  // PiiGuard.redact with every kind of data turned on.
+  const STEPS = [
+    { id: "redact", label: "Redact personal data", done: "Redacted" },
+    { id: "grammar", label: "Grammar", done: "Corrected" },
+    { id: "tone", label: "Tone", done: "Rewrote the tone" },
+    { id: "shorten", label: "Shorten", done: "Shortened" },
+    { id: "expand", label: "Expand", done: "Expanded" },
+    { id: "translate", label: "Translate", done: "Translated" },
+  ];
+
+  const IDS = STEPS.map((step) => step.id);
+
+  const SKIPPED = {
+    localOnly: "Unavailable in local-only mode",
+    noLanguage: "The contact has no language set",
+  };
+
+  function getDefaults() {
+    return {
+      redact: false,
+      tone: false,
+      shorten: false,
+      expand: false,
+      translate: false,
+    };
+  }
+
+  /**
+   * The ids of the steps to run for a contact, in chain order.
+   */
+  function resolve(settings, profile = {}) {
+    const enabled = {
+      ...getDefaults(),
+      ...settings.transforms,
+      grammar: Boolean(settings.grammarCorrection),
+    };
+    return IDS.filter((id) => profile?.transforms?.[id] ?? enabled[id]);
+  }
+
+  function getStep(id) {
+    return STEPS.find((step) => step.id === id) || null;
+  }
+
+  return {
+    STEPS,
+    SKIPPED,
+    getDefaults,
+    resolve,
+    getStep,
+  };
+})();